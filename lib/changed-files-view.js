@@ -0,0 +1,112 @@
+'use strict';
+
+// the icon of each file status
+var STATUS_ICONS = {
+  added: 'diff-added',
+  modified: 'diff-modified',
+  deleted: 'diff-removed',
+  renamed: 'diff-renamed'
+};
+
+/**
+ * A dock item listing the files changed between two git revisions, or between
+ * a revision and the working tree, with the file being diffed highlighted.
+ */
+module.exports = class ChangedFilesView {
+  /*
+   * @param onDidClickFile Called with the index of a file when it is clicked.
+   */
+  constructor(onDidClickFile) {
+    this._onDidClickFile = onDidClickFile;
+
+    this.element = document.createElement('div');
+    this.element.classList.add('diff-view-changed-files');
+    this.element.tabIndex = -1;
+
+    this.header = document.createElement('div');
+    this.header.classList.add('changed-files-header', 'icon', 'icon-git-compare');
+    this.element.appendChild(this.header);
+
+    this.list = document.createElement('ul');
+    this.list.classList.add('list-tree');
+    this.element.appendChild(this.list);
+  }
+
+  getTitle() {
+    return 'Changed Files';
+  }
+
+  getIconName() {
+    return 'git-compare';
+  }
+
+  getURI() {
+    return 'atom://diff-view/changed-files';
+  }
+
+  getDefaultLocation() {
+    return 'right';
+  }
+
+  getAllowedLocations() {
+    return ['left', 'right', 'bottom'];
+  }
+
+  getElement() {
+    return this.element;
+  }
+
+  /**
+   * Lists the changed files.
+   *
+   * @param rangeText The description of the compared revisions.
+   * @param files The files returned by getChangedFiles.
+   */
+  setFiles(rangeText, files) {
+    this.header.textContent = rangeText;
+    this.list.textContent = '';
+
+    if (files.length === 0) {
+      var empty = document.createElement('li');
+      empty.classList.add('text-subtle');
+      empty.textContent = 'No changed files';
+      this.list.appendChild(empty);
+      return;
+    }
+
+    files.forEach((file, index) => {
+      var item = document.createElement('li');
+      item.classList.add('list-item', 'changed-files-entry', `status-${file.status}`);
+      item.title = file.oldPath != null ? `${file.oldPath} → ${file.path}` : file.path;
+      item.onclick = () => {
+        this._onDidClickFile(index);
+      };
+
+      var name = document.createElement('span');
+      name.classList.add('icon', `icon-${STATUS_ICONS[file.status]}`);
+      name.textContent = file.path;
+      item.appendChild(name);
+
+      this.list.appendChild(item);
+    });
+  }
+
+  /**
+   * Highlights the file being diffed.
+   *
+   * @param index The index of the file.
+   */
+  setCurrentIndex(index) {
+    Array.from(this.list.children).forEach((item, itemIndex) => {
+      item.classList.toggle('selected', itemIndex === index);
+    });
+    var currentItem = this.list.children[index];
+    if (currentItem != null) {
+      currentItem.scrollIntoView({block: 'nearest'});
+    }
+  }
+
+  destroy() {
+    this.element.remove();
+  }
+};
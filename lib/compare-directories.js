@@ -0,0 +1,154 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { computeDiffInBackground } = require('./diff-process');
+
+// folders that are never compared
+const SKIPPED_FOLDERS = ['.git', '.hg', '.svn'];
+
+/**
+ * Compares the files of two folders recursively. The first folder is the base,
+ * so files found only in the second folder are added and files found only in
+ * the first folder are removed. The lines of the modified files are counted
+ * by the diff worker, see diff-process.js.
+ *
+ * @param leftPath The path of the first folder.
+ * @param rightPath The path of the second folder.
+ * @param options The options of the comparison:
+ *    - limits: The limits of the diffs, see compute-diff.js. The lines of
+ *      the files whose sizes add up to more than maxSize are not counted.
+ *    - isCancelled: Called between the files, the comparison stops when it
+ *      returns true.
+ * @return A promise of the entries ordered by path, or of null if the
+ *    comparison was cancelled. Each entry has the relativePath, the leftPath
+ *    and rightPath of the file, the status ('added', 'removed', 'modified'
+ *    or 'identical'), the number of addedLines and removedLines, whether the
+ *    file isBinary, and whether it isTooLarge to count its lines.
+ */
+async function compareDirectories(leftPath, rightPath, options = {}) {
+  const limits = options.limits || {};
+  const isCancelled = options.isCancelled || (() => false);
+  const leftFiles = await listFiles(leftPath);
+  const rightFiles = await listFiles(rightPath);
+  const relativePaths = Array.from(new Set([...leftFiles, ...rightFiles])).sort();
+
+  const entries = [];
+  for (const relativePath of relativePaths) {
+    if (isCancelled()) {
+      return null;
+    }
+    const entry = {
+      relativePath: relativePath,
+      leftPath: path.join(leftPath, relativePath),
+      rightPath: path.join(rightPath, relativePath),
+      status: null,
+      addedLines: 0,
+      removedLines: 0,
+      isBinary: false,
+      isTooLarge: false
+    };
+    const leftSize = leftFiles.has(relativePath) ? await getFileSize(entry.leftPath) : null;
+    const rightSize = rightFiles.has(relativePath) ? await getFileSize(entry.rightPath) : null;
+    entry.isTooLarge = limits.maxSize != null && (leftSize || 0) + (rightSize || 0) > limits.maxSize;
+
+    // files of different sizes differ, large ones are not read for nothing
+    const isRead = !entry.isTooLarge || (leftSize != null && leftSize === rightSize);
+    const leftContent = leftSize != null && isRead ? await fs.promises.readFile(entry.leftPath) : null;
+    const rightContent = rightSize != null && isRead ? await fs.promises.readFile(entry.rightPath) : null;
+    entry.isBinary = isBinary(leftContent) || isBinary(rightContent);
+    const isCounted = !entry.isBinary && !entry.isTooLarge;
+
+    if (leftSize == null) {
+      entry.status = 'added';
+      entry.addedLines = isCounted ? countLines(rightContent.toString('utf8')) : 0;
+    } else if (rightSize == null) {
+      entry.status = 'removed';
+      entry.removedLines = isCounted ? countLines(leftContent.toString('utf8')) : 0;
+    } else if (isRead && leftContent.equals(rightContent)) {
+      entry.status = 'identical';
+    } else {
+      entry.status = 'modified';
+      if (isCounted) {
+        const lineCounts = await countChangedLines(leftContent.toString('utf8'), rightContent.toString('utf8'), limits);
+        entry.addedLines = lineCounts.addedLines;
+        entry.removedLines = lineCounts.removedLines;
+      }
+    }
+    entries.push(entry);
+
+    // let the editor breathe between files of a large folder
+    await new Promise((resolve) => setImmediate(resolve));
+  }
+
+  return entries;
+}
+
+/**
+ * Lists the files in a folder and its subfolders. Symbolic links to folders
+ * are not followed.
+ *
+ * @return A promise of a set of the file paths relative to the folder.
+ */
+async function listFiles(folderPath) {
+  const files = new Set();
+  const walk = async (relativeFolderPath) => {
+    const dirents = await fs.promises.readdir(path.join(folderPath, relativeFolderPath), { withFileTypes: true });
+    for (const dirent of dirents) {
+      const relativePath = path.join(relativeFolderPath, dirent.name);
+      if (dirent.isDirectory()) {
+        if (!SKIPPED_FOLDERS.includes(dirent.name)) {
+          await walk(relativePath);
+        }
+      } else if (dirent.isFile()) {
+        files.add(relativePath);
+      } else if (dirent.isSymbolicLink()) {
+        const stats = await fs.promises.stat(path.join(folderPath, relativePath)).catch(() => null);
+        if (stats != null && stats.isFile()) {
+          files.add(relativePath);
+        }
+      }
+    }
+  };
+  await walk('');
+  return files;
+}
+
+async function getFileSize(filePath) {
+  return (await fs.promises.stat(filePath)).size;
+}
+
+// counts the lines added and removed by the diff of the worker, the
+// summary fallback counts them without chunks
+function countChangedLines(leftText, rightText, limits) {
+  return new Promise((resolve, reject) => {
+    computeDiffInBackground(leftText, rightText, { limits: limits, onError: (error) => reject(new Error(String(error).split('\n')[0])) }, (computedDiff) => {
+      if (computedDiff.fallback === 'summary') {
+        resolve({ addedLines: computedDiff.addedLines, removedLines: computedDiff.removedLines });
+        return;
+      }
+      const lineCounts = { addedLines: 0, removedLines: 0 };
+      computedDiff.chunks.forEach((chunk) => {
+        lineCounts.addedLines += chunk.newLineEnd - chunk.newLineStart;
+        lineCounts.removedLines += chunk.oldLineEnd - chunk.oldLineStart;
+      });
+      resolve(lineCounts);
+    });
+  });
+}
+
+// a NUL byte in the first few kilobytes marks a binary file, like git does
+function isBinary(content) {
+  return content != null && content.subarray(0, 8000).includes(0);
+}
+
+function countLines(text) {
+  if (text === '') {
+    return 0;
+  }
+  return text.replace(/(?:\r\n|\r|\n)$/, '').split(/\r\n|\r|\n/).length;
+}
+
+module.exports = {
+  compareDirectories
+};
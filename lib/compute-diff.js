@@ -1,39 +1,184 @@
-var fs = require( 'fs' );
+var { diffPatience, diffHistogram, diffLineHashes } = require('./diff-algorithms');
+var { hasLineKeyRules, createLineKey, ignoreBlankChunks } = require('./ignore-rules');
 
-var oldTextPath = process.argv[2];
-var newTextPath = process.argv[3];
-var isWhitespaceIgnored = process.argv[4];
+/*
+ * Computes the diff between the two texts and returns the ordered chunks along
+ * with the line offsets needed to align both editors.
+ *
+ * ignoreRules tells the differences that are ignored, see ignore-rules.js.
+ * The chunks of blank lines it ignores are returned apart as ignoredChunks.
+ *
+ * isWindow tells the texts are whole lines taken out of longer texts, their
+ * trailing empty lines are then kept instead of being normalized.
+ *
+ * algorithm is the line diff used: 'myers' (the default), 'patience' or
+ * 'histogram'. The returned diff tells the algorithm its chunks come from,
+ * 'line-hash' if the fallback was used.
+ *
+ * limits optionally keeps large texts from being diffed line by line:
+ *    - maxSize: the size in characters of both texts above which the fallback is used.
+ *    - timeout: the time in milliseconds after which the fallback is used.
+ *    - fallback: 'line-hash' for a diff that only matches the lines found
+ *      once in each text, or 'summary' for the number of added and removed
+ *      lines without chunks.
+ *    - onProgress: called with the name of each step as it starts.
+ * The returned diff then tells the fallback used and the limit that was
+ * exceeded ('size' or 'time'). A summary has addedLines and removedLines.
+ */
+function computeDiff( oldText, newText, ignoreRules, isWindow, algorithm, limits ) {
+  ignoreRules = ignoreRules || {};
+  algorithm = algorithm || 'myers';
+  limits = limits || {};
+  var onProgress = limits.onProgress || function() {};
 
-var oldText = fs.readFileSync( oldTextPath, 'utf8' );
-var newText = fs.readFileSync( newTextPath, 'utf8' );
+  // Normalize trailing newlines to ensure consistent diff results.
+  // Strip all trailing newlines and add exactly one to both files.
+  // This prevents phantom differences when files have different trailing newline states.
+  if (!isWindow) {
+    oldText = oldText.replace(/\n+$/, '') + '\n';
+    newText = newText.replace(/\n+$/, '') + '\n';
+  }
 
-var diffChunks = _computeDiffChunks( oldText, newText, isWhitespaceIgnored );
-var offsets = _computeOffsets( diffChunks );
-var orderedChunks = _orderDiffChunks( diffChunks );
+  var lineDiff = null;
+  var exceededLimit = null;
+  if (limits.maxSize != null && oldText.length + newText.length > limits.maxSize) {
+    exceededLimit = 'size';
+  } else {
+    onProgress('lines');
+    lineDiff = _diffLines(oldText, newText, ignoreRules, algorithm, limits.timeout);
+    if (lineDiff == null) {
+      exceededLimit = 'time';
+    }
+  }
 
-console.log( JSON.stringify({
-  oldLineOffsets: offsets.oldLineOffsets,
-  newLineOffsets: offsets.newLineOffsets,
-  chunks: orderedChunks
-}));
+  if (exceededLimit != null) {
+    return computeFallbackDiff(oldText, newText, ignoreRules, exceededLimit, limits);
+  }
 
+  var diff = computeDiffFromParts( lineDiff );
+  diff.algorithm = algorithm;
+  if (ignoreRules.blankLines) {
+    ignoreBlankChunks(diff, oldText.split('\n'), newText.split('\n'));
+  }
+  return diff;
+}
 
-function _computeDiffChunks(oldText, newText, isWhitespaceIgnored) {
-  var JsDiff = require('diff');
+/*
+ * Compares normalized texts with the fallback of the limits, see computeDiff.
+ * ignoreRules are the rules of computeDiff, exceededLimit is the limit that was exceeded, 'size' or 'time'.
+ */
+function computeFallbackDiff( oldText, newText, ignoreRules, exceededLimit, limits ) {
+  var onProgress = limits.onProgress || function() {};
+  var oldLines = _splitLines(oldText, ignoreRules);
+  var newLines = _splitLines(newText, ignoreRules);
+  if (limits.fallback === 'summary') {
+    onProgress('summary');
+    var summary = _summarizeLines(oldLines, newLines);
+    return {
+      oldLineOffsets: {},
+      newLineOffsets: {},
+      chunks: [],
+      algorithm: null,
+      fallback: 'summary',
+      exceededLimit: exceededLimit,
+      addedLines: summary.addedLines,
+      removedLines: summary.removedLines
+    };
+  }
 
-  // Normalize trailing newlines to ensure consistent diff results.
-  // Strip all trailing newlines and add exactly one to both files.
-  // This prevents phantom differences when files have different trailing newline states.
-  oldText = oldText.replace(/\n+$/, '') + '\n';
-  newText = newText.replace(/\n+$/, '') + '\n';
+  onProgress('line-hash');
+  var diff = computeDiffFromParts( diffLineHashes(oldLines, newLines) );
+  diff.algorithm = 'line-hash';
+  diff.fallback = 'line-hash';
+  diff.exceededLimit = exceededLimit;
+  if (ignoreRules.blankLines) {
+    ignoreBlankChunks(diff, oldText.split('\n'), newText.split('\n'));
+  }
+  return diff;
+}
+
+/*
+ * Gets the ordered chunks and the line offsets of a line diff in the format
+ * of jsdiff, a list of unchanged, removed and added parts with their count.
+ */
+function computeDiffFromParts( lineDiff ) {
+  var diffChunks = _computeDiffChunks( lineDiff );
+  var offsets = _computeOffsets( diffChunks );
+  var orderedChunks = _orderDiffChunks( diffChunks );
 
+  return {
+    oldLineOffsets: offsets.oldLineOffsets,
+    newLineOffsets: offsets.newLineOffsets,
+    chunks: orderedChunks
+  };
+}
+
+module.exports = {
+  computeDiff,
+  computeFallbackDiff,
+  computeDiffFromParts
+};
+
+
+/*
+ * Diffs the lines with the algorithm, returns null if it takes longer than the timeout.
+ */
+function _diffLines(oldText, newText, ignoreRules, algorithm, timeout) {
+  if (algorithm === 'patience') {
+    return diffPatience(_splitLines(oldText, ignoreRules), _splitLines(newText, ignoreRules), timeout);
+  }
+  if (algorithm === 'histogram') {
+    return diffHistogram(_splitLines(oldText, ignoreRules), _splitLines(newText, ignoreRules), timeout);
+  }
+
+  var JsDiff = require('diff');
+  var options = timeout != null ? {timeout: timeout} : {};
   var lineDiff;
-  if (isWhitespaceIgnored == 'true') {
-    lineDiff = JsDiff.diffTrimmedLines(oldText, newText);
+  if (hasLineKeyRules(ignoreRules)) {
+    // jsdiff only ignores whitespace, the other rules diff the keys of the lines
+    lineDiff = JsDiff.diffArrays(_splitLines(oldText, ignoreRules), _splitLines(newText, ignoreRules), options);
+  } else if (ignoreRules.whitespace) {
+    lineDiff = JsDiff.diffTrimmedLines(oldText, newText, options);
   } else {
-    lineDiff = JsDiff.diffLines(oldText, newText);
+    lineDiff = JsDiff.diffLines(oldText, newText, options);
   }
+  return lineDiff || null;
+}
+
+/*
+ * Splits the normalized text into the keys its lines are compared by.
+ */
+function _splitLines(text, ignoreRules) {
+  var lines = text.split('\n');
+  lines.pop(); // the text ends with a newline
+  return lines.map(createLineKey(ignoreRules));
+}
+
+/*
+ * Counts the lines added and removed without locating them.
+ */
+function _summarizeLines(oldLines, newLines) {
+  var counts = new Map();
+  oldLines.forEach(function(line) {
+    counts.set(line, (counts.get(line) || 0) + 1);
+  });
+  var addedLines = 0;
+  newLines.forEach(function(line) {
+    var count = counts.get(line) || 0;
+    if (count > 0) {
+      counts.set(line, count - 1);
+    } else {
+      addedLines++;
+    }
+  });
+  var removedLines = 0;
+  counts.forEach(function(count) {
+    removedLines += count;
+  });
+  return {addedLines: addedLines, removedLines: removedLines};
+}
 
+function _computeDiffChunks(lineDiff) {
   var chunks = [];
   var nextOffset = 0;
   var offset = 0;
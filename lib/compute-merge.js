@@ -0,0 +1,135 @@
+'use strict';
+
+/*
+ * Combines the diff of base -> ours and the diff of base -> theirs into merge
+ * chunks. Chunks of both sides whose base ranges overlap or touch are grouped
+ * together, like git does, and classified as:
+ *    'ours'     - only ours changed this region
+ *    'theirs'   - only theirs changed this region
+ *    'same'     - both sides made the identical change
+ *    'conflict' - both sides changed this region differently
+ *
+ * @param oursChunks The chunks computed by compute-diff.js for base (old) -> ours (new).
+ * @param theirsChunks The chunks computed by compute-diff.js for base (old) -> theirs (new).
+ * @param oursLines The lines of the ours text.
+ * @param theirsLines The lines of the theirs text.
+ * @return An array of merge chunks ordered by their base line position. The
+ *    oursChanged/theirsChanged flags tell which sides differ from the base.
+ */
+function computeMergeChunks(oursChunks, theirsChunks, oursLines, theirsLines) {
+  var changes = [];
+  oursChunks.forEach(function(chunk) {
+    changes.push({ side: 'ours', chunk: chunk });
+  });
+  theirsChunks.forEach(function(chunk) {
+    changes.push({ side: 'theirs', chunk: chunk });
+  });
+  changes.sort(function(a, b) {
+    return (a.chunk.oldLineStart - b.chunk.oldLineStart) || (a.chunk.oldLineEnd - b.chunk.oldLineEnd);
+  });
+
+  var mergeChunks = [];
+  // line delta (new - old) of each side accumulated by the groups already processed
+  var oursDelta = 0;
+  var theirsDelta = 0;
+  var i = 0;
+
+  while (i < changes.length) {
+    // group every change that overlaps or touches the current group
+    var group = [changes[i]];
+    var baseLineStart = changes[i].chunk.oldLineStart;
+    var baseLineEnd = changes[i].chunk.oldLineEnd;
+    i++;
+    while (i < changes.length && changes[i].chunk.oldLineStart <= baseLineEnd) {
+      group.push(changes[i]);
+      baseLineEnd = Math.max(baseLineEnd, changes[i].chunk.oldLineEnd);
+      i++;
+    }
+
+    var oursGroupDelta = 0;
+    var theirsGroupDelta = 0;
+    var hasOurs = false;
+    var hasTheirs = false;
+    group.forEach(function(change) {
+      var delta = (change.chunk.newLineEnd - change.chunk.newLineStart) - (change.chunk.oldLineEnd - change.chunk.oldLineStart);
+      if (change.side === 'ours') {
+        hasOurs = true;
+        oursGroupDelta += delta;
+      } else {
+        hasTheirs = true;
+        theirsGroupDelta += delta;
+      }
+    });
+
+    var mergeChunk = {
+      baseLineStart: baseLineStart,
+      baseLineEnd: baseLineEnd,
+      oursLineStart: baseLineStart + oursDelta,
+      oursLineEnd: baseLineEnd + oursDelta + oursGroupDelta,
+      theirsLineStart: baseLineStart + theirsDelta,
+      theirsLineEnd: baseLineEnd + theirsDelta + theirsGroupDelta,
+      oursChanged: hasOurs,
+      theirsChanged: hasTheirs
+    };
+
+    if (hasOurs && hasTheirs) {
+      var oursText = oursLines.slice(mergeChunk.oursLineStart, mergeChunk.oursLineEnd).join('\n');
+      var theirsText = theirsLines.slice(mergeChunk.theirsLineStart, mergeChunk.theirsLineEnd).join('\n');
+      mergeChunk.type = oursText === theirsText ? 'same' : 'conflict';
+    } else {
+      mergeChunk.type = hasOurs ? 'ours' : 'theirs';
+    }
+
+    mergeChunks.push(mergeChunk);
+    oursDelta += oursGroupDelta;
+    theirsDelta += theirsGroupDelta;
+  }
+
+  return mergeChunks;
+}
+
+/*
+ * Applies the changes that merge without conflict to the base text: the
+ * regions only one side changed take that side and the regions both sides
+ * changed identically take ours. Conflicts and resolved regions keep the
+ * base text.
+ *
+ * @param baseText The text the merge chunks were computed against.
+ * @param oursText The text of the ours side.
+ * @param theirsText The text of the theirs side.
+ * @param mergeChunks The chunks computed by computeMergeChunks.
+ * @return The merged text.
+ */
+function applyMergeChunks(baseText, oursText, theirsText, mergeChunks) {
+  var baseLines = splitLines(baseText);
+  var oursLines = splitLines(oursText);
+  var theirsLines = splitLines(theirsText);
+  var mergedLines = [];
+  var baseLine = 0;
+
+  mergeChunks.forEach(function(mergeChunk) {
+    mergedLines.push.apply(mergedLines, baseLines.slice(baseLine, mergeChunk.baseLineStart));
+    if (mergeChunk.type === 'ours' || mergeChunk.type === 'same') {
+      mergedLines.push.apply(mergedLines, oursLines.slice(mergeChunk.oursLineStart, mergeChunk.oursLineEnd));
+    } else if (mergeChunk.type === 'theirs') {
+      mergedLines.push.apply(mergedLines, theirsLines.slice(mergeChunk.theirsLineStart, mergeChunk.theirsLineEnd));
+    } else {
+      mergedLines.push.apply(mergedLines, baseLines.slice(mergeChunk.baseLineStart, mergeChunk.baseLineEnd));
+    }
+    baseLine = mergeChunk.baseLineEnd;
+  });
+  mergedLines.push.apply(mergedLines, baseLines.slice(baseLine));
+
+  return mergedLines.join('');
+}
+
+// splits a text into its lines, keeping the line endings so that the merged
+// text keeps the ones of the side it takes each line from
+function splitLines(text) {
+  return text.match(/[^\n]*\n|[^\n]+$/g) || [];
+}
+
+module.exports = {
+  computeMergeChunks,
+  applyMergeChunks
+};
@@ -0,0 +1,245 @@
+'use strict';
+
+const JsDiff = require('diff');
+const { computeFallbackDiff, computeDiffFromParts } = require('./compute-diff');
+const { createLineKey, ignoreBlankChunks } = require('./ignore-rules');
+
+// a renamed identifier is only taken as a rename if it changed in this many places
+const MIN_RENAME_OCCURRENCES = 2;
+
+/**
+ * Computes the diff of two texts from the leaf nodes of their syntax trees,
+ * see syntax-tokens.js. The tokens are aligned rather than the lines, so:
+ *    - A line is unchanged when its tokens are, along with the spacing between
+ *      them. Identifiers renamed consistently across the text count as
+ *      unchanged, the renames are listed apart.
+ *    - Lines whose tokens are all unchanged but laid out differently, like
+ *      reformatted code, are chunks marked with isFormatOnly.
+ * The diff has the format of computeDiff, with algorithm 'syntax' and the
+ * renames: a list of objects with from, to and the count of places, and
+ * renamedTokens with the oldTokens and newTokens ranges of each place.
+ *
+ * @param oldText The text of the left editor.
+ * @param newText The text of the right editor.
+ * @param oldTokens The tokens of the left editor.
+ * @param newTokens The tokens of the right editor.
+ * @param ignoreRules The rules of computeDiff. With whitespace, the spacing
+ *    between tokens is ignored. The other rules apply to the lines around
+ *    the chunks, the tokens are compared as they are.
+ * @param limits The limits of computeDiff, the fallback compares the lines.
+ * @return The diff.
+ */
+function computeSyntaxDiff(oldText, newText, oldTokens, newTokens, ignoreRules, limits) {
+  ignoreRules = ignoreRules || {};
+  limits = limits || {};
+  const onProgress = limits.onProgress || function () {};
+
+  oldText = oldText.replace(/\n+$/, '') + '\n';
+  newText = newText.replace(/\n+$/, '') + '\n';
+  if (limits.maxSize != null && oldText.length + newText.length > limits.maxSize) {
+    return computeFallbackDiff(oldText, newText, ignoreRules, 'size', limits);
+  }
+
+  onProgress('syntax');
+  const options = limits.timeout != null ? { timeout: limits.timeout } : {};
+  const tokenDiff = JsDiff.diffArrays(oldTokens.map((token) => token.text), newTokens.map((token) => token.text), options);
+  if (tokenDiff == null) {
+    return computeFallbackDiff(oldText, newText, ignoreRules, 'time', limits);
+  }
+
+  const oldLines = oldText.split('\n');
+  oldLines.pop();
+  const newLines = newText.split('\n');
+  newLines.pop();
+  const getLineKey = createLineKey(ignoreRules);
+  const isLineEqual = (oldRow, newRow) => getLineKey(oldLines[oldRow]) === getLineKey(newLines[newRow]);
+
+  const matches = matchTokens(tokenDiff, oldTokens, newTokens);
+  const oldRows = groupTokensByRow(oldTokens, oldLines.length);
+  const newRows = groupTokensByRow(newTokens, newLines.length);
+  const anchors = findEqualRows(oldRows, newRows, oldTokens, newTokens, oldLines, newLines, matches.oldToNew, !!ignoreRules.whitespace);
+
+  // the lines between the equal lines are the chunks, less the equal lines
+  // at their edges, like blank lines
+  const parts = [];
+  const flags = [];
+  const addPart = (type, count) => {
+    if (count > 0) {
+      parts.push({ added: type === 'added', removed: type === 'removed', count: count });
+    }
+  };
+  let oldRow = 0;
+  let newRow = 0;
+  anchors.concat([{ oldRow: oldLines.length, newRow: newLines.length }]).forEach((anchor) => {
+    let start = 0;
+    while (oldRow + start < anchor.oldRow && newRow + start < anchor.newRow && isLineEqual(oldRow + start, newRow + start)) {
+      start++;
+    }
+    let end = 0;
+    while (oldRow + start + end < anchor.oldRow && newRow + start + end < anchor.newRow && isLineEqual(anchor.oldRow - end - 1, anchor.newRow - end - 1)) {
+      end++;
+    }
+    const oldStart = oldRow + start;
+    const oldEnd = anchor.oldRow - end;
+    const newStart = newRow + start;
+    const newEnd = anchor.newRow - end;
+
+    addPart('common', start);
+    addPart('removed', oldEnd - oldStart);
+    addPart('added', newEnd - newStart);
+    if (oldEnd > oldStart || newEnd > newStart) {
+      const isMatched = (rows, start, end, tokenMatches) => rows.slice(start, end).every((row) => row.every((index) => tokenMatches[index] != null));
+      flags.push({ isFormatOnly: isMatched(oldRows, oldStart, oldEnd, matches.oldToNew) && isMatched(newRows, newStart, newEnd, matches.newToOld) });
+    }
+    addPart('common', end + (anchor.oldRow < oldLines.length ? 1 : 0));
+    oldRow = anchor.oldRow + 1;
+    newRow = anchor.newRow + 1;
+  });
+
+  const diff = computeDiffFromParts(parts);
+  // the chunks are separated by equal lines, they come in the order of the flags
+  diff.chunks.forEach((chunk, index) => {
+    if (flags[index].isFormatOnly) {
+      chunk.isFormatOnly = true;
+    }
+  });
+  diff.algorithm = 'syntax';
+  diff.renames = matches.renames;
+  diff.renamedTokens = matches.renamedTokens;
+  if (ignoreRules.blankLines) {
+    ignoreBlankChunks(diff, oldLines, newLines);
+  }
+  return diff;
+}
+
+module.exports = {
+  computeSyntaxDiff
+};
+
+
+/*
+ * Pairs the unchanged tokens, and the identifiers renamed the same way in
+ * several places.
+ */
+function matchTokens(tokenDiff, oldTokens, newTokens) {
+  const oldToNew = new Array(oldTokens.length);
+  const newToOld = new Array(newTokens.length);
+
+  // the identifiers changed into another one, in changes of equal length
+  const candidates = [];
+  let oldIndex = 0;
+  let newIndex = 0;
+  tokenDiff.forEach((part, partIndex) => {
+    if (!part.added && !part.removed) {
+      for (let i = 0; i < part.count; i++) {
+        oldToNew[oldIndex + i] = newIndex + i;
+        newToOld[newIndex + i] = oldIndex + i;
+      }
+      oldIndex += part.count;
+      newIndex += part.count;
+    } else if (part.removed) {
+      const nextPart = tokenDiff[partIndex + 1];
+      if (nextPart != null && nextPart.added && nextPart.count === part.count) {
+        for (let i = 0; i < part.count; i++) {
+          const oldToken = oldTokens[oldIndex + i];
+          const newToken = newTokens[newIndex + i];
+          if (oldToken.isIdentifier && newToken.isIdentifier) {
+            candidates.push({ oldIndex: oldIndex + i, newIndex: newIndex + i, from: oldToken.text, to: newToken.text });
+          }
+        }
+      }
+      oldIndex += part.count;
+    } else {
+      newIndex += part.count;
+    }
+  });
+
+  // a rename always turns the identifier into the same one
+  const renamesByName = new Map();
+  candidates.forEach((candidate) => {
+    const rename = renamesByName.get(candidate.from);
+    if (rename == null) {
+      renamesByName.set(candidate.from, { from: candidate.from, to: candidate.to, count: 1, isConsistent: true });
+    } else {
+      rename.count++;
+      rename.isConsistent = rename.isConsistent && rename.to === candidate.to;
+    }
+  });
+  const isRename = (rename) => rename.isConsistent && rename.count >= MIN_RENAME_OCCURRENCES;
+
+  const renamedTokens = { oldTokens: [], newTokens: [] };
+  candidates.forEach((candidate) => {
+    if (isRename(renamesByName.get(candidate.from))) {
+      oldToNew[candidate.oldIndex] = candidate.newIndex;
+      newToOld[candidate.newIndex] = candidate.oldIndex;
+      renamedTokens.oldTokens.push(getRange(oldTokens[candidate.oldIndex]));
+      renamedTokens.newTokens.push(getRange(newTokens[candidate.newIndex]));
+    }
+  });
+  const renames = Array.from(renamesByName.values()).filter(isRename).map((rename) => {
+    return { from: rename.from, to: rename.to, count: rename.count };
+  });
+
+  return { oldToNew, newToOld, renames, renamedTokens };
+}
+
+function getRange(token) {
+  return { row: token.startRow, startColumn: token.startColumn, endColumn: token.endColumn };
+}
+
+// the indexes of the tokens starting on each row
+function groupTokensByRow(tokens, lineCount) {
+  const rows = [];
+  for (let row = 0; row < lineCount; row++) {
+    rows.push([]);
+  }
+  tokens.forEach((token, index) => {
+    if (token.startRow < lineCount) {
+      rows[token.startRow].push(index);
+    }
+  });
+  return rows;
+}
+
+/*
+ * Finds the rows whose tokens all match the tokens of a row of the other
+ * text, with the same spacing between them. They come in order, like the
+ * matched tokens.
+ */
+function findEqualRows(oldRows, newRows, oldTokens, newTokens, oldLines, newLines, oldToNew, isWhitespaceIgnored) {
+  const anchors = [];
+  let lastNewRow = -1;
+  oldRows.forEach((tokenIndexes, oldRow) => {
+    if (tokenIndexes.length === 0) {
+      return;
+    }
+    const firstMatch = oldToNew[tokenIndexes[0]];
+    if (firstMatch == null) {
+      return;
+    }
+    const newRow = newTokens[firstMatch].startRow;
+    if (newRow <= lastNewRow || newRows[newRow].length !== tokenIndexes.length) {
+      return;
+    }
+    const isRowMatched = tokenIndexes.every((index, i) => oldToNew[index] === newRows[newRow][i]);
+    if (isRowMatched && getLayout(oldLines[oldRow], oldRow, tokenIndexes, oldTokens, isWhitespaceIgnored) === getLayout(newLines[newRow], newRow, newRows[newRow], newTokens, isWhitespaceIgnored)) {
+      anchors.push({ oldRow, newRow });
+      lastNewRow = newRow;
+    }
+  });
+  return anchors;
+}
+
+// the line with its tokens left out, it tells how the tokens are laid out
+function getLayout(line, row, tokenIndexes, tokens, isWhitespaceIgnored) {
+  let layout = '';
+  let column = 0;
+  tokenIndexes.forEach((index) => {
+    const token = tokens[index];
+    layout += line.slice(column, token.startColumn) + '\u0000';
+    // a token going on to the next rows ends the layout of this row
+    column = token.endRow === row ? token.endColumn : line.length;
+  });
+  layout += line.slice(column);
+  return isWhitespaceIgnored ? layout.replace(/\s+/g, '') : layout;
+}
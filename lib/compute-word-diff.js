@@ -1,12 +1,38 @@
 'use babel';
 
-function computeWordDiff(oldText: string, newText: string): WordDiff {
+// the parts of identifiers, split at camelCase humps and underscores, and
+// the single characters between them
+var SUBWORD_REGEXP = /[A-Z]+(?![a-z])|[A-Z]?[a-z]+|[0-9]+|_+|\s+|./gu;
+
+/**
+ * Diffs the words of two lines.
+ *
+ * @param oldText The old line.
+ * @param newText The new line.
+ * @param granularity What the lines are diffed by: 'word' (the default),
+ *    'char', 'subword' for the parts of camelCase and snake_case identifiers,
+ *    or 'grammar' for the tokens of the grammar.
+ * @param oldTokens The texts of the grammar tokens of the old line, they are
+ *    diffed by words without them.
+ * @param newTokens The texts of the grammar tokens of the new line.
+ * @return The addedWords and removedWords, the changed ones marked changed.
+ */
+function computeWordDiff(oldText: string, newText: string, granularity: ?string, oldTokens: ?Array<string>, newTokens: ?Array<string>): WordDiff {
   var addedWords = [];
   var removedWords = [];
 
   if (oldText && newText) { // defensive fix for #60
     var JsDiff = require('diff');
-    var wordDiff = JsDiff.diffWordsWithSpace(oldText, newText);
+    var wordDiff;
+    if (granularity == 'char') {
+      wordDiff = JsDiff.diffChars(oldText, newText);
+    } else if (granularity == 'subword') {
+      wordDiff = _diffTokens(oldText.match(SUBWORD_REGEXP), newText.match(SUBWORD_REGEXP));
+    } else if (granularity == 'grammar' && oldTokens && newTokens) {
+      wordDiff = _diffTokens(oldTokens, newTokens);
+    } else {
+      wordDiff = JsDiff.diffWordsWithSpace(oldText, newText);
+    }
 
     // split into two lists: added + removed
     wordDiff.forEach(part => {
@@ -29,6 +55,17 @@ function computeWordDiff(oldText: string, newText: string): WordDiff {
   };
 }
 
+/*
+ * Diffs the tokens of two lines, the parts hold the text of their tokens like
+ * the parts of a word diff.
+ */
+function _diffTokens(oldTokens: Array<string>, newTokens: Array<string>) {
+  var JsDiff = require('diff');
+  return JsDiff.diffArrays(oldTokens, newTokens).map(part => {
+    return {added: part.added, removed: part.removed, count: part.count, value: part.value.join('')};
+  });
+}
+
 module.exports = {
   computeWordDiff
 };
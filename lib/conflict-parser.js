@@ -0,0 +1,79 @@
+'use strict';
+
+var OURS_MARKER = /^<{7}(?:\s|$)/;
+var BASE_MARKER = /^\|{7}(?:\s|$)/;
+var SEPARATOR_MARKER = /^={7}\s*$/;
+var THEIRS_MARKER = /^>{7}(?:\s|$)/;
+
+/*
+ * Splits a text containing git conflict markers into the ours and theirs
+ * versions. Text outside of the conflicts goes to both versions, the base
+ * section of diff3 style conflicts is dropped.
+ *
+ * @param text The text containing the conflict markers.
+ * @return An object with the oursText, the theirsText and the number of
+ *    conflicts found, or null if the conflict markers are malformed.
+ */
+function parseConflicts(text) {
+  // keep the line endings with each line so the versions keep them too
+  var lines = text.match(/[^\r\n]*(?:\r\n|\r|\n)|[^\r\n]+$/g) || [];
+  var oursLines = [];
+  var theirsLines = [];
+  var numConflicts = 0;
+  // one of 'none', 'ours', 'base' or 'theirs'
+  var section = 'none';
+
+  for (var i = 0; i < lines.length; i++) {
+    var line = lines[i];
+    var lineText = line.replace(/(?:\r\n|\r|\n)$/, '');
+
+    if (section === 'none') {
+      if (OURS_MARKER.test(lineText)) {
+        section = 'ours';
+      } else {
+        oursLines.push(line);
+        theirsLines.push(line);
+      }
+    } else if (section === 'ours') {
+      if (BASE_MARKER.test(lineText)) {
+        section = 'base';
+      } else if (SEPARATOR_MARKER.test(lineText)) {
+        section = 'theirs';
+      } else if (OURS_MARKER.test(lineText) || THEIRS_MARKER.test(lineText)) {
+        return null;
+      } else {
+        oursLines.push(line);
+      }
+    } else if (section === 'base') {
+      if (SEPARATOR_MARKER.test(lineText)) {
+        section = 'theirs';
+      } else if (OURS_MARKER.test(lineText) || THEIRS_MARKER.test(lineText)) {
+        return null;
+      }
+    } else if (section === 'theirs') {
+      if (THEIRS_MARKER.test(lineText)) {
+        section = 'none';
+        numConflicts++;
+      } else if (OURS_MARKER.test(lineText) || SEPARATOR_MARKER.test(lineText)) {
+        return null;
+      } else {
+        theirsLines.push(line);
+      }
+    }
+  }
+
+  // a conflict that never ends
+  if (section !== 'none') {
+    return null;
+  }
+
+  return {
+    oursText: oursLines.join(''),
+    theirsText: theirsLines.join(''),
+    numConflicts: numConflicts
+  };
+}
+
+module.exports = {
+  parseConflicts
+};
@@ -0,0 +1,120 @@
+'use strict';
+
+// the fewest non-blank lines a block needs to be taken as moved, shorter
+// blocks match somewhere else by chance too often
+const MIN_MOVED_LINES = 3;
+// a line added more often than this can't start a moved block, like a lone brace
+const MAX_CANDIDATES = 32;
+
+/**
+ * Finds the blocks of lines removed in one chunk and added in another one.
+ * Lines are compared without their indentation, so a block moved into or out
+ * of a nested scope is found too. Up to a third of the lines of a block may be
+ * edited, as long as the block starts and ends on matching lines.
+ *
+ * @param chunks The chunks of the diff.
+ * @param getOldLine Gets the text of a line of the left editor.
+ * @param getNewLine Gets the text of a line of the right editor.
+ * @return The moves ordered by their left line, with oldLineStart, oldLineEnd,
+ *    newLineStart, newLineEnd and the oldChunkIndex and newChunkIndex the
+ *    lines belong to. Both sides of a move have as many lines, paired in order.
+ */
+function detectMoves(chunks, getOldLine, getNewLine) {
+  const oldKeys = new Map();
+  const newKeys = new Map();
+  const newChunkIndexes = new Map();
+  // the rows of the added lines, by their text
+  const addedRows = new Map();
+  chunks.forEach((chunk, chunkIndex) => {
+    for (let row = chunk.oldLineStart; row < chunk.oldLineEnd; row++) {
+      oldKeys.set(row, getOldLine(row).trim());
+    }
+    for (let row = chunk.newLineStart; row < chunk.newLineEnd; row++) {
+      const key = getNewLine(row).trim();
+      newKeys.set(row, key);
+      newChunkIndexes.set(row, chunkIndex);
+      if (key !== '') {
+        const rows = addedRows.get(key);
+        if (rows != null) {
+          rows.push(row);
+        } else {
+          addedRows.set(key, [row]);
+        }
+      }
+    }
+  });
+
+  const usedNewRows = new Set();
+  // the length of the block starting at the two rows, or 0 if it is not a move
+  const getBlockLength = (oldRow, newRow, oldChunk, newChunk) => {
+    let length = 0;
+    let matchedLength = 0;
+    let numMatched = 0;
+    let numNonBlank = 0;
+    while (oldRow + length < oldChunk.oldLineEnd && newRow + length < newChunk.newLineEnd && !usedNewRows.has(newRow + length)) {
+      const oldKey = oldKeys.get(oldRow + length);
+      if (oldKey === newKeys.get(newRow + length)) {
+        numMatched++;
+        if (oldKey !== '') {
+          numNonBlank++;
+        }
+        length++;
+        matchedLength = length;
+      } else if (oldRow + length + 1 < oldChunk.oldLineEnd && newRow + length + 1 < newChunk.newLineEnd && oldKeys.get(oldRow + length + 1) === newKeys.get(newRow + length + 1)) {
+        // an edited line, the block goes on if the next lines match again
+        length++;
+      } else {
+        break;
+      }
+    }
+    if (numNonBlank < MIN_MOVED_LINES || (matchedLength - numMatched) * 3 > matchedLength) {
+      return 0;
+    }
+    return matchedLength;
+  };
+
+  const moves = [];
+  chunks.forEach((oldChunk, oldChunkIndex) => {
+    let oldRow = oldChunk.oldLineStart;
+    while (oldRow < oldChunk.oldLineEnd) {
+      const rows = addedRows.get(oldKeys.get(oldRow)) || [];
+      let best = null;
+      if (rows.length <= MAX_CANDIDATES) {
+        rows.forEach((newRow) => {
+          const newChunkIndex = newChunkIndexes.get(newRow);
+          // lines removed and added in the same chunk were edited rather than moved
+          if (newChunkIndex === oldChunkIndex || usedNewRows.has(newRow)) {
+            return;
+          }
+          const length = getBlockLength(oldRow, newRow, oldChunk, chunks[newChunkIndex]);
+          if (length > 0 && (best == null || length > best.length)) {
+            best = { newRow, newChunkIndex, length };
+          }
+        });
+      }
+      if (best == null) {
+        oldRow++;
+        continue;
+      }
+
+      moves.push({
+        oldLineStart: oldRow,
+        oldLineEnd: oldRow + best.length,
+        newLineStart: best.newRow,
+        newLineEnd: best.newRow + best.length,
+        oldChunkIndex: oldChunkIndex,
+        newChunkIndex: best.newChunkIndex
+      });
+      for (let row = best.newRow; row < best.newRow + best.length; row++) {
+        usedNewRows.add(row);
+      }
+      oldRow += best.length;
+    }
+  });
+
+  return moves;
+}
+
+module.exports = {
+  detectMoves
+};
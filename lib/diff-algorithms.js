@@ -0,0 +1,311 @@
+'use strict';
+
+const JsDiff = require('diff');
+
+// a line found more often than this in a range is not used to align the
+// histogram diff, like in git
+const MAX_HISTOGRAM_CHAIN = 64;
+
+/*
+ * Line diffs other than jsdiff's Myers diff. They take the lines as compared
+ * and return the parts in the format of jsdiff: the unchanged, removed and
+ * added runs of lines with their count, a change being removed then added.
+ */
+
+/**
+ * Patience diff: the lines found once in both ranges are matched in order and
+ * the ranges between them are diffed again. A range without such lines is
+ * diffed with Myers.
+ *
+ * @param oldLines The lines of the old text.
+ * @param newLines The lines of the new text.
+ * @param timeout The time in milliseconds after which the diff is given up.
+ * @return The parts, or null if the diff took longer than the timeout.
+ */
+function diffPatience(oldLines, newLines, timeout) {
+  return diffRanges(oldLines, newLines, timeout, (range) => {
+    const anchors = longestIncreasingPairs(getUniquePairs(oldLines, newLines, range));
+    if (anchors.length === 0) {
+      return null;
+    }
+
+    // the ranges between the anchors, then the anchors themselves
+    const steps = [];
+    let oldStart = range.oldStart;
+    let newStart = range.newStart;
+    anchors.forEach((anchor) => {
+      steps.push({ oldStart, oldEnd: anchor.oldIndex, newStart, newEnd: anchor.newIndex });
+      steps.push({ common: 1 });
+      oldStart = anchor.oldIndex + 1;
+      newStart = anchor.newIndex + 1;
+    });
+    steps.push({ oldStart, oldEnd: range.oldEnd, newStart, newEnd: range.newEnd });
+    return steps;
+  });
+}
+
+/**
+ * Histogram diff, as in git: the ranges are split around the longest run of
+ * equal lines holding the line found the fewest times, then diffed again. A
+ * range whose lines are all too frequent is diffed with Myers.
+ *
+ * @param oldLines The lines of the old text.
+ * @param newLines The lines of the new text.
+ * @param timeout The time in milliseconds after which the diff is given up.
+ * @return The parts, or null if the diff took longer than the timeout.
+ */
+function diffHistogram(oldLines, newLines, timeout) {
+  return diffRanges(oldLines, newLines, timeout, (range) => {
+    const occurrences = new Map();
+    for (let i = range.oldStart; i < range.oldEnd; i++) {
+      const indexes = occurrences.get(oldLines[i]);
+      if (indexes != null) {
+        indexes.push(i);
+      } else {
+        occurrences.set(oldLines[i], [i]);
+      }
+    }
+
+    let best = null;
+    for (let j = range.newStart; j < range.newEnd;) {
+      const indexes = occurrences.get(newLines[j]);
+      let nextJ = j + 1;
+      if (indexes != null && indexes.length <= MAX_HISTOGRAM_CHAIN && (best == null || indexes.length <= best.count)) {
+        for (const i of indexes) {
+          // extend the match to the run of equal lines around it
+          let oldStart = i;
+          let newStart = j;
+          while (oldStart > range.oldStart && newStart > range.newStart && oldLines[oldStart - 1] === newLines[newStart - 1]) {
+            oldStart--;
+            newStart--;
+          }
+          let oldEnd = i + 1;
+          let newEnd = j + 1;
+          while (oldEnd < range.oldEnd && newEnd < range.newEnd && oldLines[oldEnd] === newLines[newEnd]) {
+            oldEnd++;
+            newEnd++;
+          }
+          let count = indexes.length;
+          for (let k = oldStart; k < oldEnd; k++) {
+            count = Math.min(count, occurrences.get(oldLines[k]).length);
+          }
+          if (best == null || count < best.count || (count === best.count && oldEnd - oldStart > best.oldEnd - best.oldStart)) {
+            best = { oldStart, oldEnd, newStart, newEnd, count };
+          }
+          nextJ = Math.max(nextJ, newEnd);
+        }
+      }
+      j = nextJ;
+    }
+    if (best == null) {
+      return null;
+    }
+
+    return [
+      { oldStart: range.oldStart, oldEnd: best.oldStart, newStart: range.newStart, newEnd: best.newStart },
+      { common: best.oldEnd - best.oldStart },
+      { oldStart: best.oldEnd, oldEnd: range.oldEnd, newStart: best.newEnd, newEnd: range.newEnd }
+    ];
+  });
+}
+
+/**
+ * Coarse diff for texts too large to diff line by line. Only the lines found
+ * once in each text are matched, in order, and the equal lines around them.
+ * The lines between the matches are removed and added as a whole.
+ *
+ * @param oldLines The lines of the old text.
+ * @param newLines The lines of the new text.
+ * @return The parts.
+ */
+function diffLineHashes(oldLines, newLines) {
+  const range = { oldStart: 0, oldEnd: oldLines.length, newStart: 0, newEnd: newLines.length };
+  const anchors = longestIncreasingPairs(getUniquePairs(oldLines, newLines, range));
+  const parts = createParts();
+
+  let oldIndex = 0;
+  let newIndex = 0;
+  anchors.concat([{ oldIndex: oldLines.length, newIndex: newLines.length }]).forEach((anchor) => {
+    const common = trimRange(oldLines, newLines, { oldStart: oldIndex, oldEnd: anchor.oldIndex, newStart: newIndex, newEnd: anchor.newIndex });
+    parts.addCommon(common.prefix);
+    parts.addChange(common.range.oldEnd - common.range.oldStart, common.range.newEnd - common.range.newStart);
+    parts.addCommon(common.suffix + (anchor.oldIndex < oldLines.length ? 1 : 0));
+    oldIndex = anchor.oldIndex + 1;
+    newIndex = anchor.newIndex + 1;
+  });
+
+  return parts.get();
+}
+
+module.exports = {
+  diffPatience,
+  diffHistogram,
+  diffLineHashes
+};
+
+
+/*
+ * Diffs the ranges of lines split by splitRange, which returns the steps
+ * replacing a range: ranges to diff again and runs of common lines. A range
+ * it doesn't split is diffed with Myers.
+ */
+function diffRanges(oldLines, newLines, timeout, splitRange) {
+  const deadline = timeout != null ? Date.now() + timeout : Infinity;
+  const parts = createParts();
+
+  // the steps left, last first, so the parts come out in order without
+  // recursing into each range
+  const steps = [{ oldStart: 0, oldEnd: oldLines.length, newStart: 0, newEnd: newLines.length }];
+  while (steps.length > 0) {
+    const step = steps.pop();
+    if (step.common != null) {
+      parts.addCommon(step.common);
+      continue;
+    }
+
+    const { prefix, suffix, range } = trimRange(oldLines, newLines, step);
+    parts.addCommon(prefix);
+    steps.push({ common: suffix });
+    if (range.oldStart === range.oldEnd || range.newStart === range.newEnd) {
+      parts.addChange(range.oldEnd - range.oldStart, range.newEnd - range.newStart);
+      continue;
+    }
+
+    if (Date.now() > deadline) {
+      return null;
+    }
+    const rangeSteps = splitRange(range);
+    if (rangeSteps != null) {
+      for (let index = rangeSteps.length - 1; index >= 0; index--) {
+        steps.push(rangeSteps[index]);
+      }
+      continue;
+    }
+
+    const options = deadline !== Infinity ? { timeout: Math.max(1, deadline - Date.now()) } : {};
+    const rangeParts = JsDiff.diffArrays(oldLines.slice(range.oldStart, range.oldEnd), newLines.slice(range.newStart, range.newEnd), options);
+    if (rangeParts == null) {
+      return null;
+    }
+    rangeParts.forEach((part) => {
+      if (part.added) {
+        parts.addChange(0, part.count);
+      } else if (part.removed) {
+        parts.addChange(part.count, 0);
+      } else {
+        parts.addCommon(part.count);
+      }
+    });
+  }
+
+  return parts.get();
+}
+
+// collects the parts, the changes between two runs of common lines are
+// joined into one removed and one added part
+function createParts() {
+  const parts = [];
+  let removed = 0;
+  let added = 0;
+  const flushChange = () => {
+    if (removed > 0) {
+      parts.push({ added: false, removed: true, count: removed });
+    }
+    if (added > 0) {
+      parts.push({ added: true, removed: false, count: added });
+    }
+    removed = 0;
+    added = 0;
+  };
+
+  return {
+    addCommon(count) {
+      if (count === 0) {
+        return;
+      }
+      flushChange();
+      const lastPart = parts[parts.length - 1];
+      if (lastPart != null && !lastPart.added && !lastPart.removed) {
+        lastPart.count += count;
+      } else {
+        parts.push({ added: false, removed: false, count: count });
+      }
+    },
+    addChange(removedCount, addedCount) {
+      removed += removedCount;
+      added += addedCount;
+    },
+    get() {
+      flushChange();
+      return parts;
+    }
+  };
+}
+
+// takes the equal lines off the start and the end of the range
+function trimRange(oldLines, newLines, range) {
+  let { oldStart, oldEnd, newStart, newEnd } = range;
+  let prefix = 0;
+  while (oldStart < oldEnd && newStart < newEnd && oldLines[oldStart] === newLines[newStart]) {
+    oldStart++;
+    newStart++;
+    prefix++;
+  }
+  let suffix = 0;
+  while (oldStart < oldEnd && newStart < newEnd && oldLines[oldEnd - 1] === newLines[newEnd - 1]) {
+    oldEnd--;
+    newEnd--;
+    suffix++;
+  }
+  return { prefix, suffix, range: { oldStart, oldEnd, newStart, newEnd } };
+}
+
+// the lines found once in both sides of the range, in the order of the old lines
+function getUniquePairs(oldLines, newLines, range) {
+  const countLines = (lines, start, end) => {
+    const counts = new Map();
+    for (let index = start; index < end; index++) {
+      const entry = counts.get(lines[index]);
+      counts.set(lines[index], { count: entry != null ? entry.count + 1 : 1, index: index });
+    }
+    return counts;
+  };
+  const oldCounts = countLines(oldLines, range.oldStart, range.oldEnd);
+  const newCounts = countLines(newLines, range.newStart, range.newEnd);
+
+  const pairs = [];
+  for (let index = range.oldStart; index < range.oldEnd; index++) {
+    const newEntry = newCounts.get(oldLines[index]);
+    if (oldCounts.get(oldLines[index]).count === 1 && newEntry != null && newEntry.count === 1) {
+      pairs.push({ oldIndex: index, newIndex: newEntry.index });
+    }
+  }
+  return pairs;
+}
+
+// the longest run of pairs whose new index increases along with the old index
+function longestIncreasingPairs(pairs) {
+  // tails[k] is the index of the pair ending the best run of length k + 1
+  const tails = [];
+  const previous = [];
+  pairs.forEach((pair, index) => {
+    let low = 0;
+    let high = tails.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (pairs[tails[mid]].newIndex < pair.newIndex) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+    previous[index] = low > 0 ? tails[low - 1] : -1;
+    tails[low] = index;
+  });
+
+  const run = [];
+  for (let index = tails.length > 0 ? tails[tails.length - 1] : -1; index >= 0; index = previous[index]) {
+    run.push(pairs[index]);
+  }
+  return run.reverse();
+}
@@ -2,6 +2,9 @@
 
 import EditorDiffExtender from './editor-diff-extender';
 import ComputeWordDiff from './compute-word-diff';
+import {detectMoves} from './detect-moves';
+import {pairLines} from './pair-lines';
+import {getLineSyntaxTokens} from './syntax-tokens';
 
 var {CompositeDisposable} = require('atom');
 
@@ -13,11 +16,19 @@ module.exports = class DiffView {
     this._editorDiffExtender1 = new EditorDiffExtender(editors.editor1);
     this._editorDiffExtender2 = new EditorDiffExtender(editors.editor2);
     this._chunks = [];
+    this._ignoredChunks = []; // chunks of ignored blank lines, they only align the editors
     this._isSelectionActive = false;
     this._selectedChunkIndex = 0;
+    this._isUnified = false;
+    this._isMoveDetectionEnabled = false;
+    this._wordDiffGranularity = 'word';
+    this._moves = [];
+    this._movedLines = {1: new Set(), 2: new Set()};
     this._COPY_HELP_MESSAGE = 'No differences selected.';
     this._markerLayers = {};
     this._subscriptions = new CompositeDisposable();
+    this._editorDiffExtender1.setCopyLineButton('Copy Line to Right', 'icon-arrow-right', (lineNumber) => this.copyLine(1, lineNumber));
+    this._editorDiffExtender2.setCopyLineButton('Copy Line to Left', 'icon-arrow-left', (lineNumber) => this.copyLine(2, lineNumber));
 
     // Set up soft-wrap change listeners for dynamic updates
     this._setupSoftWrapListeners(editors.editor1, editors.editor2);
@@ -103,6 +114,11 @@ module.exports = class DiffView {
     this._editorDiffExtender1.clearDynamicViewZones();
     this._editorDiffExtender2.clearDynamicViewZones();
 
+    // a unified diff has only one visible editor to align
+    if (this._isUnified) {
+      return;
+    }
+
     // Current position in each editor (buffer line numbers)
     var pos1 = 0;
     var pos2 = 0;
@@ -110,8 +126,9 @@ module.exports = class DiffView {
     // Track cumulative height difference
     var heightDiff = 0; // positive = editor1 taller, negative = editor2 taller
 
-    // Process chunks and unchanged regions
-    var chunks = this._chunks || [];
+    // Process chunks and unchanged regions, the ignored chunks have no
+    // highlights but still differ in length
+    var chunks = (this._chunks || []).concat(this._ignoredChunks).sort((a, b) => a.oldLineStart - b.oldLineStart);
 
     for (var i = 0; i < chunks.length; i++) {
       var chunk = chunks[i];
@@ -215,31 +232,20 @@ module.exports = class DiffView {
    */
   displayDiff(diff, addedColorSide, isWordDiffEnabled, isWhitespaceIgnored, useCustomStyle) {
     this._chunks = diff.chunks || [];
-
-    var leftHighlightType = 'added';
-    var rightHighlightType = 'removed';
-    if(addedColorSide == 'right') {
-      leftHighlightType = 'removed';
-      rightHighlightType = 'added';
-    }
-    if(useCustomStyle) {
-      leftHighlightType += '-custom';
-      rightHighlightType += '-custom';
+    this._ignoredChunks = diff.ignoredChunks || [];
+    this._detectMoves();
+
+    var highlightTypes = this._getHighlightTypes(addedColorSide, useCustomStyle);
+    var leftHighlightType = highlightTypes.left;
+    var rightHighlightType = highlightTypes.right;
+
+    this._highlightChunks(this._chunks, leftHighlightType, rightHighlightType, isWordDiffEnabled, isWhitespaceIgnored);
+    this._highlightMoves(isWordDiffEnabled, isWhitespaceIgnored);
+    if(diff.renamedTokens != null) {
+      this._editorDiffExtender1.highlightRenamedWords(diff.renamedTokens.oldTokens);
+      this._editorDiffExtender2.highlightRenamedWords(diff.renamedTokens.newTokens);
     }
-
-    for(var chunk of this._chunks) {
-      this._editorDiffExtender1.highlightLines(chunk.oldLineStart, chunk.oldLineEnd, leftHighlightType);
-      this._editorDiffExtender2.highlightLines(chunk.newLineStart, chunk.newLineEnd, rightHighlightType);
-
-      if(isWordDiffEnabled) {
-        this._highlightWordsInChunk(chunk, leftHighlightType, rightHighlightType, isWhitespaceIgnored);
-      }
-    }
-
-    this._oldLineOffsets = diff.oldLineOffsets || {};
-    this._newLineOffsets = diff.newLineOffsets || {};
-    this._editorDiffExtender1.setLineOffsets(this._oldLineOffsets);
-    this._editorDiffExtender2.setLineOffsets(this._newLineOffsets);
+    this._setLineOffsets(diff);
 
     this._markerLayers = {
       editor1: {
@@ -262,14 +268,136 @@ module.exports = class DiffView {
     });
   }
 
+  /**
+   * Updates the highlighting of a window of lines after they were diffed
+   * again, the highlights outside of the window are kept as they are.
+   *
+   * @param diff The diff with the chunks of the window spliced in.
+   * @param diffWindow The window that was diffed again, see incremental-diff.js.
+   * @param numWindowChunks The number of chunks found in the window.
+   * The other parameters are the ones of displayDiff.
+   */
+  displayDiffInWindow(diff, diffWindow, numWindowChunks, addedColorSide, isWordDiffEnabled, isWhitespaceIgnored, useCustomStyle) {
+    // the markers moved with the edits, the window ends lower or higher now
+    var oldLineEnd = diffWindow.isAtEnd ? Infinity : diffWindow.oldLineEnd + diffWindow.oldLineDelta;
+    var newLineEnd = diffWindow.isAtEnd ? Infinity : diffWindow.newLineEnd + diffWindow.newLineDelta;
+    this._editorDiffExtender1.destroyMarkersInRange(diffWindow.oldLineStart, oldLineEnd);
+    this._editorDiffExtender2.destroyMarkersInRange(diffWindow.newLineStart, newLineEnd);
+
+    // keep the selection of the chunks below the window
+    var numRemovedChunks = diffWindow.endIndex - diffWindow.startIndex;
+    var getShiftedIndex = (index) => index >= diffWindow.endIndex ? index + numWindowChunks - numRemovedChunks : index;
+    if(this._selectedChunkIndex >= diffWindow.endIndex) {
+      this._selectedChunkIndex = getShiftedIndex(this._selectedChunkIndex);
+    } else if(this._selectedChunkIndex >= diffWindow.startIndex) {
+      this._selectedChunkIndex = diffWindow.startIndex;
+    }
+
+    // the words of the chunks that were or become part of a move are
+    // highlighted again, even outside of the window
+    var movedChunkIndexes = new Set();
+    this._moves.forEach((move) => {
+      [move.oldChunkIndex, move.newChunkIndex].forEach((index) => {
+        if(index < diffWindow.startIndex || index >= diffWindow.endIndex) {
+          movedChunkIndexes.add(getShiftedIndex(index));
+        }
+      });
+    });
+
+    this._chunks = diff.chunks;
+    this._ignoredChunks = diff.ignoredChunks || [];
+    this._detectMoves();
+    var highlightTypes = this._getHighlightTypes(addedColorSide, useCustomStyle);
+    var windowChunks = this._chunks.slice(diffWindow.startIndex, diffWindow.startIndex + numWindowChunks);
+    this._highlightChunks(windowChunks, highlightTypes.left, highlightTypes.right, isWordDiffEnabled, isWhitespaceIgnored);
+
+    if(isWordDiffEnabled) {
+      this._moves.forEach((move) => {
+        movedChunkIndexes.add(move.oldChunkIndex);
+        movedChunkIndexes.add(move.newChunkIndex);
+      });
+      movedChunkIndexes.forEach((index) => {
+        var chunk = this._chunks[index];
+        if(chunk == null || (index >= diffWindow.startIndex && index < diffWindow.startIndex + numWindowChunks)) {
+          return;
+        }
+        this._editorDiffExtender1.destroyMarkersInRange(chunk.oldLineStart, chunk.oldLineEnd);
+        this._editorDiffExtender2.destroyMarkersInRange(chunk.newLineStart, chunk.newLineEnd);
+        this._highlightChunks([chunk], highlightTypes.left, highlightTypes.right, isWordDiffEnabled, isWhitespaceIgnored);
+        if(chunk.isSelected) {
+          this._editorDiffExtender1.selectLines(chunk.oldLineStart, chunk.oldLineEnd);
+          this._editorDiffExtender2.selectLines(chunk.newLineStart, chunk.newLineEnd);
+        }
+      });
+    }
+    this._highlightMoves(isWordDiffEnabled, isWhitespaceIgnored);
+    this._setLineOffsets(diff);
+
+    // Sync view zone heights for soft-wrap alignment
+    requestAnimationFrame(() => {
+      this._syncViewZoneHeights();
+    });
+  }
+
+  /**
+   * Sets whether the diff is unified, showing the lines of the right editor
+   * inline in the left editor. Takes effect with the next displayDiff.
+   *
+   * @param isUnified Whether the diff is unified.
+   */
+  setUnified(isUnified) {
+    this._isUnified = isUnified;
+  }
+
+  /**
+   * Sets whether the blocks moved from one chunk to another are detected and
+   * highlighted. Takes effect with the next displayDiff.
+   *
+   * @param isEnabled Whether moved blocks are detected.
+   */
+  setMoveDetection(isEnabled) {
+    this._isMoveDetectionEnabled = isEnabled;
+  }
+
+  /**
+   * Sets what the words of the changed lines are diffed by, see
+   * compute-word-diff.js. Takes effect with the next displayDiff.
+   *
+   * @param granularity 'word', 'char', 'subword' or 'grammar'.
+   */
+  setWordDiffGranularity(granularity) {
+    this._wordDiffGranularity = granularity;
+  }
+
   /**
    * Clears the diff highlighting and offsets from the editors.
    */
   clearDiff() {
+    this._moves = [];
+    this._movedLines = {1: new Set(), 2: new Set()};
     this._editorDiffExtender1.destroyMarkers();
     this._editorDiffExtender2.destroyMarkers();
   }
 
+  /**
+   * Moves the cursor from a moved block to the same line of the other side of
+   * the move, in the other editor.
+   *
+   * @param editor The editor whose cursor is in the moved block.
+   * @return Whether there was a moved block at the cursor.
+   */
+  jumpToMovedBlock(editor) {
+    var editorIndex = (editor === this._editorDiffExtender1.getEditor()) ? 1 : 2;
+    var row = editor.getCursorBufferPosition().row;
+    var move = this._moves.find((move) => {
+      return editorIndex === 1
+        ? move.oldLineStart <= row && row < move.oldLineEnd
+        : move.newLineStart <= row && row < move.newLineEnd;
+    });
+
+    return move != null && this._jumpToMove(move, editorIndex, row);
+  }
+
   /**
    * Called to move the current selection highlight to the next diff chunk.
    * @param isSyncScrollEnabled Only autoscroll one editor if sync scroll is enabled or we will get in an infinite loop
@@ -315,74 +443,108 @@ module.exports = class DiffView {
   }
 
   /**
-   * Copies the currently selected diff chunk from the left editor to the right
-   * editor.
+   * Selects the diff chunk at the given index, like moving to it with next or
+   * previous diff.
+   * @param index The index of the diff chunk to select.
+   * @param isSyncScrollEnabled Only autoscroll one editor if sync scroll is enabled or we will get in an infinite loop
+   * @return The index of the selected chunk, or -1 if there is no such chunk.
    */
-  copyToRight() {
-    var foundSelection = false;
-    var offset = 0; // keep track of line offset (used when there are multiple chunks being moved)
+  selectDiff(index, isSyncScrollEnabled) {
+    if(!this._selectChunk(index, true, isSyncScrollEnabled)) {
+      return -1;
+    }
+    this._isSelectionActive = true;
+    this._selectedChunkIndex = index;
 
-    for(var diffChunk of this._chunks) {
-      if(diffChunk.isSelected) {
-        foundSelection = true;
+    return this._selectedChunkIndex;
+  }
 
-        var textToCopy = this._editorDiffExtender1.getEditor().getTextInBufferRange([[diffChunk.oldLineStart, 0], [diffChunk.oldLineEnd, 0]]);
-        var lastBufferRow = this._editorDiffExtender2.getEditor().getLastBufferRow();
+  /**
+   * Gets the index of the selected diff chunk.
+   * @return The index of the selected chunk, or -1 if no chunk is selected.
+   */
+  getSelectedDiffIndex() {
+    return this._isSelectionActive ? this._selectedChunkIndex : -1;
+  }
 
-        // insert new line if the chunk we want to copy will be below the last line of the other editor
-        if((diffChunk.newLineStart + offset) > lastBufferRow) {
-          this._editorDiffExtender2.getEditor().setCursorBufferPosition([lastBufferRow, 0], {autoscroll: false});
-          this._editorDiffExtender2.getEditor().insertNewline();
-        }
+  /**
+   * Whether the last diff chunk is selected, or there is no chunk to select.
+   */
+  isLastDiffSelected() {
+    return this.getNumDifferences() === 0 || (this._isSelectionActive && this._selectedChunkIndex >= this.getNumDifferences() - 1);
+  }
 
-        this._editorDiffExtender2.getEditor().setTextInBufferRange([[diffChunk.newLineStart + offset, 0], [diffChunk.newLineEnd + offset, 0]], textToCopy);
-        // offset will be the amount of lines to be copied minus the amount of lines overwritten
-        offset += (diffChunk.oldLineEnd - diffChunk.oldLineStart) - (diffChunk.newLineEnd - diffChunk.newLineStart);
-        // move the selection pointer back so the next diff chunk is not skipped
-        if(this._editorDiffExtender1.hasSelection() || this._editorDiffExtender2.hasSelection()) {
-          this._selectedChunkIndex--;
-        }
-      }
-    }
+  /**
+   * Whether the first diff chunk is selected, or there is no chunk to select.
+   */
+  isFirstDiffSelected() {
+    return this.getNumDifferences() === 0 || (this._isSelectionActive && this._selectedChunkIndex <= 0);
+  }
 
-    if(!foundSelection) {
-      atom.notifications.addWarning('Split Diff', {detail: this._COPY_HELP_MESSAGE, dismissable: false, icon: 'diff'});
-    }
+  /**
+   * Copies the currently selected diff chunk from the left editor to the right
+   * editor. When the text selection covers only some lines of the chunk, only
+   * those lines are copied.
+   */
+  copyToRight() {
+    this._copySelectedChunks(1);
   }
 
   /**
    * Copies the currently selected diff chunk from the right editor to the left
-   * editor.
+   * editor, like copyToRight.
    */
   copyToLeft() {
-    var foundSelection = false;
-    var offset = 0; // keep track of line offset (used when there are multiple chunks being moved)
+    this._copySelectedChunks(2);
+  }
 
-    for(var diffChunk of this._chunks) {
-      if(diffChunk.isSelected) {
-        foundSelection = true;
+  /**
+   * Copies a changed line to the other editor, in place of the line it is
+   * paired with (see pair-lines.js). A line without a pair is inserted.
+   *
+   * @param editorIndex The editor of the line, 1 to copy it to the right editor.
+   * @param lineNumber The line to copy.
+   */
+  copyLine(editorIndex, lineNumber) {
+    var chunkIndex = this._getChunkIndexByLineNumber(editorIndex, lineNumber);
+    if(chunkIndex < 0) {
+      return;
+    }
+    this._copyLines(editorIndex, this._getPairedRange(this._chunks[chunkIndex], editorIndex, editorIndex, {start: lineNumber, end: lineNumber + 1}), 0);
+  }
 
-        var textToCopy = this._editorDiffExtender2.getEditor().getTextInBufferRange([[diffChunk.newLineStart, 0], [diffChunk.newLineEnd, 0]]);
-        var lastBufferRow = this._editorDiffExtender1.getEditor().getLastBufferRow();
-        // insert new line if the chunk we want to copy will be below the last line of the other editor
-        if((diffChunk.oldLineStart + offset) > lastBufferRow) {
-          this._editorDiffExtender1.getEditor().setCursorBufferPosition([lastBufferRow, 0], {autoscroll: false});
-          this._editorDiffExtender1.getEditor().insertNewline();
-        }
+  /**
+   * Copies all the lines of a chunk to the other editor, in place of its
+   * lines there, as a single undo step.
+   *
+   * @param chunk The chunk to copy.
+   * @param sourceIndex The editor copied from, 1 to copy it to the right editor.
+   */
+  copyChunk(chunk, sourceIndex) {
+    this._copyChunks([chunk], sourceIndex);
+  }
 
-        this._editorDiffExtender1.getEditor().setTextInBufferRange([[diffChunk.oldLineStart + offset, 0], [diffChunk.oldLineEnd + offset, 0]], textToCopy);
-        // offset will be the amount of lines to be copied minus the amount of lines overwritten
-        offset += (diffChunk.newLineEnd - diffChunk.newLineStart) - (diffChunk.oldLineEnd - diffChunk.oldLineStart);
-        // move the selection pointer back so the next diff chunk is not skipped
-        if(this._editorDiffExtender1.hasSelection() || this._editorDiffExtender2.hasSelection()) {
-          this._selectedChunkIndex--;
-        }
-      }
-    }
+  /**
+   * Copies all the chunks to the other editor, as a single undo step.
+   *
+   * @param sourceIndex The editor copied from, 1 to copy them to the right editor.
+   * @return Whether there was a chunk to copy.
+   */
+  copyAllChunks(sourceIndex) {
+    return this._copyChunks(this._chunks, sourceIndex);
+  }
 
-    if(!foundSelection) {
-      atom.notifications.addWarning('Split Diff', {detail: this._COPY_HELP_MESSAGE, dismissable: false, icon: 'diff'});
-    }
+  /**
+   * Copies the chunks intersecting the text selections of an editor, or the
+   * lines of its cursors, to the other editor as a single undo step.
+   *
+   * @param sourceIndex The editor copied from, 1 to copy them to the right editor.
+   * @param editor The editor of the selections, either one of the diff.
+   * @return Whether there was a chunk to copy.
+   */
+  copyChunksInRange(sourceIndex, editor) {
+    var editorIndex = (editor === this._editorDiffExtender1.getEditor()) ? 1 : 2;
+    return this._copyChunks(this._chunks.filter((chunk) => this._isChunkInRange(chunk, editorIndex)), sourceIndex);
   }
 
   /**
@@ -437,6 +599,15 @@ module.exports = class DiffView {
     return Array.isArray(this._chunks) ? this._chunks.length : 0;
   }
 
+  /**
+   * Gets the chunks that are currently selected.
+   *
+   * @return An array of the selected chunks ordered by position.
+   */
+  getSelectedChunks() {
+    return this._chunks.filter((diffChunk) => diffChunk.isSelected);
+  }
+
   /**
    * Gets the marker layers in use by the editors.
    * @return An object containing the marker layers and approriate information.
@@ -490,10 +661,10 @@ module.exports = class DiffView {
         this._editorDiffExtender2.deselectAllLines();
         // scroll the editors to position diff at 1/3 of screen height
         this._editorDiffExtender1.getEditor().setCursorBufferPosition([diffChunk.oldLineStart, 0], {autoscroll: false});
-        this._scrollToPositionAtFraction(this._editorDiffExtender1.getEditor(), diffChunk.oldLineStart, 1/3);
+        this._editorDiffExtender1.scrollToBufferRowAtFraction(diffChunk.oldLineStart, 1/3);
         this._editorDiffExtender2.getEditor().setCursorBufferPosition([diffChunk.newLineStart, 0], {autoscroll: false});
         if(!isSyncScrollEnabled) {
-          this._scrollToPositionAtFraction(this._editorDiffExtender2.getEditor(), diffChunk.newLineStart, 1/3);
+          this._editorDiffExtender2.scrollToBufferRowAtFraction(diffChunk.newLineStart, 1/3);
         }
       }
 
@@ -508,23 +679,79 @@ module.exports = class DiffView {
   }
 
   /**
-   * Scrolls the editor so that the given buffer row appears at a specific
-   * fraction of the visible height (0 = top, 0.5 = center, 1 = bottom).
-   * @param editor The text editor to scroll.
-   * @param bufferRow The buffer row to scroll to.
-   * @param fraction The fraction of visible height (0.25 = 1/4 from top).
+   * Scrolls the other editor to the line paired with the given line of a move
+   * and focuses it. There is nothing to jump to in a unified diff.
    */
-  _scrollToPositionAtFraction(editor, bufferRow, fraction) {
-    const editorView = atom.views.getView(editor);
-    if(!editorView) {
-      return;
+  _jumpToMove(move, editorIndex, lineNumber) {
+    if(this._isUnified) {
+      return false;
+    }
+
+    var targetExtender = editorIndex === 1 ? this._editorDiffExtender2 : this._editorDiffExtender1;
+    var targetLineNumber = editorIndex === 1
+      ? move.newLineStart + (lineNumber - move.oldLineStart)
+      : move.oldLineStart + (lineNumber - move.newLineStart);
+    var targetEditor = targetExtender.getEditor();
+    var pane = atom.workspace.paneForItem(targetEditor);
+    if(pane != null) {
+      pane.activateItem(targetEditor);
+      pane.activate();
     }
-    const visibleHeight = editorView.getHeight();
-    // Use pixelPositionForScreenPosition which accounts for block decorations (view zones)
-    const screenPosition = editor.screenPositionForBufferPosition([bufferRow, 0]);
-    const targetPixelPosition = editorView.pixelPositionForScreenPosition(screenPosition).top;
-    const scrollTop = targetPixelPosition - (visibleHeight * fraction);
-    editorView.setScrollTop(Math.max(0, scrollTop));
+    targetEditor.setCursorBufferPosition([targetLineNumber, 0], {autoscroll: false});
+    targetExtender.scrollToBufferRowAtFraction(targetLineNumber, 1/3);
+
+    return true;
+  }
+
+  /**
+   * Finds the blocks moved from one chunk to another, if enabled.
+   */
+  _detectMoves() {
+    var editor1 = this._editorDiffExtender1.getEditor();
+    var editor2 = this._editorDiffExtender2.getEditor();
+    this._moves = this._isMoveDetectionEnabled
+      ? detectMoves(this._chunks, (row) => editor1.lineTextForBufferRow(row), (row) => editor2.lineTextForBufferRow(row))
+      : [];
+
+    this._movedLines = {1: new Set(), 2: new Set()};
+    for(var move of this._moves) {
+      for(var row = move.oldLineStart; row < move.oldLineEnd; row++) {
+        this._movedLines[1].add(row);
+      }
+      for(var row = move.newLineStart; row < move.newLineEnd; row++) {
+        this._movedLines[2].add(row);
+      }
+    }
+  }
+
+  /**
+   * Highlights the moved blocks in both editors with links to each other. The
+   * words of a moved line are diffed against the line it was moved from.
+   */
+  _highlightMoves(isWordDiffEnabled, isWhitespaceIgnored) {
+    this._editorDiffExtender1.clearMovedLines();
+    this._editorDiffExtender2.clearMovedLines();
+
+    this._moves.forEach((move) => {
+      this._editorDiffExtender1.highlightMovedLines(move.oldLineStart, move.oldLineEnd, 'Moved to line ' + (move.newLineStart + 1), () => {
+        this._jumpToMove(move, 1, move.oldLineStart);
+      });
+      this._editorDiffExtender2.highlightMovedLines(move.newLineStart, move.newLineEnd, 'Moved from line ' + (move.oldLineStart + 1), () => {
+        this._jumpToMove(move, 2, move.newLineStart);
+      });
+
+      if(isWordDiffEnabled) {
+        for(var i = 0; i < move.oldLineEnd - move.oldLineStart; i++) {
+          var editor1LineText = this._editorDiffExtender1.getEditor().lineTextForBufferRow(move.oldLineStart + i);
+          var editor2LineText = this._editorDiffExtender2.getEditor().lineTextForBufferRow(move.newLineStart + i);
+          if(editor1LineText !== editor2LineText) {
+            var wordDiff = this._computeWordDiff(move.oldLineStart + i, move.newLineStart + i);
+            this._editorDiffExtender1.setMovedWordHighlights(move.oldLineStart + i, wordDiff.removedWords, isWhitespaceIgnored);
+            this._editorDiffExtender2.setMovedWordHighlights(move.newLineStart + i, wordDiff.addedWords, isWhitespaceIgnored);
+          }
+        }
+      }
+    });
   }
 
   /**
@@ -551,15 +778,186 @@ module.exports = class DiffView {
   }
 
   /**
-   * Highlights the word diff of the chunk passed in.
+   * Shows the right editor lines of a chunk inline above its left editor lines,
+   * with the words that differ from the paired left line highlighted.
+   *
+   * @param chunk The chunk to show inline.
+   */
+  _addInlineChunk(chunk, rightHighlightType, isWordDiffEnabled, isWhitespaceIgnored) {
+    if(chunk.newLineStart == chunk.newLineEnd) {
+      return;
+    }
+
+    var leftLineNumbers = [];
+    for(var leftLineNumber = chunk.oldLineStart; leftLineNumber < chunk.oldLineEnd; leftLineNumber++) {
+      leftLineNumbers.push(leftLineNumber);
+    }
+    var rightLineNumbers = [];
+    for(var rightLineNumber = chunk.newLineStart; rightLineNumber < chunk.newLineEnd; rightLineNumber++) {
+      rightLineNumbers.push(rightLineNumber);
+    }
+    var pairedLeftLines = isWordDiffEnabled ? this._pairLines(leftLineNumbers, rightLineNumbers) : new Map();
+
+    var inlineLines = [];
+    rightLineNumbers.forEach((rightLineNumber) => {
+      var editor2LineText = this._editorDiffExtender2.getEditor().lineTextForBufferRow(rightLineNumber);
+      var wordDiff = null;
+      if(isWordDiffEnabled) {
+        var leftLineNumber = pairedLeftLines.get(rightLineNumber);
+        if(leftLineNumber == null || editor2LineText == '' || this._editorDiffExtender1.getEditor().lineTextForBufferRow(leftLineNumber) == '') {
+          // lines without a counterpart are highlighted as a whole
+          wordDiff = [{changed: true, value: editor2LineText}];
+        } else {
+          wordDiff = this._computeWordDiff(leftLineNumber, rightLineNumber).addedWords;
+        }
+      }
+      inlineLines.push({text: editor2LineText, wordDiff: wordDiff});
+    });
+
+    this._editorDiffExtender1.addInlineLines(chunk.oldLineStart, inlineLines, rightHighlightType, isWhitespaceIgnored);
+  }
+
+  /**
+   * Gets the highlight types of the left and right editors.
+   */
+  _getHighlightTypes(addedColorSide, useCustomStyle) {
+    var leftHighlightType = 'added';
+    var rightHighlightType = 'removed';
+    if(addedColorSide == 'right') {
+      leftHighlightType = 'removed';
+      rightHighlightType = 'added';
+    }
+    if(useCustomStyle) {
+      leftHighlightType += '-custom';
+      rightHighlightType += '-custom';
+    }
+
+    return {left: leftHighlightType, right: rightHighlightType};
+  }
+
+  /**
+   * Highlights the lines and words of the chunks passed in. The chunks of a
+   * syntax aware diff that only changed the layout of the code are
+   * highlighted as formatted, without word diff.
+   */
+  _highlightChunks(chunks, leftHighlightType, rightHighlightType, isWordDiffEnabled, isWhitespaceIgnored) {
+    for(var chunk of chunks) {
+      this._addChunkActions(chunk);
+      if(chunk.isFormatOnly) {
+        this._editorDiffExtender1.highlightLines(chunk.oldLineStart, chunk.oldLineEnd, 'formatted');
+        this._editorDiffExtender2.highlightLines(chunk.newLineStart, chunk.newLineEnd, 'formatted');
+        if(this._isUnified) {
+          this._addInlineChunk(chunk, 'formatted', false, isWhitespaceIgnored);
+        }
+        continue;
+      }
+
+      this._editorDiffExtender1.highlightLines(chunk.oldLineStart, chunk.oldLineEnd, leftHighlightType);
+      this._editorDiffExtender2.highlightLines(chunk.newLineStart, chunk.newLineEnd, rightHighlightType);
+
+      if(isWordDiffEnabled) {
+        this._highlightWordsInChunk(chunk, leftHighlightType, rightHighlightType, isWhitespaceIgnored);
+      }
+      if(this._isUnified) {
+        this._addInlineChunk(chunk, rightHighlightType, isWordDiffEnabled, isWhitespaceIgnored);
+      }
+    }
+  }
+
+  /**
+   * Adds the buttons of a chunk to the gutters: an arrow copying it to the
+   * other editor and a revert button taking the lines of the other editor.
+   * Hovering a button previews the lines it would copy.
+   */
+  _addChunkActions(chunk) {
+    for(var editorIndex of [1, 2]) {
+      var lines = this._getChunkLines(chunk, editorIndex);
+      var actions = [this._createChunkAction(editorIndex, editorIndex, editorIndex == 1 ? 'icon-arrow-right' : 'icon-arrow-left', editorIndex == 1 ? 'Copy Chunk to Right' : 'Copy Chunk to Left')];
+      // a side without lines is reverted by the arrow of the other side
+      if(lines.start < lines.end) {
+        actions.push(this._createChunkAction(editorIndex, 3 - editorIndex, 'icon-history', 'Revert Chunk'));
+      }
+      (editorIndex == 1 ? this._editorDiffExtender1 : this._editorDiffExtender2).addChunkActions(lines.start, actions);
+    }
+  }
+
+  /**
+   * Creates a button of _addChunkActions. The chunk is looked up from the
+   * line of the button when it is used: the diffs of the edits replace the
+   * chunks below them without drawing their buttons again.
+   */
+  _createChunkAction(editorIndex, sourceIndex, iconClass, title) {
+    return {
+      iconClass: iconClass,
+      title: title,
+      onClick: (lineNumber) => {
+        var chunk = this._getChunkByActionLine(editorIndex, lineNumber);
+        if(chunk != null) {
+          this.copyChunk(chunk, sourceIndex);
+        }
+      },
+      onHover: (isHovered, lineNumber) => this._previewChunkCopy(this._getChunkByActionLine(editorIndex, lineNumber), sourceIndex, isHovered)
+    };
+  }
+
+  /**
+   * Gets the chunk whose buttons are at a line of an editor, or null. The
+   * buttons of the chunks starting after the last line are on the last line.
+   */
+  _getChunkByActionLine(editorIndex, lineNumber) {
+    var lastBufferRow = (editorIndex == 1 ? this._editorDiffExtender1 : this._editorDiffExtender2).getEditor().getLastBufferRow();
+    var chunk = this._chunks.find((chunk) => {
+      var start = this._getChunkLines(chunk, editorIndex).start;
+      return start == lineNumber || (lineNumber == lastBufferRow && start > lastBufferRow);
+    });
+    return chunk || null;
+  }
+
+  /**
+   * Shows or hides the lines a copy of the chunk would put in the other
+   * editor, in place of the lines it would replace.
+   */
+  _previewChunkCopy(chunk, sourceIndex, isShown) {
+    var sourceEditor = (sourceIndex == 1 ? this._editorDiffExtender1 : this._editorDiffExtender2).getEditor();
+    var targetExtender = sourceIndex == 1 ? this._editorDiffExtender2 : this._editorDiffExtender1;
+    // the right editor of a unified diff is hidden
+    if(!isShown || chunk == null || (sourceIndex == 1 && this._isUnified)) {
+      targetExtender.hidePreview();
+      return;
+    }
+
+    var source = this._getChunkLines(chunk, sourceIndex);
+    var target = this._getChunkLines(chunk, 3 - sourceIndex);
+    var lines = [];
+    for(var lineNumber = source.start; lineNumber < source.end; lineNumber++) {
+      lines.push(sourceEditor.lineTextForBufferRow(lineNumber));
+    }
+    targetExtender.showPreview(target.start, target.end, lines);
+  }
+
+  _setLineOffsets(diff) {
+    this._oldLineOffsets = diff.oldLineOffsets || {};
+    this._newLineOffsets = diff.newLineOffsets || {};
+    this._editorDiffExtender1.setLineOffsets(this._oldLineOffsets);
+    this._editorDiffExtender2.setLineOffsets(this._newLineOffsets);
+  }
+
+  /**
+   * Highlights the word diff of the chunk passed in. The lines of moved
+   * blocks are left out, they are diffed against the other side of the move.
+   * The other lines are paired by similarity, the lines without a similar
+   * line are highlighted as a whole.
    *
    * @param chunk The chunk that should have its words highlighted.
    */
   _highlightWordsInChunk(chunk, leftHighlightType, rightHighlightType, isWhitespaceIgnored) {
-    var leftLineNumber = chunk.oldLineStart;
-    var rightLineNumber = chunk.newLineStart;
+    var leftLineNumbers = this._getUnmovedLines(1, chunk.oldLineStart, chunk.oldLineEnd);
+    var rightLineNumbers = this._getUnmovedLines(2, chunk.newLineStart, chunk.newLineEnd);
+    var pairedLeftLines = this._pairLines(leftLineNumbers, rightLineNumbers);
+    var pairedLeftLineNumbers = new Set(pairedLeftLines.values());
+
     // for each line that has a corresponding line
-    while(leftLineNumber < chunk.oldLineEnd && rightLineNumber < chunk.newLineEnd) {
+    pairedLeftLines.forEach((leftLineNumber, rightLineNumber) => {
       var editor1LineText = this._editorDiffExtender1.getEditor().lineTextForBufferRow(leftLineNumber);
       var editor2LineText = this._editorDiffExtender2.getEditor().lineTextForBufferRow(rightLineNumber);
 
@@ -573,25 +971,299 @@ module.exports = class DiffView {
         this._editorDiffExtender1.setWordHighlights(leftLineNumber, [{changed: true, value: editor1LineText}], leftHighlightType, isWhitespaceIgnored);
       } else {
         // perform regular word diff
-        var wordDiff = ComputeWordDiff.computeWordDiff(editor1LineText, editor2LineText);
+        var wordDiff = this._computeWordDiff(leftLineNumber, rightLineNumber);
         this._editorDiffExtender1.setWordHighlights(leftLineNumber, wordDiff.removedWords, leftHighlightType, isWhitespaceIgnored);
         this._editorDiffExtender2.setWordHighlights(rightLineNumber, wordDiff.addedWords, rightHighlightType, isWhitespaceIgnored);
       }
+    });
+
+    // highlight the unpaired lines in the left editor
+    leftLineNumbers.forEach((leftLineNumber) => {
+      if(!pairedLeftLineNumbers.has(leftLineNumber)) {
+        var editor1LineText = this._editorDiffExtender1.getEditor().lineTextForBufferRow(leftLineNumber);
+        this._editorDiffExtender1.setWordHighlights(leftLineNumber, [{changed: true, value: editor1LineText}], leftHighlightType, isWhitespaceIgnored);
+      }
+    });
+    // highlight the unpaired lines in the right editor
+    rightLineNumbers.forEach((rightLineNumber) => {
+      if(!pairedLeftLines.has(rightLineNumber)) {
+        this._editorDiffExtender2.setWordHighlights(rightLineNumber, [{changed: true, value: this._editorDiffExtender2.getEditor().lineTextForBufferRow(rightLineNumber)}], rightHighlightType, isWhitespaceIgnored);
+      }
+    });
+  }
+
+  /**
+   * Copies the selected chunks from one editor to the other, as a single
+   * undo step.
+   *
+   * @param sourceIndex The editor copied from, 1 for the left editor.
+   */
+  _copySelectedChunks(sourceIndex) {
+    // the ranges depend on the text selections, which the copies move
+    var ranges = this._chunks.filter((diffChunk) => diffChunk.isSelected).map((diffChunk) => this._getCopyRange(diffChunk, sourceIndex));
+    var foundSelection = ranges.length > 0;
+    var offset = 0; // keep track of line offset (used when there are multiple chunks being moved)
+
+    var targetEditor = (sourceIndex == 1 ? this._editorDiffExtender2 : this._editorDiffExtender1).getEditor();
+    targetEditor.transact(() => {
+      for(var range of ranges) {
+        // offset will be the amount of lines to be copied minus the amount of lines overwritten
+        offset += this._copyLines(sourceIndex, range, offset);
+        // move the selection pointer back so the next diff chunk is not skipped
+        if(this._editorDiffExtender1.hasSelection() || this._editorDiffExtender2.hasSelection()) {
+          this._selectedChunkIndex--;
+        }
+      }
+    });
+
+    if(!foundSelection) {
+      atom.notifications.addWarning('Split Diff', {detail: this._COPY_HELP_MESSAGE, dismissable: false, icon: 'diff'});
+    }
+  }
+
+  /**
+   * Replaces lines of the target editor with lines of the source editor.
+   *
+   * @param sourceIndex The editor copied from, 1 for the left editor.
+   * @param range The sourceStart, sourceEnd, targetStart and targetEnd lines.
+   * @param offset The lines added to the target editor above the range by
+   *    the previous copies.
+   * @return The number of lines added to the target editor.
+   */
+  _copyLines(sourceIndex, range, offset) {
+    var sourceEditor = (sourceIndex == 1 ? this._editorDiffExtender1 : this._editorDiffExtender2).getEditor();
+    var targetEditor = (sourceIndex == 1 ? this._editorDiffExtender2 : this._editorDiffExtender1).getEditor();
+    var textToCopy = sourceEditor.getTextInBufferRange([[range.sourceStart, 0], [range.sourceEnd, 0]]);
+    var lastBufferRow = targetEditor.getLastBufferRow();
+
+    // insert new line if the chunk we want to copy will be below the last line of the other editor
+    if((range.targetStart + offset) > lastBufferRow) {
+      targetEditor.setCursorBufferPosition([lastBufferRow, 0], {autoscroll: false});
+      targetEditor.insertNewline();
+    }
+
+    targetEditor.setTextInBufferRange([[range.targetStart + offset, 0], [range.targetEnd + offset, 0]], textToCopy);
+    return (range.sourceEnd - range.sourceStart) - (range.targetEnd - range.targetStart);
+  }
+
+  /**
+   * Copies whole chunks, in order, with the edits of the target editor
+   * grouped in one transaction.
+   *
+   * @return Whether there was a chunk to copy.
+   */
+  _copyChunks(chunks, sourceIndex) {
+    if(chunks.length == 0) {
+      return false;
+    }
+    var targetEditor = (sourceIndex == 1 ? this._editorDiffExtender2 : this._editorDiffExtender1).getEditor();
+    var offset = 0;
+    targetEditor.transact(() => {
+      for(var chunk of chunks) {
+        offset += this._copyLines(sourceIndex, this._getWholeRange(chunk, sourceIndex), offset);
+      }
+    });
+    return true;
+  }
 
-      leftLineNumber++;
-      rightLineNumber++;
+  /**
+   * Tells whether the lines of a chunk in an editor intersect its text
+   * selections. The empty selections take in the line of their cursor, and
+   * a chunk without lines in the editor takes the line below it.
+   */
+  _isChunkInRange(chunk, editorIndex) {
+    var editor = (editorIndex == 1 ? this._editorDiffExtender1 : this._editorDiffExtender2).getEditor();
+    var lines = this._getChunkLines(chunk, editorIndex);
+    var endLine = Math.max(lines.end, lines.start + 1);
+    return editor.getSelectedBufferRanges().some((range) => {
+      // a selection ending at the start of a line doesn't take it in
+      var rangeEnd = (range.end.column == 0 && range.end.row > range.start.row) ? range.end.row : range.end.row + 1;
+      return range.start.row < endLine && lines.start < rangeEnd;
+    });
+  }
+
+  /**
+   * Gets all the lines of a chunk as a range to copy.
+   *
+   * @return The sourceStart, sourceEnd, targetStart and targetEnd lines.
+   */
+  _getWholeRange(chunk, sourceIndex) {
+    var source = this._getChunkLines(chunk, sourceIndex);
+    var target = this._getChunkLines(chunk, 3 - sourceIndex);
+    return {sourceStart: source.start, sourceEnd: source.end, targetStart: target.start, targetEnd: target.end};
+  }
+
+  /**
+   * Gets the lines of a chunk to copy. They are all of its lines, unless the
+   * text selection of one of the editors covers only some of them: these
+   * lines then replace, or are replaced by, the lines paired with them.
+   *
+   * @return The sourceStart, sourceEnd, targetStart and targetEnd lines.
+   */
+  _getCopyRange(chunk, sourceIndex) {
+    var targetIndex = 3 - sourceIndex;
+    var source = this._getChunkLines(chunk, sourceIndex);
+    var target = this._getChunkLines(chunk, targetIndex);
+    var wholeRange = this._getWholeRange(chunk, sourceIndex);
+
+    for(var editorIndex of [sourceIndex, targetIndex]) {
+      var lines = editorIndex == sourceIndex ? source : target;
+      var selectedLines = this._getSelectedLines(editorIndex, lines.start, lines.end);
+      if(selectedLines != null) {
+        var isPartial = selectedLines.start > lines.start || selectedLines.end < lines.end;
+        return isPartial ? this._getPairedRange(chunk, sourceIndex, editorIndex, selectedLines) : wholeRange;
+      }
     }
+    return wholeRange;
+  }
 
-    // highlight remaining lines in left editor
-    while(leftLineNumber < chunk.oldLineEnd) {
-      var editor1LineText = this._editorDiffExtender1.getEditor().lineTextForBufferRow(leftLineNumber);
-      this._editorDiffExtender1.setWordHighlights(leftLineNumber, [{changed: true, value: editor1LineText}], leftHighlightType, isWhitespaceIgnored);
-      leftLineNumber++;
+  /**
+   * Gets the lines paired with some lines of a chunk, as a range to copy.
+   *
+   * @param sourceIndex The editor copied from.
+   * @param editorIndex The editor of the lines.
+   * @param lines The start and end of the lines.
+   * @return The sourceStart, sourceEnd, targetStart and targetEnd lines.
+   */
+  _getPairedRange(chunk, sourceIndex, editorIndex, lines) {
+    var otherIndex = 3 - editorIndex;
+    var chunkLines = this._getChunkLines(chunk, editorIndex);
+    var otherChunkLines = this._getChunkLines(chunk, otherIndex);
+    var lineNumbers = [];
+    for(var lineNumber = chunkLines.start; lineNumber < chunkLines.end; lineNumber++) {
+      lineNumbers.push(lineNumber);
+    }
+    var otherLineNumbers = [];
+    for(var otherLineNumber = otherChunkLines.start; otherLineNumber < otherChunkLines.end; otherLineNumber++) {
+      otherLineNumbers.push(otherLineNumber);
     }
-    // highlight remaining lines in the right editor
-    while(rightLineNumber < chunk.newLineEnd) {
-      this._editorDiffExtender2.setWordHighlights(rightLineNumber, [{changed: true, value: this._editorDiffExtender2.getEditor().lineTextForBufferRow(rightLineNumber)}], rightHighlightType, isWhitespaceIgnored);
-      rightLineNumber++;
+
+    // the pairs of the lines, from the line to its paired other line, in order
+    var pairs = [];
+    var pairedLeftLines = editorIndex == 1 ? this._pairLines(lineNumbers, otherLineNumbers) : this._pairLines(otherLineNumbers, lineNumbers);
+    pairedLeftLines.forEach((leftLineNumber, rightLineNumber) => {
+      pairs.push(editorIndex == 1 ? {line: leftLineNumber, other: rightLineNumber} : {line: rightLineNumber, other: leftLineNumber});
+    });
+
+    // the other lines span the pairs of the lines, without pairs they go
+    // after the pair above the lines
+    var otherStart = otherChunkLines.start;
+    var otherEnd = null;
+    pairs.forEach((pair) => {
+      if(pair.line < lines.start) {
+        otherStart = pair.other + 1;
+      } else if(pair.line < lines.end) {
+        otherStart = otherEnd == null ? pair.other : otherStart;
+        otherEnd = pair.other + 1;
+      }
+    });
+    if(otherEnd == null) {
+      otherEnd = otherStart;
+    }
+
+    return editorIndex == sourceIndex
+      ? {sourceStart: lines.start, sourceEnd: lines.end, targetStart: otherStart, targetEnd: otherEnd}
+      : {sourceStart: otherStart, sourceEnd: otherEnd, targetStart: lines.start, targetEnd: lines.end};
+  }
+
+  /**
+   * Gets the lines of a chunk in an editor.
+   */
+  _getChunkLines(chunk, editorIndex) {
+    return editorIndex == 1 ? {start: chunk.oldLineStart, end: chunk.oldLineEnd} : {start: chunk.newLineStart, end: chunk.newLineEnd};
+  }
+
+  /**
+   * Gets the lines within the range covered by the text selections of an
+   * editor, or null if none is.
+   */
+  _getSelectedLines(editorIndex, startLine, endLine) {
+    // the right editor of a unified diff is hidden, its selection doesn't count
+    if(editorIndex == 2 && this._isUnified) {
+      return null;
+    }
+    var editor = (editorIndex == 1 ? this._editorDiffExtender1 : this._editorDiffExtender2).getEditor();
+    var selectedLines = null;
+    editor.getSelectedBufferRanges().forEach((range) => {
+      if(range.isEmpty()) {
+        return;
+      }
+      // a selection ending at the start of a line doesn't take it in
+      var rangeEnd = (range.end.column == 0 && range.end.row > range.start.row) ? range.end.row : range.end.row + 1;
+      var start = Math.max(startLine, range.start.row);
+      var end = Math.min(endLine, rangeEnd);
+      if(start < end) {
+        selectedLines = selectedLines == null ? {start: start, end: end} : {start: Math.min(selectedLines.start, start), end: Math.max(selectedLines.end, end)};
+      }
+    });
+    return selectedLines;
+  }
+
+  /**
+   * Pairs the lines of the left and right editor by similarity, see pair-lines.js.
+   *
+   * @return A map from the paired right line numbers to their left line numbers.
+   */
+  _pairLines(leftLineNumbers, rightLineNumbers) {
+    var editor1 = this._editorDiffExtender1.getEditor();
+    var editor2 = this._editorDiffExtender2.getEditor();
+    var pairs = pairLines(leftLineNumbers.map((lineNumber) => editor1.lineTextForBufferRow(lineNumber)), rightLineNumbers.map((lineNumber) => editor2.lineTextForBufferRow(lineNumber)));
+    var pairedLeftLines = new Map();
+    pairs.forEach((pair) => {
+      pairedLeftLines.set(rightLineNumbers[pair.newIndex], leftLineNumbers[pair.oldIndex]);
+    });
+    return pairedLeftLines;
+  }
+
+  /**
+   * Diffs the words of a line of the left editor and a line of the right
+   * editor, with the granularity of the diff.
+   */
+  _computeWordDiff(leftLineNumber, rightLineNumber) {
+    var editor1 = this._editorDiffExtender1.getEditor();
+    var editor2 = this._editorDiffExtender2.getEditor();
+    var oldTokens = null;
+    var newTokens = null;
+    if(this._wordDiffGranularity == 'grammar') {
+      oldTokens = this._getGrammarTokens(editor1, leftLineNumber);
+      newTokens = this._getGrammarTokens(editor2, rightLineNumber);
+    }
+    return ComputeWordDiff.computeWordDiff(editor1.lineTextForBufferRow(leftLineNumber), editor2.lineTextForBufferRow(rightLineNumber), this._wordDiffGranularity, oldTokens, newTokens);
+  }
+
+  /**
+   * Gets the texts of the grammar tokens of a line, from the tokenized lines
+   * of a TextMate grammar or the syntax tree of a Tree-sitter grammar, or null
+   * if the language mode has neither.
+   */
+  _getGrammarTokens(editor, lineNumber) {
+    var languageMode = editor.getBuffer().getLanguageMode();
+    var tokens = null;
+    if(typeof languageMode.tokenizedLineForRow == 'function') {
+      var tokenizedLine = languageMode.tokenizedLineForRow(lineNumber);
+      if(tokenizedLine != null && tokenizedLine.tokens != null) {
+        tokens = tokenizedLine.tokens.map((token) => token.value);
+      }
+    } else {
+      tokens = getLineSyntaxTokens(editor, lineNumber);
+    }
+    if(tokens == null) {
+      return null;
+    }
+    // the tokens must add up to the line to be highlighted at their place
+    return tokens.join('') == editor.lineTextForBufferRow(lineNumber) ? tokens : null;
+  }
+
+  /**
+   * Gets the line numbers in the range that are not part of a moved block.
+   */
+  _getUnmovedLines(editorIndex, startLine, endLine) {
+    var lineNumbers = [];
+    for(var lineNumber = startLine; lineNumber < endLine; lineNumber++) {
+      if(!this._movedLines[editorIndex].has(lineNumber)) {
+        lineNumbers.push(lineNumber);
+      }
     }
+    return lineNumbers;
   }
 };
@@ -0,0 +1,154 @@
+'use strict';
+
+const { Task } = require('atom');
+
+// the worker computing the diffs of the window, started by the first diff
+let worker = null;
+let nextRequestId = 1;
+// the requests waiting for their diff, with their callbacks, by request ID
+const pendingRequests = new Map();
+
+function getWorker() {
+  if (worker == null) {
+    worker = new Task(require.resolve('./diff-worker'));
+    worker.on('diff-view:computed', (requestId, computedDiff) => {
+      // the result of a cancelled request is stale, drop it
+      const pendingRequest = pendingRequests.get(requestId);
+      if (pendingRequest != null) {
+        pendingRequests.delete(requestId);
+        pendingRequest.callback(computedDiff);
+      }
+    });
+    worker.on('diff-view:progress', (requestId, step) => {
+      const pendingRequest = pendingRequests.get(requestId);
+      if (pendingRequest != null && pendingRequest.onProgress != null) {
+        pendingRequest.onProgress(step);
+      }
+    });
+    worker.on('diff-view:failed', (requestId, error) => {
+      console.log('Diff worker failed: ' + error);
+      const pendingRequest = pendingRequests.get(requestId);
+      if (pendingRequest != null) {
+        pendingRequests.delete(requestId);
+        if (pendingRequest.onError != null) {
+          pendingRequest.onError(error);
+        }
+      }
+    });
+    worker.start();
+
+    // a worker that dies on its own fails the requests it had
+    const task = worker;
+    task.childProcess.on('exit', () => {
+      if (worker === task) {
+        worker = null;
+        failPendingRequests('The diff worker stopped unexpectedly.');
+      }
+    });
+  }
+  return worker;
+}
+
+function failPendingRequests(error) {
+  const failedRequests = Array.from(pendingRequests.values());
+  pendingRequests.clear();
+  failedRequests.forEach((pendingRequest) => {
+    if (pendingRequest.onError != null) {
+      pendingRequest.onError(error);
+    }
+  });
+}
+
+/**
+ * Computes the diff of two texts in the background. The texts are sent to a
+ * worker shared by all diffs of the window, which is kept alive between diffs.
+ *
+ * @param oldText The text of the left editor.
+ * @param newText The text of the right editor.
+ * @param options The options of the diff:
+ *    - isWhitespaceIgnored: Whether whitespace should be ignored.
+ *    - ignoreRules: The other differences that are ignored, blankLines,
+ *      lineEndings, case and patterns, see ignore-rules.js.
+ *    - algorithm: The line diff, 'myers' (the default), 'patience' or 'histogram'.
+ *    - limits: The size and time limits of the diff, see compute-diff.js.
+ *    - syntaxTokens: The oldTokens and newTokens of the syntax trees of the
+ *      texts, the diff then aligns them instead of the lines, see
+ *      compute-syntax-diff.js.
+ *    - onProgress: Called with the name of each step of the diff as it starts.
+ *    - onError: Called with the error of the worker if the diff fails, the
+ *      callback is then not called.
+ * @param callback Called with the computed diff, unless the request is
+ *    cancelled first.
+ * @return The request, call its cancel method to drop it, or its abort method
+ *    to also stop the diff if it is running.
+ */
+function computeDiffInBackground(oldText, newText, options, callback) {
+  return sendRequest(oldText, newText, false, options, callback);
+}
+
+/**
+ * Computes the diff of a window of whole lines of two texts in the
+ * background, like computeDiffInBackground. The trailing empty lines of the
+ * window are diffed as they are.
+ */
+function computeWindowDiffInBackground(oldText, newText, options, callback) {
+  return sendRequest(oldText, newText, true, options, callback);
+}
+
+function sendRequest(oldText, newText, isWindow, options, callback) {
+  const requestId = nextRequestId++;
+  const message = {
+    event: 'diff-view:compute',
+    requestId,
+    oldText,
+    newText,
+    isWhitespaceIgnored: !!options.isWhitespaceIgnored,
+    ignoreRules: options.ignoreRules || null,
+    isWindow,
+    algorithm: options.algorithm || 'myers',
+    limits: options.limits || null,
+    syntaxTokens: options.syntaxTokens || null
+  };
+  pendingRequests.set(requestId, { message, callback, onProgress: options.onProgress, onError: options.onError });
+  getWorker().send(message);
+
+  return {
+    cancel() {
+      if (pendingRequests.delete(requestId) && worker != null) {
+        worker.send({ event: 'diff-view:cancel', requestId });
+      }
+    },
+    abort() {
+      if (pendingRequests.delete(requestId) && worker != null) {
+        restartWorker();
+      }
+    }
+  };
+}
+
+/*
+ * The worker can't be interrupted in the middle of a diff, it is replaced by a
+ * new one which gets the other pending requests again.
+ */
+function restartWorker() {
+  worker.terminate();
+  worker = null;
+  pendingRequests.forEach((pendingRequest) => getWorker().send(pendingRequest.message));
+}
+
+/**
+ * Stops the worker, the pending requests are dropped.
+ */
+function terminateDiffWorker() {
+  pendingRequests.clear();
+  if (worker != null) {
+    worker.terminate();
+    worker = null;
+  }
+}
+
+module.exports = {
+  computeDiffInBackground,
+  computeWindowDiffInBackground,
+  terminateDiffWorker
+};
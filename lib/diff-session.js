@@ -0,0 +1,882 @@
+'use strict';
+
+const { CompositeDisposable, Emitter } = require('atom');
+const DiffView = require('./diff-display');
+const FooterView = require('./footer-view');
+const SyncScroll = require('./sync-scroll');
+const BufferExtender = require('./buffer-extender');
+const { computeDiffInBackground, computeWindowDiffInBackground } = require('./diff-process');
+const { countDiffLines, addEditToRegion, getDiffWindow, spliceDiff } = require('./incremental-diff');
+const { getSyntaxTokens } = require('./syntax-tokens');
+const { compileIgnorePatterns } = require('./ignore-rules');
+
+// the steps of a diff as shown in the footer while it takes long
+const PROGRESS_STEPS = {
+  lines: 'Diffing',
+  syntax: 'Syntax diff',
+  'line-hash': 'Line hash diff',
+  summary: 'Counting lines'
+};
+
+// the word diff granularities by their setting, see compute-word-diff.js
+const WORD_DIFF_GRANULARITIES = {
+  Word: 'word',
+  Character: 'char',
+  Subword: 'subword',
+  'Grammar Token': 'grammar'
+};
+
+/**
+ * Drives a diff between a left (editor1) and a right (editor2) editor. The
+ * session keeps the diff up to date and owns its footer, scroll sync and
+ * options, so several diffs can be live at once. Only the footer of the active
+ * session is shown.
+ */
+module.exports = class DiffSession {
+  /*
+   * @param editors Object with editor1 and editor2, and optional properties
+   *    describing the diff:
+   *    - wasEditor1Created/wasEditor2Created: the editor was created for the
+   *      diff and is removed again when it ends.
+   *    - conflictResolution: the conflicted file the left editor is applied to.
+   *    - gitDiff: the git history the right editor steps through.
+   *    - gitIndex: the staged version the hunks are staged to or unstaged from.
+   *    - patchApply: the hunks of the patch previewed in the right editor.
+   * @param options Optional properties used to override the user's settings.
+   */
+  constructor(editors, options = {}) {
+    this.editors = { editor1: editors.editor1, editor2: editors.editor2 };
+    this.options = options;
+    this.wasEditor1Created = editors.wasEditor1Created === true;
+    this.wasEditor2Created = editors.wasEditor2Created === true;
+    this.conflictResolution = editors.conflictResolution || null;
+    this.gitDiff = editors.gitDiff || null;
+    this.gitIndex = editors.gitIndex || null;
+    this.patchApply = editors.patchApply || null;
+    this.emitter = new Emitter();
+    this.editorSubscriptions = null;
+    this.lineEndingSubscription = null;
+    this.contextMenuSubscriptions = null;
+    this.syncScroll = null;
+    this.diffRequest = null;
+    // the displayed diff, and the regions edited since, which are diffed again
+    // on their own when auto diff picks up the edits
+    this.computedDiff = null;
+    this.editedRegions = { editor1: null, editor2: null };
+    // the timer updating the progress of a full diff in the footer
+    this.progressInterval = null;
+    // the fallback the user was last told about, so auto diff doesn't repeat it
+    this.notifiedFallback = null;
+    // whether the user was told the syntax aware diff fell back to lines
+    this.notifiedMissingSyntax = false;
+    // the word diff granularity picked in the footer for this diff only
+    this.wordDiffGranularity = null;
+    // the invalid ignore patterns the user was last told about
+    this.notifiedInvalidPatterns = null;
+    this.hiddenPane = null;
+    this.hiddenPaneSubscription = null;
+    this.hasGitRepo = false;
+    this.originalEditor1SoftWrap = null;
+    this.originalEditor2SoftWrap = null;
+    this.isActive = true;
+    this.isDestroyed = false;
+
+    this._setupVisibleEditors();
+    this.diffView = new DiffView(this.editors);
+    this._setupEditorSubscriptions();
+
+    const softWrapEnabled = this.getEditors().some((editor) => editor.isSoftWrapped());
+    this.footerView = new FooterView(this._getOption('ignoreWhitespace'), this.options.ignoreWhitespace != null, this._getOption('autoDiff'), this.options.autoDiff != null, softWrapEnabled);
+    this.footerView.createPanel();
+    this.footerView.setUnifiedMode(this._getOption('unifiedMode'));
+    this.footerView.setDiffAlgorithm(this._getDiffAlgorithm(), this.options.diffAlgorithm != null);
+    this._updateIgnoreRuleButtons();
+    this.footerView.setWordDiffGranularity(this._getWordDiffGranularity());
+    if (this.conflictResolution != null) {
+      this.footerView.showApplyButton('diff-view:apply-resolution', 'Apply Resolution');
+    }
+    if (this.gitDiff != null && this.gitDiff.commit != null) {
+      this.footerView.setRevision(this.gitDiff.commit);
+    }
+    if (this.gitIndex != null) {
+      this.footerView.showIndexButton(this.gitIndex.isStaged);
+    }
+    if (this.patchApply != null) {
+      const countHunks = (status) => this.patchApply.hunks.filter((hunk) => hunk.status === status).length;
+      this.footerView.showPatchButtons(countHunks('fuzzy'), countHunks('failed'));
+    }
+    this.footerView.show();
+
+    this._setupContextMenu();
+
+    // update diff if there is no git repo (no onchange fired)
+    if (!this.hasGitRepo) {
+      this.updateDiff();
+    }
+  }
+
+  /**
+   * Invokes the callback when the session is destroyed.
+   */
+  onDidDestroy(callback) {
+    return this.emitter.on('did-destroy', callback);
+  }
+
+  /**
+   * Invokes the callback each time the diff has been computed and displayed.
+   */
+  onDidUpdateDiff(callback) {
+    return this.emitter.on('did-update-diff', callback);
+  }
+
+  /**
+   * Gets the diffed editors ordered from left to right.
+   */
+  getEditors() {
+    return [this.editors.editor1, this.editors.editor2];
+  }
+
+  /**
+   * Whether the editor is one of the diffed editors.
+   */
+  hasEditor(editor) {
+    return editor === this.editors.editor1 || editor === this.editors.editor2;
+  }
+
+  /**
+   * Keeps the editor open when the session is destroyed, for a new diff that
+   * reuses it.
+   */
+  keepEditor(editor) {
+    if (editor === this.editors.editor1) {
+      this.wasEditor1Created = false;
+    }
+    if (editor === this.editors.editor2) {
+      this.wasEditor2Created = false;
+    }
+  }
+
+  /**
+   * Shows or hides the footer of the session, and the right pane of a unified
+   * diff, when another session becomes active.
+   */
+  setActive(isActive) {
+    if (this.isActive === isActive) {
+      return;
+    }
+    this.isActive = isActive;
+    this._toggleHiddenPane(isActive);
+    if (isActive) {
+      this.footerView.show();
+    } else {
+      this.footerView.hide();
+    }
+  }
+
+  // recomputes the diff in the background
+  updateDiff() {
+    const editors = this.editors;
+    this._prepareUpdateDiff();
+
+    // the diff is computed again as a whole, the edits are part of it
+    this.computedDiff = null;
+    const lineCounts = this._getLineCounts();
+
+    // hand the texts to the background worker to compute diff
+    let progressStep = 'lines';
+    this._startProgress(() => `${PROGRESS_STEPS[progressStep]} ${lineCounts[0] + lineCounts[1]} lines`);
+    this.diffRequest = computeDiffInBackground(editors.editor1.getText(), editors.editor2.getText(), {
+      isWhitespaceIgnored: this._getOption('ignoreWhitespace'),
+      ignoreRules: this._getIgnoreRules(),
+      algorithm: this._getDiffAlgorithm(),
+      limits: this._getDiffLimits(),
+      syntaxTokens: this._getSyntaxTokens(),
+      onProgress: (step) => {
+        progressStep = step;
+      },
+      onError: (error) => this._failDiff(error)
+    }, (computedDiff) => {
+      this.diffRequest = null;
+      this._stopProgress();
+      this._resumeUpdateDiff(Object.assign(computedDiff, { lineCounts: lineCounts }));
+    });
+  }
+
+  /**
+   * Stops the diff being computed, the diff shown so far is cleared. The
+   * next edit or update computes the diff again.
+   */
+  cancelDiff() {
+    if (this.diffRequest == null) {
+      return;
+    }
+    this.diffRequest.abort();
+    this.diffRequest = null;
+    this._stopProgress();
+    this.computedDiff = null;
+    this.diffView.clearDiff();
+    this.footerView.setCancelled();
+  }
+
+  // recomputes the diff unless auto diff picks up the changes by itself
+  updateDiffUnlessAuto() {
+    if (!this._getOption('autoDiff')) {
+      this.updateDiff();
+    }
+  }
+
+  // called by "Move to next diff" command
+  nextDiff() {
+    const selectedIndex = this.diffView.nextDiff(this.isSyncScrollEnabled());
+    this.footerView.showSelectionCount(selectedIndex + 1);
+  }
+
+  // called by "Move to previous diff" command
+  prevDiff() {
+    const selectedIndex = this.diffView.prevDiff(this.isSyncScrollEnabled());
+    this.footerView.showSelectionCount(selectedIndex + 1);
+  }
+
+  // selects the diff chunk at the given index
+  selectDiff(index) {
+    const selectedIndex = this.diffView.selectDiff(index, this.isSyncScrollEnabled());
+    if (selectedIndex >= 0) {
+      this.footerView.showSelectionCount(selectedIndex + 1);
+    }
+  }
+
+  // called by "Jump to moved block" command
+  jumpToMovedBlock() {
+    const editor = atom.workspace.getActiveTextEditor();
+    if (editor == null || !this.hasEditor(editor)) {
+      return;
+    }
+    if (!this.diffView.jumpToMovedBlock(editor) && !this._getOption('muteNotifications')) {
+      atom.notifications.addWarning('Diff View', { detail: 'No moved block at the cursor.', dismissable: false, icon: 'diff' });
+    }
+  }
+
+  // called by "Cycle word diff granularity" command, the granularity only
+  // changes for this diff
+  cycleWordDiffGranularity() {
+    const names = Object.keys(WORD_DIFF_GRANULARITIES);
+    this.wordDiffGranularity = names[(names.indexOf(this._getWordDiffGranularity()) + 1) % names.length];
+    this.footerView.setWordDiffGranularity(this.wordDiffGranularity);
+    this.updateDiff();
+  }
+
+  // called by "Copy to right" command
+  copyToRight() {
+    this.diffView.copyToRight();
+    this.footerView.hideSelectionCount();
+  }
+
+  // called by "Copy to left" command
+  copyToLeft() {
+    this.diffView.copyToLeft();
+    this.footerView.hideSelectionCount();
+  }
+
+  // called by "Copy all to right" and "Copy all to left" commands
+  // sourceIndex is the editor copied from, 1 to copy to the right
+  copyAll(sourceIndex) {
+    if (!this.diffView.copyAllChunks(sourceIndex) && !this._getOption('muteNotifications')) {
+      atom.notifications.addWarning('Diff View', { detail: 'No differences to copy.', dismissable: false, icon: 'diff' });
+    }
+    this.footerView.hideSelectionCount();
+  }
+
+  // called by "Copy range to right" and "Copy range to left" commands
+  // copies the chunks intersecting the selections of the focused editor
+  copyRange(sourceIndex) {
+    const editor = atom.workspace.getActiveTextEditor();
+    if (editor == null || !this.hasEditor(editor)) {
+      return;
+    }
+    if (!this.diffView.copyChunksInRange(sourceIndex, editor) && !this._getOption('muteNotifications')) {
+      atom.notifications.addWarning('Diff View', { detail: 'No differences in the selection.', dismissable: false, icon: 'diff' });
+    }
+    this.footerView.hideSelectionCount();
+  }
+
+  /**
+   * Ends the diff.
+   *
+   * @param cleanUpEditors Whether the editors created for the diff are removed.
+   *    Otherwise they are kept as standard editors.
+   */
+  destroy(cleanUpEditors) {
+    if (this.isDestroyed) {
+      return;
+    }
+    this.isDestroyed = true;
+
+    if (this.diffRequest != null) {
+      this.diffRequest.cancel();
+      this.diffRequest = null;
+    }
+    this._stopProgress();
+
+    // remove listeners
+    [this.editorSubscriptions, this.contextMenuSubscriptions, this.lineEndingSubscription].forEach((subscriptions) => {
+      if (subscriptions != null) {
+        subscriptions.dispose();
+      }
+    });
+    this.editorSubscriptions = null;
+    this.contextMenuSubscriptions = null;
+    this.lineEndingSubscription = null;
+
+    const { editor1, editor2 } = this.editors;
+    [editor1, editor2].forEach((editor) => {
+      if (!editor.isDestroyed()) {
+        try {
+          atom.views.getView(editor).classList.remove('show-center-line');
+        } catch (e) { /* editor view may be unavailable */ }
+      }
+    });
+
+    // clean up the created editors, restore the original soft wrap state of the others
+    [
+      { editor: editor1, index: 1, wasCreated: this.wasEditor1Created, originalSoftWrap: this.originalEditor1SoftWrap },
+      { editor: editor2, index: 2, wasCreated: this.wasEditor2Created, originalSoftWrap: this.originalEditor2SoftWrap }
+    ].forEach(({ editor, index, wasCreated, originalSoftWrap }) => {
+      try {
+        if (editor.isDestroyed()) {
+          return;
+        }
+        if (cleanUpEditors && wasCreated) {
+          this.diffView.cleanUpEditor(index);
+        } else if (originalSoftWrap != null) {
+          editor.setSoftWrapped(originalSoftWrap);
+        }
+      } catch (e) { /* editor may be destroyed */ }
+    });
+    this.diffView.destroy();
+
+    this._setHiddenPane(null);
+    this.footerView.destroy();
+
+    if (this.syncScroll != null) {
+      this.syncScroll.dispose();
+      this.syncScroll = null;
+    }
+
+    this.emitter.emit('did-destroy');
+    this.emitter.dispose();
+  }
+
+  /**
+   * Gets the state the session is restored from in the next window, or null
+   * if it can't be restored. Conflict resolutions and patch previews depend on
+   * the text they were started from, so they are not restored.
+   */
+  serialize() {
+    if (this.conflictResolution != null || this.patchApply != null) {
+      return null;
+    }
+
+    // a diff against HEAD started from an empty right editor has no history
+    let gitRef = null;
+    if (this.gitDiff != null) {
+      gitRef = { ref: this.gitDiff.ref, refPath: this.gitDiff.refPath };
+    } else if (this.hasGitRepo) {
+      gitRef = { ref: 'HEAD', refPath: null };
+    }
+
+    const { editor1, editor2 } = this.editors;
+    return {
+      editor1: { id: editor1.id, path: editor1.getPath() || null, wasCreated: this.wasEditor1Created },
+      editor2: { id: editor2.id, path: editor2.getPath() || null, wasCreated: this.wasEditor2Created },
+      gitRef: gitRef,
+      gitIndex: this.gitIndex,
+      options: this.options,
+      selectedIndex: this.diffView.getSelectedDiffIndex()
+    };
+  }
+
+  isSyncScrollEnabled() {
+    const scrollSyncType = this._getOption('scrollSyncType');
+    return scrollSyncType === 'Vertical + Horizontal' || scrollSyncType === 'Vertical';
+  }
+
+  getOption(name) {
+    return this._getOption(name);
+  }
+
+  // ----------------------------------------------------------------------- //
+  // --------------------------- PRIVATE METHODS --------------------------- //
+  // ----------------------------------------------------------------------- //
+
+  // cancels the diff being computed and gets ready for the next one
+  _prepareUpdateDiff() {
+    const editors = this.editors;
+
+    // if there is a diff being computed in the background, cancel it
+    if (this.diffRequest != null) {
+      this.diffRequest.cancel();
+      this.diffRequest = null;
+    }
+    this._stopProgress();
+
+    // force softwrap to be off if it somehow turned back on #143
+    if (this._getOption('turnOffSoftWrap')) {
+      if (editors.editor1.isSoftWrapped()) {
+        editors.editor1.setSoftWrapped(false);
+      }
+      if (editors.editor2.isSoftWrapped()) {
+        editors.editor2.setSoftWrapped(false);
+      }
+    }
+
+    this.footerView.setLoading();
+  }
+
+  // recomputes only the diff of the lines around the edits since the diff
+  // was displayed, the rest of the diff is kept
+  _updateDiffOfEdits() {
+    const { editor1: region1, editor2: region2 } = this.editedRegions;
+    if (region1 == null && region2 == null) {
+      return;
+    }
+    const diffWindow = this.computedDiff != null ? getDiffWindow(this.computedDiff, region1, region2) : null;
+    const lineCounts = this._getLineCounts();
+    // a window starting past the end of a text would diff it as one empty line
+    if (diffWindow == null || (diffWindow.isAtEnd && (diffWindow.oldLineStart >= lineCounts[0] || diffWindow.newLineStart >= lineCounts[1]))) {
+      this.updateDiff();
+      return;
+    }
+
+    const editors = this.editors;
+    this._prepareUpdateDiff();
+
+    let text1 = null;
+    let text2 = null;
+    let computeInBackground = null;
+    if (diffWindow.isAtEnd) {
+      // the end of the texts is normalized like in a full diff
+      text1 = editors.editor1.getTextInBufferRange([[diffWindow.oldLineStart, 0], editors.editor1.getBuffer().getEndPosition()]);
+      text2 = editors.editor2.getTextInBufferRange([[diffWindow.newLineStart, 0], editors.editor2.getBuffer().getEndPosition()]);
+      computeInBackground = computeDiffInBackground;
+    } else {
+      text1 = editors.editor1.getTextInBufferRange([[diffWindow.oldLineStart, 0], [diffWindow.oldLineEnd + diffWindow.oldLineDelta, 0]]);
+      text2 = editors.editor2.getTextInBufferRange([[diffWindow.newLineStart, 0], [diffWindow.newLineEnd + diffWindow.newLineDelta, 0]]);
+      computeInBackground = computeWindowDiffInBackground;
+    }
+
+    this.diffRequest = computeInBackground(text1, text2, {
+      isWhitespaceIgnored: this._getOption('ignoreWhitespace'),
+      ignoreRules: this._getIgnoreRules(),
+      algorithm: this._getDiffAlgorithm(),
+      limits: this._getDiffLimits(),
+      onError: (error) => this._failDiff(error)
+    }, (windowDiff) => {
+      this.diffRequest = null;
+      // the window was too large to diff line by line, the whole diff tells
+      // how the files were compared instead; ignored blank lines are not
+      // spliced in either
+      if (windowDiff.fallback != null || (windowDiff.ignoredChunks || []).length > 0) {
+        this.updateDiff();
+        return;
+      }
+      this.computedDiff = spliceDiff(this.computedDiff, diffWindow, windowDiff, lineCounts);
+      this.editedRegions = { editor1: null, editor2: null };
+
+      this.diffView.displayDiffInWindow(this.computedDiff, diffWindow, windowDiff.chunks.length, this._getOption('addedColorSide'), this._getOption('diffWords'), this._getOption('ignoreWhitespace'), this._getOption('overrideThemeColors'));
+      this.footerView.setNumDifferences(this.diffView.getNumDifferences());
+
+      this.emitter.emit('did-update-diff');
+    });
+  }
+
+  // the worker failed to compute the diff, the diff shown so far is cleared
+  // and the next edit or update computes it again
+  _failDiff(error) {
+    this.diffRequest = null;
+    this._stopProgress();
+    this.computedDiff = null;
+    this.diffView.clearDiff();
+    this.footerView.setFailed();
+    if (!this._getOption('muteNotifications')) {
+      atom.notifications.addWarning('Diff View', { detail: `The diff could not be computed: ${String(error).split('\n')[0]}`, dismissable: false, icon: 'diff' });
+    }
+  }
+
+  // adds an edit to the regions to diff again
+  _addEdit(editorKey, change) {
+    this.editedRegions[editorKey] = addEditToRegion(this.editedRegions[editorKey], change);
+
+    // the diff being computed misses the edit, auto diff computes it again
+    if (this.diffRequest != null && this._getOption('autoDiff')) {
+      this.diffRequest.cancel();
+      this.diffRequest = null;
+      this._stopProgress();
+    }
+  }
+
+  // the line diff algorithm, the setting holds its display name
+  _getDiffAlgorithm() {
+    const diffAlgorithm = this._getOption('diffAlgorithm');
+    return diffAlgorithm != null ? diffAlgorithm.toLowerCase() : 'myers';
+  }
+
+  // the name of the word diff granularity, as in the setting
+  _getWordDiffGranularity() {
+    return this.wordDiffGranularity || this._getOption('wordDiffGranularity') || 'Word';
+  }
+
+  // the differences ignored besides whitespace, see ignore-rules.js
+  _getIgnoreRules() {
+    const patterns = this._getOption('useIgnorePatterns') ? this._getOption('ignorePatterns') || [] : [];
+    const invalidPatterns = compileIgnorePatterns(patterns).invalidPatterns;
+    const notifiedInvalidPatterns = invalidPatterns.join('\n');
+    if (invalidPatterns.length > 0 && notifiedInvalidPatterns !== this.notifiedInvalidPatterns && !this._getOption('muteNotifications')) {
+      atom.notifications.addWarning('Diff View', { detail: `These ignore patterns are not valid regular expressions and were skipped:\n${notifiedInvalidPatterns}`, dismissable: false, icon: 'diff' });
+    }
+    this.notifiedInvalidPatterns = notifiedInvalidPatterns;
+    return {
+      blankLines: this._getOption('ignoreBlankLines'),
+      case: this._getOption('ignoreCase'),
+      lineEndings: this._getOption('ignoreLineEndings'),
+      patterns: patterns
+    };
+  }
+
+  // shows the ignore rules in the footer, the ones set by the diff can't be toggled
+  _updateIgnoreRuleButtons() {
+    ['ignoreBlankLines', 'ignoreCase', 'ignoreLineEndings', 'useIgnorePatterns'].forEach((name) => {
+      this.footerView.setIgnoreRule(name, this._getOption(name), this.options[name] != null);
+    });
+    this.footerView.setIgnorePatterns(this._getOption('ignorePatterns') || []);
+  }
+
+  // the tokens of the syntax trees of both editors for a syntax aware diff,
+  // null to diff the lines
+  _getSyntaxTokens() {
+    if (!this._getOption('syntaxAwareDiff')) {
+      return null;
+    }
+    const oldTokens = getSyntaxTokens(this.editors.editor1);
+    const newTokens = getSyntaxTokens(this.editors.editor2);
+    if (oldTokens != null && newTokens != null) {
+      this.notifiedMissingSyntax = false;
+      return { oldTokens, newTokens };
+    }
+    if (!this.notifiedMissingSyntax && !this._getOption('muteNotifications')) {
+      atom.notifications.addWarning('Diff View', { detail: 'An editor has no Tree-sitter syntax tree, the lines were diffed instead.', dismissable: false, icon: 'diff' });
+    }
+    this.notifiedMissingSyntax = true;
+    return null;
+  }
+
+  // the limits after which the files are compared with the large file fallback
+  _getDiffLimits() {
+    const maxDiffSize = this._getOption('maxDiffSize');
+    const diffTimeout = this._getOption('diffTimeout');
+    return {
+      maxSize: maxDiffSize > 0 ? maxDiffSize * 1024 : null,
+      timeout: diffTimeout > 0 ? diffTimeout * 1000 : null,
+      fallback: this._getOption('largeFileFallback') === 'Summary Only' ? 'summary' : 'line-hash'
+    };
+  }
+
+  // shows the progress of the diff in the footer once it takes more than a second
+  _startProgress(getProgressText) {
+    const startTime = Date.now();
+    this.progressInterval = setInterval(() => {
+      const seconds = Math.round((Date.now() - startTime) / 1000);
+      this.footerView.setProgress(`${getProgressText()}, ${seconds}s`);
+    }, 1000);
+  }
+
+  _stopProgress() {
+    if (this.progressInterval != null) {
+      clearInterval(this.progressInterval);
+      this.progressInterval = null;
+      this.footerView.hideProgress();
+    }
+  }
+
+  // tells the user how the files were compared when they were too large to
+  // diff line by line
+  _showFallback(computedDiff) {
+    if (computedDiff.fallback == null) {
+      this.footerView.setFallback(null);
+      this.notifiedFallback = null;
+      return;
+    }
+
+    const isSummary = computedDiff.fallback === 'summary';
+    const reason = computedDiff.exceededLimit === 'size'
+      ? `The files are larger than ${this._getOption('maxDiffSize')} KB`
+      : `The diff took longer than ${this._getOption('diffTimeout')} seconds`;
+    const detail = isSummary
+      ? `${reason}, only the number of added and removed lines is shown.`
+      : `${reason}, they were compared with a line hash diff. Only the lines found once in each file are matched, so a change may take in more lines than it needs to. Words are not diffed.`;
+    this.footerView.setFallback(isSummary ? 'summary only' : 'line hash diff', detail);
+
+    const notifiedFallback = `${computedDiff.fallback} ${computedDiff.exceededLimit}`;
+    if (notifiedFallback !== this.notifiedFallback && !this._getOption('muteNotifications')) {
+      atom.notifications.addWarning('Diff View', { detail: detail, dismissable: false, icon: 'diff' });
+    }
+    this.notifiedFallback = notifiedFallback;
+  }
+
+  // the line counts of the texts, as they are diffed
+  _getLineCounts() {
+    return [countDiffLines(this.editors.editor1.getBuffer()), countDiffLines(this.editors.editor2.getBuffer())];
+  }
+
+  // resumes after the background worker returns the diff
+  _resumeUpdateDiff(computedDiff) {
+    const editors = this.editors;
+    this.computedDiff = computedDiff;
+    this.editedRegions = { editor1: null, editor2: null };
+    this.diffView.clearDiff();
+    if (this.syncScroll != null) {
+      this.syncScroll.dispose();
+      this.syncScroll = null;
+    }
+
+    // a unified diff shows the right editor inline in the left one, unless
+    // they share a pane or the right pane holds other items, which would be
+    // hidden along with it
+    const pane1 = atom.workspace.paneForItem(editors.editor1);
+    const pane2 = atom.workspace.paneForItem(editors.editor2);
+    const isUnified = this._getOption('unifiedMode') && pane1 != null && pane2 != null && pane1 !== pane2 && pane2.getItems().length === 1;
+    this._setHiddenPane(isUnified ? pane2 : null);
+    if (isUnified && this.isActive && atom.workspace.getActivePane() === pane2) {
+      pane1.activate();
+    }
+    this.diffView.setUnified(isUnified);
+
+    // the chunks of a fallback can be too large to diff their words or look for moves
+    const isWordDiffEnabled = this._getOption('diffWords') && computedDiff.fallback == null;
+    this.diffView.setMoveDetection(this._getOption('detectMovedBlocks') && computedDiff.fallback == null);
+    this.diffView.setWordDiffGranularity(WORD_DIFF_GRANULARITIES[this._getWordDiffGranularity()] || 'word');
+    this.diffView.displayDiff(computedDiff, this._getOption('addedColorSide'), isWordDiffEnabled, this._getOption('ignoreWhitespace'), this._getOption('overrideThemeColors'));
+
+    if (computedDiff.fallback === 'summary') {
+      // a summary has no chunks to splice the edits into
+      this.computedDiff = null;
+      this.footerView.setSummary(computedDiff.addedLines, computedDiff.removedLines);
+    } else {
+      this.footerView.setNumDifferences(this.diffView.getNumDifferences());
+    }
+    if (computedDiff.algorithm === 'syntax' || (computedDiff.ignoredChunks || []).length > 0) {
+      // an edit can change the syntax tree outside of the edited lines, and
+      // the ignored blank lines are not spliced, the edits are diffed as a whole
+      this.computedDiff = null;
+    }
+    this.footerView.setRenames(computedDiff.renames || []);
+    this._showFallback(computedDiff);
+
+    const scrollSyncType = this._getOption('scrollSyncType');
+    // nothing to sync with the hidden editor of a unified diff
+    if (!isUnified && scrollSyncType === 'Vertical + Horizontal') {
+      this.syncScroll = new SyncScroll([editors.editor1, editors.editor2], true);
+      this.syncScroll.syncPositions();
+    } else if (!isUnified && scrollSyncType === 'Vertical') {
+      this.syncScroll = new SyncScroll([editors.editor1, editors.editor2], false);
+      this.syncScroll.syncPositions();
+    }
+
+    this.emitter.emit('did-update-diff');
+  }
+
+  // hides the pane of a unified diff's right editor while the session is
+  // active, showing the previously hidden pane again
+  _setHiddenPane(pane) {
+    if (this.isActive) {
+      this._toggleHiddenPane(false);
+    }
+    if (this.hiddenPaneSubscription != null) {
+      this.hiddenPaneSubscription.dispose();
+      this.hiddenPaneSubscription = null;
+    }
+    this.hiddenPane = pane;
+    if (pane != null) {
+      // an item opened in the hidden pane shows it again, with a side by side diff
+      this.hiddenPaneSubscription = pane.onDidAddItem(() => this.updateDiff());
+    }
+    if (this.isActive) {
+      this._toggleHiddenPane(true);
+    }
+  }
+
+  _toggleHiddenPane(isHidden) {
+    if (this.hiddenPane != null && !this.hiddenPane.isDestroyed()) {
+      atom.views.getView(this.hiddenPane).classList.toggle('diff-view-hidden-pane', isHidden);
+    }
+  }
+
+  _setupVisibleEditors() {
+    const editors = this.editors;
+    const buffer1LineEnding = new BufferExtender(editors.editor1.getBuffer()).getLineEnding();
+
+    // Store original soft wrap state before any modifications
+    this.originalEditor1SoftWrap = editors.editor1.isSoftWrapped();
+    this.originalEditor2SoftWrap = editors.editor2.isSoftWrapped();
+
+    if (this.wasEditor2Created) {
+      // want to scroll a newly created editor to the first editor's position
+      atom.views.getView(editors.editor1).focus();
+      // set the preferred line ending before inserting text #39
+      if (buffer1LineEnding === '\n' || buffer1LineEnding === '\r\n') {
+        this.lineEndingSubscription = new CompositeDisposable();
+        this.lineEndingSubscription.add(editors.editor2.onWillInsertText(() => {
+          editors.editor2.getBuffer().setPreferredLineEnding(buffer1LineEnding);
+        }));
+      }
+    }
+
+    this._setupGitRepo();
+
+    // unfold all lines so diffs properly align
+    editors.editor1.unfoldAll();
+    editors.editor2.unfoldAll();
+
+    const muteNotifications = this._getOption('muteNotifications');
+    if (this._getOption('turnOffSoftWrap')) {
+      let shouldNotify = false;
+      if (editors.editor1.isSoftWrapped()) {
+        editors.editor1.setSoftWrapped(false);
+        shouldNotify = true;
+      }
+      if (editors.editor2.isSoftWrapped()) {
+        editors.editor2.setSoftWrapped(false);
+        shouldNotify = true;
+      }
+      if (shouldNotify && !muteNotifications) {
+        const softWrapMsg = 'Soft wrap automatically disabled for this diff.';
+        atom.notifications.addInfo('Diff View', { detail: softWrapMsg, dismissable: false, icon: 'diff' });
+      }
+    }
+
+    const buffer2LineEnding = new BufferExtender(editors.editor2.getBuffer()).getLineEnding();
+    if (buffer2LineEnding !== '' && (buffer1LineEnding !== buffer2LineEnding) && editors.editor1.getLineCount() !== 1 && editors.editor2.getLineCount() !== 1 && !muteNotifications) {
+      // pop warning if the line endings differ and we haven't done anything about it
+      const lineEndingMsg = 'Warning: Line endings differ!';
+      atom.notifications.addWarning('Diff View', { detail: lineEndingMsg, dismissable: false, icon: 'diff' });
+    }
+  }
+
+  _setupGitRepo() {
+    const editors = this.editors;
+    const editor1Path = editors.editor1.getPath();
+    // only show git changes if the right editor is empty and not a file
+    // a patch that empties the file leaves the right editor empty too
+    if (editor1Path != null && this.patchApply == null && editors.editor2.getPath() == null && (editors.editor2.getLineCount() === 1 && editors.editor2.lineTextForBufferRow(0) === '')) {
+      const directories = atom.project.getDirectories();
+      for (let i = 0; i < directories.length; i++) {
+        const directory = directories[i];
+        if (editor1Path === directory.getPath() || directory.contains(editor1Path)) {
+          let projectRepo = atom.project.getRepositories()[i];
+          if (projectRepo != null) {
+            projectRepo = projectRepo.getRepo(editor1Path); // fix repo for submodules #112
+            const relativeEditor1Path = projectRepo.relativize(editor1Path);
+            const gitHeadText = projectRepo.getHeadBlob(relativeEditor1Path);
+            if (gitHeadText != null) {
+              editors.editor2.selectAll();
+              editors.editor2.insertText(gitHeadText);
+              this.hasGitRepo = true;
+              break;
+            }
+          }
+        }
+      }
+    }
+  }
+
+  // sets up any editor listeners
+  _setupEditorSubscriptions() {
+    if (this.editorSubscriptions != null) {
+      this.editorSubscriptions.dispose();
+    }
+    this.editorSubscriptions = new CompositeDisposable();
+
+    // add listeners
+    ['editor1', 'editor2'].forEach((editorKey) => {
+      this.editorSubscriptions.add(this.editors[editorKey].getBuffer().onDidChange((change) => {
+        this._addEdit(editorKey, change);
+      }));
+    });
+    if (this._getOption('autoDiff')) {
+      this.getEditors().forEach((editor) => {
+        this.editorSubscriptions.add(editor.onDidStopChanging(() => {
+          this._updateDiffOfEdits();
+        }));
+      });
+    }
+    this.getEditors().forEach((editor) => {
+      this.editorSubscriptions.add(editor.onDidDestroy(() => {
+        this.destroy(true);
+      }));
+      this.editorSubscriptions.add(editor.onDidChangeCursorPosition((event) => {
+        this.diffView.handleCursorChange(event.cursor, event.oldBufferPosition, event.newBufferPosition);
+      }));
+      this.editorSubscriptions.add(editor.onDidAddCursor((cursor) => {
+        this.diffView.handleCursorChange(cursor, -1, cursor.getBufferPosition());
+      }));
+    });
+    this.editorSubscriptions.add(atom.config.onDidChange('diff-view', (event) => {
+      // need to redo editor subscriptions because some settings affect the listeners themselves
+      this._setupEditorSubscriptions();
+
+      // update footer view buttons if their setting has changed
+      if (event.newValue.ignoreWhitespace !== event.oldValue.ignoreWhitespace) {
+        this.footerView.setIgnoreWhitespace(event.newValue.ignoreWhitespace);
+      }
+      if (event.newValue.autoDiff !== event.oldValue.autoDiff) {
+        this.footerView.setAutoDiff(event.newValue.autoDiff);
+      }
+      if (event.newValue.unifiedMode !== event.oldValue.unifiedMode) {
+        this.footerView.setUnifiedMode(event.newValue.unifiedMode);
+      }
+      if (event.newValue.diffAlgorithm !== event.oldValue.diffAlgorithm) {
+        this.footerView.setDiffAlgorithm(this._getDiffAlgorithm(), this.options.diffAlgorithm != null);
+      }
+      this._updateIgnoreRuleButtons();
+      this.footerView.setWordDiffGranularity(this._getWordDiffGranularity());
+
+      this.updateDiff();
+    }));
+  }
+
+  // adds the diff commands to the context menu of the diffed editors
+  _setupContextMenu() {
+    const contextMenuItems = [
+      { label: 'Ignore Whitespace', command: 'diff-view:set-ignore-whitespace' },
+      { label: 'Move to Next Diff', command: 'diff-view:next-diff' },
+      { label: 'Move to Previous Diff', command: 'diff-view:prev-diff' },
+      { label: 'Copy to Right', command: 'diff-view:copy-to-right' },
+      { label: 'Copy to Left', command: 'diff-view:copy-to-left' },
+      { label: 'Copy Range to Right', command: 'diff-view:copy-range-to-right' },
+      { label: 'Copy Range to Left', command: 'diff-view:copy-range-to-left' },
+      { label: 'Jump to Moved Block', command: 'diff-view:jump-to-moved-block' }
+    ];
+    if (this.gitIndex != null) {
+      contextMenuItems.push(this.gitIndex.isStaged ? { label: 'Unstage Hunk', command: 'diff-view:unstage-hunk' } : { label: 'Stage Hunk', command: 'diff-view:stage-hunk' });
+    }
+    if (this.patchApply != null) {
+      contextMenuItems.push({ label: 'Accept Hunk', command: 'diff-view:accept-hunk' });
+      contextMenuItems.push({ label: 'Reject Hunk', command: 'diff-view:reject-hunk' });
+    }
+    this.contextMenuSubscriptions = new CompositeDisposable();
+    this.contextMenuSubscriptions.add(atom.contextMenu.add({
+      'atom-text-editor.diff-view': [{
+        label: 'Diff View',
+        submenu: contextMenuItems,
+        // every session adds its menu, only show the one of the clicked editor
+        shouldDisplay: (event) => {
+          const editorElement = event.target.closest('atom-text-editor');
+          return editorElement != null && this.hasEditor(editorElement.getModel());
+        }
+      }]
+    }));
+  }
+
+  _getOption(name) {
+    return this.options[name] != null ? this.options[name] : atom.config.get(`diff-view.${name}`);
+  }
+};
@@ -1,34 +1,40 @@
 'use strict';
 
-const { CompositeDisposable, Emitter, File } = require('atom');
-const DiffView = require('./diff-display');
-const FooterView = require('./footer-view');
-const SyncScroll = require('./sync-scroll');
-const StyleCalculator = require('./style-calculator');
+const { CompositeDisposable, Emitter } = require('atom');
+const fs = require('fs');
 const path = require('path');
+const DiffSession = require('./diff-session');
+const MergeSession = require('./merge-session');
+const PickerView = require('./picker-view');
+const DirectoryDiffView = require('./directory-diff-view');
+const ChangedFilesView = require('./changed-files-view');
+const StyleCalculator = require('./style-calculator');
+const { terminateDiffWorker } = require('./diff-process');
+const { getRepositoryForPath, showFile, resolvePathAtRef, getRefsForFile, getRefs, getChangedFiles, getFileHistory, createLinesPatch, applyPatchToIndex } = require('./git-helper');
+const { parseConflicts } = require('./conflict-parser');
+const { compareDirectories } = require('./compare-directories');
+const { createUnifiedPatch, parseUnifiedPatch, reconstructTexts, applyHunks } = require('./unified-patch');
+
+// the commits of the history of a file listed at once, as a git diff steps through it
+const GIT_HISTORY_PAGE_SIZE = 100;
 
 module.exports = {
-  diffView: null,
+  sessions: [],
+  activeSession: null,
+  mergeSession: null,
+  directoryDiffView: null,
+  // counts the directory comparisons, the results of the older ones are dropped
+  directoryComparisonId: 0,
+  changedFiles: null,
+  changedFilesView: null,
   subscriptions: null,
-  editorSubscriptions: null,
-  lineEndingSubscription: null,
-  contextMenuSubscriptions: null,
-  isEnabled: false,
-  wasEditor1Created: false,
-  wasEditor2Created: false,
-  wasEditor1SoftWrapped: false,
-  wasEditor2SoftWrapped: false,
-  originalEditor1SoftWrap: null,
-  originalEditor2SoftWrap: null,
-  hasGitRepo: false,
   docksToReopen: { left: false, right: false, bottom: false },
-  process: null,
   splitDiffResolves: [],
-  options: {},
 
   activate(state) {
     this.contextForService = this;
     this.emitter = new Emitter();
+    this.sessions = [];
 
     const styleCalculator = new StyleCalculator(atom.styles, atom.config);
     styleCalculator.startWatching(
@@ -66,32 +72,40 @@ module.exports = {
         e.stopPropagation();
       },
       'diff-view:next-diff': () => {
-        if (this.isEnabled) {
+        if (this.mergeSession != null) {
+          this.mergeSession.nextChunk();
+        } else if (this.activeSession != null && this._shouldRollOverToChangedFile(1)) {
+          this.stepChangedFile(1, 'first');
+        } else if (this.activeSession != null) {
           this.nextDiff();
         } else {
           this.diffPanes();
         }
       },
       'diff-view:prev-diff': () => {
-        if (this.isEnabled) {
+        if (this.mergeSession != null) {
+          this.mergeSession.prevChunk();
+        } else if (this.activeSession != null && this._shouldRollOverToChangedFile(-1)) {
+          this.stepChangedFile(-1, 'last');
+        } else if (this.activeSession != null) {
           this.prevDiff();
         } else {
           this.diffPanes();
         }
       },
-      'diff-view:copy-to-right': () => {
-        if (this.isEnabled) {
-          this.copyToRight();
-        }
-      },
-      'diff-view:copy-to-left': () => {
-        if (this.isEnabled) {
-          this.copyToLeft();
-        }
-      },
+      'diff-view:copy-to-right': () => this.copyToRight(),
+      'diff-view:copy-to-left': () => this.copyToLeft(),
+      'diff-view:copy-all-to-right': () => this.copyAll(1),
+      'diff-view:copy-all-to-left': () => this.copyAll(2),
+      'diff-view:copy-range-to-right': () => this.copyRange(1),
+      'diff-view:copy-range-to-left': () => this.copyRange(2),
       'diff-view:disable': () => this.disable(),
       'diff-view:close': () => this.close(),
       'diff-view:set-ignore-whitespace': () => this.toggleIgnoreWhitespace(),
+      'diff-view:toggle-ignore-blank-lines': () => this.toggleIgnoreRule('ignoreBlankLines'),
+      'diff-view:toggle-ignore-case': () => this.toggleIgnoreRule('ignoreCase'),
+      'diff-view:toggle-ignore-line-endings': () => this.toggleIgnoreRule('ignoreLineEndings'),
+      'diff-view:toggle-ignore-patterns': () => this.toggleIgnoreRule('useIgnorePatterns'),
       'diff-view:set-auto-diff': () => this.toggleAutoDiff(),
       'diff-view:toggle': () => this.toggle(),
       'diff-view:toggle-soft-wrap': () => this.toggleSoftWrap(),
@@ -104,19 +118,137 @@ module.exports = {
         this.diffGit(e, 'HEAD~1');
         if (e) e.stopPropagation();
       },
-      'diff-view:toggle-center-line': () => this.toggleCenterLine()
+      'diff-view:git-ref': (e) => {
+        this.diffGitRef(e);
+        if (e) e.stopPropagation();
+      },
+      'diff-view:git-index': (e) => {
+        this.diffGitIndex(e, false);
+        if (e) e.stopPropagation();
+      },
+      'diff-view:git-staged': (e) => {
+        this.diffGitIndex(e, true);
+        if (e) e.stopPropagation();
+      },
+      'diff-view:stage-hunk': () => this.stageHunk(),
+      'diff-view:unstage-hunk': () => this.unstageHunk(),
+      'diff-view:git-older-revision': () => this.stepGitRevision(1),
+      'diff-view:git-newer-revision': () => this.stepGitRevision(-1),
+      'diff-view:toggle-center-line': () => this.toggleCenterLine(),
+      'diff-view:cancel-diff': () => this.cancelDiff(),
+      'diff-view:cycle-diff-algorithm': () => this.cycleDiffAlgorithm(),
+      'diff-view:cycle-word-diff-granularity': () => {
+        if (this.activeSession != null) {
+          this.activeSession.cycleWordDiffGranularity();
+        }
+      },
+      'diff-view:jump-to-moved-block': () => {
+        if (this.activeSession != null) {
+          this.activeSession.jumpToMovedBlock();
+        }
+      },
+      'diff-view:toggle-unified-mode': () => this.toggleUnifiedMode(),
+      'diff-view:export-patch': () => this.exportPatch(),
+      'diff-view:copy-patch': () => this.copyPatch(),
+      'diff-view:open-patch': (e) => {
+        this.openPatch(e);
+        if (e) e.stopPropagation();
+      },
+      'diff-view:apply-patch': (e) => {
+        this.applyPatch(e);
+        if (e) e.stopPropagation();
+      },
+      'diff-view:accept-hunk': () => this.acceptHunk(),
+      'diff-view:reject-hunk': () => this.rejectHunk(),
+      'diff-view:resolve-conflicts': (e) => {
+        this.resolveConflicts(e);
+        if (e) e.stopPropagation();
+      },
+      'diff-view:apply-resolution': () => this.applyResolution(),
+      'diff-view:merge-conflicts': (e) => {
+        this.mergeConflicts(e);
+        if (e) e.stopPropagation();
+      },
+      'diff-view:merge-take-left': () => {
+        if (this.mergeSession != null) {
+          this.mergeSession.takeLeft();
+        }
+      },
+      'diff-view:merge-take-right': () => {
+        if (this.mergeSession != null) {
+          this.mergeSession.takeRight();
+        }
+      },
+      'diff-view:merge-take-both': () => {
+        if (this.mergeSession != null) {
+          this.mergeSession.takeBoth();
+        }
+      },
+      'diff-view:merge-apply': () => {
+        if (this.mergeSession != null) {
+          this.mergeSession.apply();
+        }
+      },
+      'diff-view:compare-directories': (e) => {
+        this.compareDirectories(e);
+        if (e) e.stopPropagation();
+      },
+      'diff-view:changed-files': (e) => {
+        this.showChangedFiles(e);
+        if (e) e.stopPropagation();
+      },
+      'diff-view:changed-files-range': (e) => {
+        this.showChangedFilesRange(e);
+        if (e) e.stopPropagation();
+      },
+      'diff-view:next-file': () => this.stepChangedFile(1),
+      'diff-view:prev-file': () => this.stepChangedFile(-1)
+    }));
+
+    // commands act on the session of the focused editor
+    this.subscriptions.add(atom.workspace.onDidChangeActivePaneItem((item) => {
+      const session = this._getSessionForEditor(item);
+      if (session != null) {
+        this._setActiveSession(session);
+      }
     }));
+
+    if (state != null && Array.isArray(state.sessions)) {
+      this._restoreSessions(state);
+    }
   },
 
   deactivate() {
-    this.disable();
+    this._disableAll();
+    [this.directoryDiffView, this.changedFilesView].forEach((dockItem) => {
+      const pane = dockItem != null ? atom.workspace.paneForItem(dockItem) : null;
+      if (pane != null) {
+        pane.destroyItem(dockItem);
+      }
+    });
+    this.directoryDiffView = null;
+    this.changedFilesView = null;
+    this.changedFiles = null;
     this.subscriptions.dispose();
+    terminateDiffWorker();
+  },
+
+  serialize() {
+    // the active diff is restored last, so it is active again
+    const sessions = this.sessions.filter((session) => session !== this.activeSession);
+    if (this.activeSession != null) {
+      sessions.push(this.activeSession);
+    }
+    return {
+      sessions: sessions.map((session) => session.serialize()).filter((sessionState) => sessionState != null),
+      docksToReopen: this.docksToReopen
+    };
   },
 
   // called by "toggle" command
   // toggles split diff
   toggle() {
-    if (this.isEnabled) {
+    if (this.activeSession != null || this.mergeSession != null) {
       this.disable();
     } else {
       this.diffPanes();
@@ -124,98 +256,654 @@ module.exports = {
   },
 
   // called by "close" command
-  // closes the diff view but keeps the secondary editor as a standard editor
+  // closes the active diff but keeps the secondary editor as a standard editor
   close() {
-    this.isEnabled = false;
-
-    // remove listeners
-    if (this.editorSubscriptions != null) {
-      this.editorSubscriptions.dispose();
-      this.editorSubscriptions = null;
-    }
-    if (this.contextMenuSubscriptions != null) {
-      this.contextMenuSubscriptions.dispose();
-      this.contextMenuSubscriptions = null;
-    }
-    if (this.lineEndingSubscription != null) {
-      this.lineEndingSubscription.dispose();
-      this.lineEndingSubscription = null;
-    }
-
-    if (this.diffView != null) {
-      // Remove center line class from editors before cleanup (with safety checks)
-      const editor1 = this.diffView._editorDiffExtender1 != null ? this.diffView._editorDiffExtender1.getEditor() : null;
-      const editor2 = this.diffView._editorDiffExtender2 != null ? this.diffView._editorDiffExtender2.getEditor() : null;
-      if (editor1 != null && !editor1.isDestroyed()) {
-        try {
-          atom.views.getView(editor1).classList.remove('show-center-line');
-        } catch (e) { /* editor view may be unavailable */ }
+    if (this.mergeSession != null) {
+      this.mergeSession.destroy(false);
+    }
+    if (this.activeSession != null) {
+      this.activeSession.destroy(false);
+    }
+  },
+
+  // called by "diff-git" command
+  // diffs the file against its git version (HEAD by default, or specified ref)
+  diffGit(event, ref = 'HEAD') {
+    const filePath = this._getFilePathFromEvent(event);
+    if (!filePath) {
+      atom.notifications.addWarning('Diff View', { detail: 'No file found to diff', dismissable: false, icon: 'diff' });
+      return;
+    }
+
+    this._diffGitFile(filePath, ref);
+  },
+
+  // called by "git ref" command
+  // picks a branch, tag, recent commit or stash entry and diffs the file against it
+  diffGitRef(event) {
+    const filePath = this._getFilePathFromEvent(event);
+    if (!filePath) {
+      atom.notifications.addWarning('Diff View', { detail: 'No file found to diff', dismissable: false, icon: 'diff' });
+      return;
+    }
+
+    const gitRepo = getRepositoryForPath(filePath);
+    if (gitRepo == null) {
+      atom.notifications.addWarning('Diff View', { detail: 'File is not in a git repository', dismissable: false, icon: 'diff' });
+      return;
+    }
+
+    const refs = getRefsForFile(gitRepo.workingDirectory, gitRepo.relativePath);
+    new PickerView(refs, 'No git refs found for this file').pick().then((item) => {
+      if (item != null) {
+        this._diffGitFile(filePath, item.ref, item.path);
+      }
+    });
+  },
+
+  // diffs the file against its version at the given ref
+  // refPath is the optional path of the file at that ref, found by following renames otherwise
+  // returns the promise of the diffed editors, or null if there is nothing to diff
+  _diffGitFile(filePath, ref, refPath) {
+    // Find the git repository and get the ref version
+    const gitRepo = getRepositoryForPath(filePath);
+    if (gitRepo == null) {
+      atom.notifications.addWarning('Diff View', { detail: 'File is not in a git repository', dismissable: false, icon: 'diff' });
+      return null;
+    }
+
+    const gitFile = this._showGitFile(gitRepo, ref, refPath);
+    if (gitFile == null) {
+      atom.notifications.addWarning('Diff View', { detail: `No git ${ref} version found for this file`, dismissable: false, icon: 'diff' });
+      return null;
+    }
+
+    const gitDiff = this._getGitDiffHistory(gitRepo, ref, gitFile.refPath);
+    const editorsPromise = this._getEditorsForGitDiff(filePath, gitFile.text, gitDiff);
+    this.diffPanes(null, editorsPromise);
+    return editorsPromise;
+  },
+
+  // reads the file at the given ref, refPath is the optional path of the file
+  // at that ref, found by following renames otherwise
+  // returns the text and the path of the file at the ref, or null if there is no such version
+  _showGitFile(gitRepo, ref, refPath) {
+    // For HEAD, use getHeadBlob; for other refs, use git show
+    if (ref === 'HEAD' && refPath == null) {
+      const headText = gitRepo.repo.getHeadBlob(gitRepo.relativePath);
+      return headText != null ? { text: headText, refPath: gitRepo.relativePath } : null;
+    }
+    if (refPath == null) {
+      refPath = resolvePathAtRef(gitRepo.workingDirectory, ref, gitRepo.relativePath);
+    }
+    const gitText = refPath != null ? showFile(gitRepo.workingDirectory, ref, refPath) : null;
+    return gitText != null ? { text: gitText, refPath: refPath } : null;
+  },
+
+  // diffs two versions of a file in new editors, text1 on the left
+  // the file path picks the grammar of the editors
+  // returns the promise of the diffed editors
+  _diffTexts(filePath, text1, text2) {
+    const editor1 = this._buildTextEditorForPath(filePath, text1);
+    const editor2 = this._buildTextEditorForPath(filePath, text2);
+    const editorsPromise = Promise.resolve(this._addEditorsToPanes(editor1, editor2, atom.workspace.getCenter().getPanes()[0]));
+    this.diffPanes(null, editorsPromise);
+    return editorsPromise;
+  },
+
+  // called by "open patch" command
+  // shows a file of a patch (a .patch or .diff file, or the active editor) before and after the change
+  openPatch(event) {
+    let patchText = null;
+    let patchPath = this._getFilePathFromEvent(event);
+    if (patchPath != null && /\.(patch|diff)$/i.test(patchPath)) {
+      const editor = atom.workspace.getTextEditors().find((e) => e.getPath() === patchPath);
+      patchText = editor != null ? editor.getText() : this._readFile(patchPath);
+    } else {
+      const editor = atom.workspace.getActiveTextEditor();
+      if (editor != null) {
+        patchText = editor.getText();
+        patchPath = editor.getPath();
+      }
+    }
+    if (patchText == null) {
+      atom.notifications.addWarning('Diff View', { detail: 'No patch found to open', dismissable: false, icon: 'diff' });
+      return;
+    }
+
+    const filePatches = parseUnifiedPatch(patchText);
+    if (filePatches.length === 0) {
+      atom.notifications.addWarning('Diff View', { detail: 'No file changes found in the patch', dismissable: false, icon: 'diff' });
+      return;
+    }
+    if (filePatches.length === 1) {
+      this._openFilePatch(filePatches[0], patchPath);
+      return;
+    }
+
+    const items = filePatches.map((filePatch) => ({
+      type: filePatch.status,
+      label: filePatch.newPath != null ? filePatch.newPath : filePatch.oldPath,
+      detail: `+${filePatch.addedLines} −${filePatch.removedLines}` +
+        (filePatch.status === 'renamed' ? ` from ${filePatch.oldPath}` : ''),
+      filePatch: filePatch
+    }));
+    new PickerView(items, 'No files found in the patch', 'Pick a file of the patch').pick().then((item) => {
+      if (item != null) {
+        this._openFilePatch(item.filePatch, patchPath);
       }
-      if (editor2 != null && !editor2.isDestroyed()) {
-        try {
-          atom.views.getView(editor2).classList.remove('show-center-line');
-        } catch (e) { /* editor view may be unavailable */ }
+    });
+  },
+
+  // diffs a file of a patch, the patched version on the left
+  // the file is looked up in the project folders and next to the patch
+  _openFilePatch(filePatch, patchPath) {
+    const relativePath = filePatch.status === 'added' ? filePatch.newPath : filePatch.oldPath;
+    const folders = atom.project.getPaths();
+    if (patchPath != null) {
+      folders.push(path.dirname(patchPath));
+    }
+    let currentText = null;
+    for (const folder of folders) {
+      currentText = this._readFile(path.join(folder, relativePath));
+      if (currentText != null) {
+        break;
       }
+    }
+
+    const { oldText, newText, source } = reconstructTexts(filePatch, currentText);
+    if (source === 'hunks') {
+      const reason = currentText != null ? 'does not match the patch' : 'was not found';
+      atom.notifications.addInfo('Diff View', { detail: `${relativePath} ${reason}, showing only the lines of the patch`, dismissable: false, icon: 'diff' });
+    }
+    this._diffTexts(filePatch.newPath != null ? filePatch.newPath : relativePath, newText, oldText);
+  },
 
-      // Restore original soft wrap state (with safety checks)
-      if (editor1 != null && !editor1.isDestroyed() && this.originalEditor1SoftWrap != null) {
-        try {
-          editor1.setSoftWrapped(this.originalEditor1SoftWrap);
-        } catch (e) { /* editor may be destroyed */ }
+  // called by "apply patch" command
+  // previews a patch on a file, whose hunks are then accepted or rejected one by one
+  applyPatch(event) {
+    const filePath = this._getFilePathFromEvent(event);
+    if (!filePath) {
+      atom.notifications.addWarning('Diff View', { detail: 'No file found to patch', dismissable: false, icon: 'diff' });
+      return;
+    }
+
+    this._pickPatch(filePath).then((patch) => {
+      if (patch == null) {
+        return;
       }
-      if (editor2 != null && !editor2.isDestroyed() && this.originalEditor2SoftWrap != null) {
-        try {
-          editor2.setSoftWrapped(this.originalEditor2SoftWrap);
-        } catch (e) { /* editor may be destroyed */ }
+      const filePatches = parseUnifiedPatch(patch.text);
+      if (filePatches.length === 0) {
+        atom.notifications.addWarning('Diff View', { detail: 'No file changes found in the patch', dismissable: false, icon: 'diff' });
+        return;
+      }
+
+      // prefer the file patch whose path ends like the file
+      const normalizedFilePath = filePath.split(path.sep).join('/');
+      const isPatchOfFile = (patchPath) => patchPath != null && (normalizedFilePath === patchPath || normalizedFilePath.endsWith(`/${patchPath}`));
+      const matchingPatches = filePatches.filter((filePatch) => isPatchOfFile(filePatch.oldPath) || isPatchOfFile(filePatch.newPath));
+      if (matchingPatches.length === 1) {
+        this._applyFilePatch(filePath, matchingPatches[0], patch.label);
+      } else if (filePatches.length === 1) {
+        this._applyFilePatch(filePath, filePatches[0], patch.label);
+      } else {
+        const items = filePatches.map((filePatch) => ({
+          type: filePatch.status,
+          label: filePatch.newPath != null ? filePatch.newPath : filePatch.oldPath,
+          detail: `+${filePatch.addedLines} −${filePatch.removedLines}`,
+          filePatch: filePatch
+        }));
+        new PickerView(items, 'No files found in the patch', `Pick the changes to apply to ${path.basename(filePath)}`).pick().then((item) => {
+          if (item != null) {
+            this._applyFilePatch(filePath, item.filePatch, patch.label);
+          }
+        });
       }
+    });
+  },
+
+  // picks the patch to apply among the open .patch and .diff files and the clipboard
+  // returns the promise of an object with the text and label of the patch, or null
+  _pickPatch(filePath) {
+    const patches = atom.workspace.getTextEditors()
+      .filter((editor) => editor.getPath() != null && editor.getPath() !== filePath && /\.(patch|diff)$/i.test(editor.getPath()))
+      .map((editor) => ({ label: path.basename(editor.getPath()), detail: editor.getPath(), text: editor.getText() }));
+    const clipboardText = atom.clipboard.read();
+    if (parseUnifiedPatch(clipboardText).length > 0) {
+      patches.push({ label: 'Clipboard', detail: clipboardText.split('\n', 1)[0], text: clipboardText });
+    }
 
-      // Destroy diff view (clears markers) but don't destroy editors
-      this.diffView.destroy();
-      this.diffView = null;
+    if (patches.length === 0) {
+      atom.notifications.addWarning('Diff View', { detail: 'Open a .patch or .diff file, or copy a patch to the clipboard', dismissable: false, icon: 'diff' });
+      return Promise.resolve(null);
+    }
+    if (patches.length === 1) {
+      return Promise.resolve(patches[0]);
     }
+    return new PickerView(patches, 'No patches found', 'Pick the patch to apply').pick();
+  },
+
+  // diffs the file against its patched text, the hunks are accepted by copying them to the file on the left
+  _applyFilePatch(filePath, filePatch, patchLabel) {
+    const editorsPromise = atom.workspace.open(filePath, { split: 'left' }).then((editor) => {
+      const result = applyHunks(editor.getText(), filePatch);
+      return this._getEditorsForGitDiff(filePath, result.text).then((editors) => {
+        editors.patchApply = { label: patchLabel, hunks: result.hunks };
+
+        // flag the hunks whose context didn't fully match in the patched text
+        result.hunks.filter((hunk) => hunk.status === 'fuzzy').forEach((hunk) => {
+          const marker = editors.editor2.markBufferRange([[hunk.lineStart, 0], [Math.max(hunk.lineEnd - 1, hunk.lineStart), 0]], { invalidate: 'never' });
+          editors.editor2.decorateMarker(marker, { type: 'line-number', class: 'diff-view-patch-fuzzy' });
+        });
+
+        const failedHunks = result.hunks.filter((hunk) => hunk.status === 'failed');
+        if (failedHunks.length > 0) {
+          const failedText = failedHunks.map((hunk) => {
+            const { oldStart, oldLines, newStart, newLines, lines } = hunk.hunk;
+            return [`@@ -${oldStart},${oldLines} +${newStart},${newLines} @@`].concat(lines).join('\n');
+          }).join('\n');
+          const notification = atom.notifications.addWarning('Diff View', {
+            description: `${failedHunks.length === 1 ? '1 hunk' : `${failedHunks.length} hunks`} of ${patchLabel} could not be applied:`,
+            detail: failedText,
+            dismissable: true,
+            icon: 'diff',
+            buttons: [{
+              text: 'Copy Failed Hunks',
+              onDidClick: () => {
+                atom.clipboard.write(failedText + '\n');
+                notification.dismiss();
+              }
+            }]
+          });
+        }
+        return editors;
+      });
+    });
+    this.diffPanes(null, editorsPromise);
+  },
 
-    // remove views
-    if (this.footerView != null) {
-      this.footerView.destroy();
-      this.footerView = null;
+  // called by "accept hunk" command
+  // takes the selected chunks of the patched text into the file
+  acceptHunk() {
+    if (this.activeSession != null && this.activeSession.patchApply != null) {
+      this.copyToLeft();
     }
+  },
 
-    if (this.syncScroll != null) {
-      this.syncScroll.dispose();
-      this.syncScroll = null;
+  // called by "reject hunk" command
+  // drops the selected chunks from the patched text
+  rejectHunk() {
+    if (this.activeSession != null && this.activeSession.patchApply != null) {
+      this.copyToRight();
     }
+  },
 
-    // auto hide tree view while diffing #82
-    const hideDocks = this.options.hideDocks != null ? this.options.hideDocks : this._getConfig('hideDocks');
-    if (hideDocks) {
-      if (this.docksToReopen.left) {
-        atom.workspace.getLeftDock().show();
+  // called by "cancel diff" command
+  // stops the diff being computed, for files that take too long to diff
+  cancelDiff() {
+    if (this.activeSession != null) {
+      this.activeSession.cancelDiff();
+    }
+  },
+
+  // called by "changed files" command
+  // lists the files changed in the working tree since HEAD
+  showChangedFiles(event) {
+    const workingDirectory = this._getWorkingDirectoryFromEvent(event);
+    if (workingDirectory == null) {
+      atom.notifications.addWarning('Diff View', { detail: 'No git repository found', dismissable: false, icon: 'diff' });
+      return;
+    }
+
+    this._showChangedFiles(workingDirectory, 'HEAD', null);
+  },
+
+  // called by "changed files range" command
+  // picks two revisions and lists the files changed between them
+  showChangedFilesRange(event) {
+    const workingDirectory = this._getWorkingDirectoryFromEvent(event);
+    if (workingDirectory == null) {
+      atom.notifications.addWarning('Diff View', { detail: 'No git repository found', dismissable: false, icon: 'diff' });
+      return;
+    }
+
+    const refs = getRefs(workingDirectory);
+    new PickerView(refs, 'No git refs found', 'Pick the older revision').pick().then((fromItem) => {
+      if (fromItem == null) {
+        return;
       }
-      if (this.docksToReopen.right) {
-        atom.workspace.getRightDock().show();
+      new PickerView(refs, 'No git refs found', `Pick the newer revision to compare with ${fromItem.label}`).pick().then((toItem) => {
+        if (toItem != null) {
+          this._showChangedFiles(workingDirectory, fromItem.ref, toItem.ref);
+        }
+      });
+    });
+  },
+
+  // lists the changed files in the changed files panel and diffs the first one
+  // toRef is null to compare with the working tree
+  _showChangedFiles(workingDirectory, fromRef, toRef) {
+    const files = getChangedFiles(workingDirectory, fromRef, toRef);
+    this.changedFiles = {
+      workingDirectory: workingDirectory,
+      fromRef: fromRef,
+      toRef: toRef,
+      files: files,
+      index: -1,
+      // the diff session of the current file and the chunk to select once it is computed
+      session: null,
+      selectOnDiff: null
+    };
+
+    // reuse the panel unless it was closed
+    if (this.changedFilesView == null || atom.workspace.paneForItem(this.changedFilesView) == null) {
+      this.changedFilesView = new ChangedFilesView((index) => this._openChangedFile(index));
+    }
+    const shortRef = (ref) => /^[0-9a-f]{40}$/.test(ref) ? ref.slice(0, 7) : ref;
+    this.changedFilesView.setFiles(`${shortRef(fromRef)} → ${toRef != null ? shortRef(toRef) : 'working tree'}`, files);
+    atom.workspace.open(this.changedFilesView, { activatePane: false });
+
+    if (files.length > 0) {
+      this._openChangedFile(0);
+    }
+  },
+
+  // called by "next file" and "previous file" commands
+  // step is 1 for the next changed file and -1 for the previous one
+  // selectOnDiff is 'first' or 'last' to select a chunk of the file once it is diffed
+  stepChangedFile(step, selectOnDiff = null) {
+    if (this.changedFiles == null) {
+      return;
+    }
+
+    const index = this.changedFiles.index + step;
+    if (index < 0 || index >= this.changedFiles.files.length) {
+      const noFileMsg = step > 0 ? 'No next changed file' : 'No previous changed file';
+      atom.notifications.addWarning('Diff View', { detail: noFileMsg, dismissable: false, icon: 'diff' });
+      return;
+    }
+    this._openChangedFile(index, selectOnDiff);
+  },
+
+  // diffs a file of the changed files panel, the newer version on the left
+  _openChangedFile(index, selectOnDiff = null) {
+    const changedFiles = this.changedFiles;
+    const { workingDirectory, fromRef, toRef } = changedFiles;
+    const file = changedFiles.files[index];
+    const filePath = path.join(workingDirectory, file.path);
+    const oldPath = file.oldPath != null ? file.oldPath : file.path;
+
+    let editorsPromise = null;
+    if (toRef == null && file.status !== 'added' && file.status !== 'deleted') {
+      editorsPromise = this._diffGitFile(filePath, fromRef, oldPath);
+    } else {
+      let newText = '';
+      if (file.status !== 'deleted') {
+        newText = toRef != null ? showFile(workingDirectory, toRef, file.path) : this._readFile(filePath);
       }
-      if (this.docksToReopen.bottom) {
-        atom.workspace.getBottomDock().show();
+      const oldText = file.status !== 'added' ? showFile(workingDirectory, fromRef, oldPath) : '';
+      if (newText == null || oldText == null) {
+        atom.notifications.addWarning('Diff View', { detail: `No git version found for ${file.path}`, dismissable: false, icon: 'diff' });
+        return;
+      }
+      editorsPromise = this._diffTexts(filePath, newText, oldText);
+    }
+    if (editorsPromise == null) {
+      return;
+    }
+
+    // the diff of the next file replaces the diff of the previous one
+    const previousSession = changedFiles.session;
+    changedFiles.index = index;
+    changedFiles.selectOnDiff = selectOnDiff;
+    changedFiles.session = null;
+    if (this.changedFilesView != null) {
+      this.changedFilesView.setCurrentIndex(index);
+    }
+    editorsPromise.then((editors) => {
+      if (editors != null && this.changedFiles === changedFiles) {
+        changedFiles.session = this._getSessionForEditor(editors.editor1);
       }
+      if (previousSession != null && previousSession !== changedFiles.session) {
+        previousSession.destroy(true);
+      }
+    });
+  },
+
+  // whether next/prev diff continues in the next/previous changed file, which
+  // happens when the diff of a changed file is at its last/first chunk
+  _shouldRollOverToChangedFile(step) {
+    const session = this.activeSession;
+    if (this.changedFiles == null || session == null || this.changedFiles.session !== session) {
+      return false;
+    }
+    const index = this.changedFiles.index + step;
+    if (index < 0 || index >= this.changedFiles.files.length) {
+      return false;
     }
+    return step > 0 ? session.diffView.isLastDiffSelected() : session.diffView.isFirstDiffSelected();
+  },
 
-    // reset all variables
-    this.docksToReopen = { left: false, right: false, bottom: false };
-    this.wasEditor1Created = false;
-    this.wasEditor2Created = false;
-    this.wasEditor1SoftWrapped = false;
-    this.wasEditor2SoftWrapped = false;
-    this.originalEditor1SoftWrap = null;
-    this.originalEditor2SoftWrap = null;
-    this.hasGitRepo = false;
+  // Gets the working directory of the repository of the file targeted by a
+  // command event, falling back to the first repository of the project
+  _getWorkingDirectoryFromEvent(event) {
+    const filePath = this._getFilePathFromEvent(event);
+    const gitRepo = filePath ? getRepositoryForPath(filePath) : null;
+    if (gitRepo != null) {
+      return gitRepo.workingDirectory;
+    }
+    const projectRepo = atom.project.getRepositories().find((repo) => repo != null);
+    return projectRepo != null ? projectRepo.getWorkingDirectory() : null;
+  },
 
-    // Clear scroll-map layers
-    this._updateScrollMapLayers();
+  // reads a file of the working tree, returns null if it can't be read
+  _readFile(filePath) {
+    try {
+      return fs.readFileSync(filePath, 'utf8');
+    } catch (e) {
+      return null;
+    }
   },
 
-  // called by "diff-git" command
-  // diffs the file against its git version (HEAD by default, or specified ref)
-  diffGit(event, ref = 'HEAD') {
+  // Gets the compared revision of the file, the history that lets the diff
+  // step to older and newer revisions is only listed on the first step
+  _getGitDiffHistory(gitRepo, ref, refPath) {
+    const workingDirectory = gitRepo.workingDirectory;
+    const commits = getFileHistory(workingDirectory, refPath, ref, 1);
+    return {
+      workingDirectory: workingDirectory,
+      relativePath: gitRepo.relativePath,
+      ref: ref,
+      refPath: refPath,
+      commit: commits.length > 0 ? commits[0] : null,
+      history: null,
+      historyIndex: -1
+    };
+  },
+
+  // lists the history of a git diff and finds the compared revision in it,
+  // the history of HEAD unless the revision is on another branch or a stash
+  // entry; the commits are listed a page at a time so a long history isn't
+  // read at once
+  _loadGitDiffHistory(gitDiff) {
+    const listHistory = (historyRef, historyPath) => {
+      gitDiff.historyRef = historyRef;
+      gitDiff.historyPath = historyPath;
+      gitDiff.maxCommits = GIT_HISTORY_PAGE_SIZE;
+      gitDiff.history = getFileHistory(gitDiff.workingDirectory, historyPath, historyRef, gitDiff.maxCommits);
+    };
+    const findCommit = () => gitDiff.commit != null ? gitDiff.history.findIndex((commit) => commit.hash === gitDiff.commit.hash) : -1;
+
+    listHistory('HEAD', gitDiff.relativePath);
+    let historyIndex = findCommit();
+    while (historyIndex < 0 && gitDiff.history.length === gitDiff.maxCommits) {
+      this._extendGitDiffHistory(gitDiff, gitDiff.history.length);
+      historyIndex = findCommit();
+    }
+    if (historyIndex < 0) {
+      listHistory(gitDiff.ref, gitDiff.refPath);
+      historyIndex = gitDiff.history.length > 0 ? 0 : -1;
+    }
+    gitDiff.historyIndex = historyIndex;
+  },
+
+  // lists more pages of the history of a git diff, until it lists the
+  // commit at historyIndex or the first commit of the file
+  _extendGitDiffHistory(gitDiff, historyIndex) {
+    while (historyIndex >= gitDiff.history.length && gitDiff.history.length === gitDiff.maxCommits) {
+      gitDiff.maxCommits += GIT_HISTORY_PAGE_SIZE;
+      gitDiff.history = getFileHistory(gitDiff.workingDirectory, gitDiff.historyPath, gitDiff.historyRef, gitDiff.maxCommits);
+    }
+  },
+
+  // called by "git older/newer revision" commands
+  // moves the right editor of a git diff through the history of the file
+  // step is 1 to go one commit older and -1 to go one commit newer
+  stepGitRevision(step) {
+    const session = this.activeSession;
+    if (session == null || session.gitDiff == null) {
+      return;
+    }
+
+    const gitDiff = session.gitDiff;
+    if (gitDiff.history == null) {
+      this._loadGitDiffHistory(gitDiff);
+    }
+    const historyIndex = gitDiff.historyIndex + step;
+    this._extendGitDiffHistory(gitDiff, historyIndex);
+    const commit = historyIndex >= 0 ? gitDiff.history[historyIndex] : null;
+    if (commit == null) {
+      const noRevisionMsg = step > 0 ? 'No older revision of this file' : 'No newer revision of this file';
+      atom.notifications.addWarning('Diff View', { detail: noRevisionMsg, dismissable: false, icon: 'diff' });
+      return;
+    }
+
+    const gitText = showFile(gitDiff.workingDirectory, commit.hash, commit.path);
+    if (gitText == null) {
+      atom.notifications.addWarning('Diff View', { detail: `No git ${commit.shortHash} version found for this file`, dismissable: false, icon: 'diff' });
+      return;
+    }
+    gitDiff.historyIndex = historyIndex;
+    gitDiff.commit = commit;
+    gitDiff.ref = commit.hash;
+    gitDiff.refPath = commit.path;
+
+    this._setTextLike(session.editors.editor2, session.editors.editor1, gitText);
+    session.footerView.setRevision(commit);
+    session.updateDiffUnlessAuto();
+  },
+
+  // called by "git index" and "git staged" commands
+  // diffs the file against its staged version, or the staged version against
+  // HEAD when isStaged is set, single chunks can then be staged or unstaged
+  diffGitIndex(event, isStaged) {
+    const filePath = this._getFilePathFromEvent(event);
+    if (!filePath) {
+      atom.notifications.addWarning('Diff View', { detail: 'No file found to diff', dismissable: false, icon: 'diff' });
+      return;
+    }
+
+    const gitRepo = getRepositoryForPath(filePath);
+    if (gitRepo == null) {
+      atom.notifications.addWarning('Diff View', { detail: 'File is not in a git repository', dismissable: false, icon: 'diff' });
+      return;
+    }
+
+    // an empty ref selects the staged version
+    const indexText = showFile(gitRepo.workingDirectory, '', gitRepo.relativePath);
+    if (indexText == null) {
+      atom.notifications.addWarning('Diff View', { detail: 'No staged version found for this file', dismissable: false, icon: 'diff' });
+      return;
+    }
+
+    const gitIndex = { workingDirectory: gitRepo.workingDirectory, relativePath: gitRepo.relativePath, isStaged: isStaged };
+    let editorsPromise = null;
+    if (isStaged) {
+      // a newly added file has no HEAD version
+      const headText = showFile(gitRepo.workingDirectory, 'HEAD', gitRepo.relativePath);
+      editorsPromise = atom.workspace.open(filePath).then((editor) => this._addEditorsLike(editor, indexText, headText != null ? headText : ''));
+    } else {
+      editorsPromise = this._getEditorsForGitDiff(filePath, indexText);
+    }
+    this.diffPanes(null, editorsPromise.then((editors) => Object.assign(editors, { gitIndex: gitIndex })));
+  },
+
+  // called by "stage hunk" command
+  // stages the selected chunks of a diff against the staged version
+  stageHunk() {
+    const session = this.activeSession;
+    if (session != null && session.gitIndex != null && !session.gitIndex.isStaged) {
+      this._applySelectedChunksToIndex(session);
+    }
+  },
+
+  // called by "unstage hunk" command
+  // unstages the selected chunks of a diff of the staged version against HEAD
+  unstageHunk() {
+    const session = this.activeSession;
+    if (session != null && session.gitIndex != null && session.gitIndex.isStaged) {
+      this._applySelectedChunksToIndex(session);
+    }
+  },
+
+  // makes the selected chunks of the staged version match the other side of
+  // the diff by applying a patch to the index, then refreshes the diff
+  _applySelectedChunksToIndex(session) {
+    const isStaged = session.gitIndex.isStaged;
+    const chunks = session.diffView.getSelectedChunks();
+    if (chunks.length === 0) {
+      const noChunkMsg = `Place a cursor in a diff chunk to ${isStaged ? 'unstage' : 'stage'} it`;
+      atom.notifications.addWarning('Diff View', { detail: noChunkMsg, dismissable: false, icon: 'diff' });
+      return;
+    }
+
+    const { workingDirectory, relativePath } = session.gitIndex;
+    const indexText = showFile(workingDirectory, '', relativePath);
+    if (indexText == null) {
+      atom.notifications.addWarning('Diff View', { detail: 'No staged version found for this file', dismissable: false, icon: 'diff' });
+      return;
+    }
+
+    const editors = session.editors;
+    let patch = null;
+    if (isStaged) {
+      // staged version on the left takes back the lines of HEAD on the right
+      const headText = showFile(workingDirectory, 'HEAD', relativePath);
+      patch = createLinesPatch(relativePath, indexText, headText != null ? headText : '', chunks.map((chunk) => ({
+        targetLineStart: chunk.oldLineStart,
+        targetLineEnd: chunk.oldLineEnd,
+        sourceLineStart: chunk.newLineStart,
+        sourceLineEnd: chunk.newLineEnd
+      })));
+    } else {
+      // staged version on the right takes the lines of the working file on the left
+      patch = createLinesPatch(relativePath, indexText, editors.editor1.getText(), chunks.map((chunk) => ({
+        targetLineStart: chunk.newLineStart,
+        targetLineEnd: chunk.newLineEnd,
+        sourceLineStart: chunk.oldLineStart,
+        sourceLineEnd: chunk.oldLineEnd
+      })));
+    }
+
+    const error = applyPatchToIndex(workingDirectory, patch);
+    if (error != null) {
+      atom.notifications.addWarning('Diff View', { detail: `Could not ${isStaged ? 'unstage' : 'stage'} the hunk: ${error}`, dismissable: false, icon: 'diff' });
+      return;
+    }
+
+    // show the new staged version
+    const newIndexText = showFile(workingDirectory, '', relativePath);
+    if (isStaged) {
+      this._setTextLike(editors.editor1, editors.editor2, newIndexText);
+    } else {
+      this._setTextLike(editors.editor2, editors.editor1, newIndexText);
+    }
+    session.updateDiffUnlessAuto();
+  },
+
+  // Gets the file path targeted by a command event (tree-view, tab or editor),
+  // falling back to the path of the active editor
+  _getFilePathFromEvent(event) {
     let filePath = null;
 
     // Get file path from event target (tree-view or tab)
@@ -263,176 +951,430 @@ module.exports = {
       }
     }
 
+    return filePath;
+  },
+
+  // Gets editors for git diff - current file on left, HEAD on right
+  // gitDiff is the optional history of the file used to step through revisions
+  _getEditorsForGitDiff(filePath, gitHeadText, gitDiff = null) {
+    return atom.workspace.open(filePath, { split: 'left' }).then((editor1) => {
+      const editor2 = this._buildTextEditorLike(editor1, gitHeadText);
+      this._addEditorRightOf(editor1, editor2);
+      return { editor1: editor1, editor2: editor2, wasEditor2Created: true, gitDiff: gitDiff };
+    });
+  },
+
+  // Gets the pane to the right of the given editor, splitting its pane if there is none
+  _getPaneRightOf(editor) {
+    const panes = atom.workspace.getCenter().getPanes();
+    const rightPaneIndex = panes.indexOf(atom.workspace.paneForItem(editor)) + 1;
+    return panes[rightPaneIndex] || atom.workspace.paneForItem(editor).splitRight();
+  },
+
+  // Adds a created editor to the pane to the right of the given editor
+  _addEditorRightOf(editor, newEditor) {
+    const rightPane = this._getPaneRightOf(editor);
+    rightPane.addItem(newEditor);
+    rightPane.activateItem(newEditor);
+  },
+
+  // Builds a new editor holding the given text, using the line endings and
+  // grammar of the given editor
+  _buildTextEditorLike(editor, text) {
+    const newEditor = atom.workspace.buildTextEditor({ autoHeight: false });
+    this._setTextLike(newEditor, editor, text);
+
+    // Set grammar to match the original file (after text is set)
+    const grammar = editor.getGrammar();
+    if (grammar && grammar.scopeName) {
+      atom.grammars.assignLanguageMode(newEditor.getBuffer(), grammar.scopeName);
+    }
+
+    return newEditor;
+  },
+
+  // Builds a new editor holding the given text, with the grammar of the file
+  _buildTextEditorForPath(filePath, text) {
+    const newEditor = atom.workspace.buildTextEditor({ autoHeight: false });
+    newEditor.setText(text);
+
+    const grammar = atom.grammars.selectGrammar(filePath, text);
+    if (grammar && grammar.scopeName) {
+      atom.grammars.assignLanguageMode(newEditor.getBuffer(), grammar.scopeName);
+    }
+
+    return newEditor;
+  },
+
+  // Sets the text of the target editor, normalizing its line endings to match
+  // the given editor
+  _setTextLike(targetEditor, editor, text) {
+    const BufferExtender = require('./buffer-extender');
+    const lineEnding = new BufferExtender(editor.getBuffer()).getLineEnding();
+    if (lineEnding && lineEnding !== 'Mixed') {
+      targetEditor.getBuffer().setPreferredLineEnding(lineEnding);
+      targetEditor.setText(text.replace(/\r\n|\r|\n/g, lineEnding));
+    } else {
+      targetEditor.setText(text);
+    }
+  },
+
+  // called by "resolve conflicts" command
+  // splits a file with git conflict markers into ours (left) and theirs (right)
+  // editors, the hunks collected in the left editor are written back on apply
+  resolveConflicts(event) {
+    const filePath = this._getFilePathFromEvent(event);
+    const activeEditor = atom.workspace.getActiveTextEditor();
+    if (!filePath && activeEditor == null) {
+      atom.notifications.addWarning('Diff View', { detail: 'No file found to resolve', dismissable: false, icon: 'diff' });
+      return;
+    }
+
+    const editorPromise = filePath ? atom.workspace.open(filePath) : Promise.resolve(activeEditor);
+    editorPromise.then((editor) => {
+      const conflicts = parseConflicts(editor.getText());
+      if (conflicts == null) {
+        atom.notifications.addWarning('Diff View', { detail: 'The conflict markers in this file are malformed', dismissable: false, icon: 'diff' });
+        return;
+      }
+      if (conflicts.numConflicts === 0) {
+        atom.notifications.addWarning('Diff View', { detail: 'No conflict markers found in this file', dismissable: false, icon: 'diff' });
+        return;
+      }
+
+      this.diffPanes(null, this._getEditorsForConflicts(editor, conflicts));
+
+      const muteNotifications = this._getConfig('muteNotifications');
+      if (!muteNotifications) {
+        const resolveMsg = 'Copy the hunks you want to keep into the left editor, then apply the resolution.';
+        atom.notifications.addInfo('Diff View', { detail: resolveMsg, dismissable: false, icon: 'diff' });
+      }
+    });
+  },
+
+  // Gets editors for conflict resolution - ours on left, theirs on right
+  _getEditorsForConflicts(editor, conflicts) {
+    const editors = this._addEditorsLike(editor, conflicts.oursText, conflicts.theirsText);
+    editors.conflictResolution = { editor: editor };
+    return Promise.resolve(editors);
+  },
+
+  // Builds two editors like the given editor, the left one is added to its
+  // pane and the right one to the pane to the right of it
+  _addEditorsLike(editor, text1, text2) {
+    const editor1 = this._buildTextEditorLike(editor, text1);
+    const editor2 = this._buildTextEditorLike(editor, text2);
+    return this._addEditorsToPanes(editor1, editor2, atom.workspace.paneForItem(editor));
+  },
+
+  // Adds two created editors to the given pane and the pane to the right of it
+  _addEditorsToPanes(editor1, editor2, pane) {
+    pane.addItem(editor1);
+    pane.activateItem(editor1);
+    const panes = atom.workspace.getCenter().getPanes();
+    const rightPane = panes[panes.indexOf(pane) + 1] || pane.splitRight();
+    rightPane.addItem(editor2);
+    rightPane.activateItem(editor2);
+
+    return { editor1: editor1, editor2: editor2, wasEditor1Created: true, wasEditor2Created: true };
+  },
+
+  // called by "apply resolution" command
+  // writes the left editor of a conflict resolution back into the conflicted file
+  applyResolution() {
+    const session = this.activeSession;
+    if (session == null || session.conflictResolution == null) {
+      return;
+    }
+
+    const editor = session.conflictResolution.editor;
+    const resolvedText = session.editors.editor1.getText();
+    if (editor.isDestroyed()) {
+      atom.notifications.addWarning('Diff View', { detail: 'The conflicted file was closed', dismissable: false, icon: 'diff' });
+      return;
+    }
+
+    editor.getBuffer().setTextViaDiff(resolvedText);
+    session.destroy(true);
+    const pane = atom.workspace.paneForItem(editor);
+    if (pane != null) {
+      pane.activateItem(editor);
+    }
+  },
+
+  // called by "merge conflicts" command
+  // opens a three-way merge of a conflicted file from its git index stages
+  mergeConflicts(event) {
+    const filePath = this._getFilePathFromEvent(event);
     if (!filePath) {
-      atom.notifications.addWarning('Diff View', { detail: 'No file found to diff', dismissable: false, icon: 'diff' });
+      atom.notifications.addWarning('Diff View', { detail: 'No file found to merge', dismissable: false, icon: 'diff' });
+      return;
+    }
+
+    const gitRepo = getRepositoryForPath(filePath);
+    if (gitRepo == null) {
+      atom.notifications.addWarning('Diff View', { detail: 'File is not in a git repository', dismissable: false, icon: 'diff' });
       return;
     }
 
-    // Find the git repository and get the ref version
-    const directories = atom.project.getDirectories();
-    for (let i = 0; i < directories.length; i++) {
-      const directory = directories[i];
-      if (filePath === directory.getPath() || directory.contains(filePath)) {
-        let projectRepo = atom.project.getRepositories()[i];
-        if (projectRepo != null) {
-          projectRepo = projectRepo.getRepo(filePath);
-          const relativeFilePath = projectRepo.relativize(filePath);
-
-          // For HEAD, use getHeadBlob; for other refs, use git show
-          if (ref === 'HEAD') {
-            const gitText = projectRepo.getHeadBlob(relativeFilePath);
-            if (gitText != null) {
-              this.disable();
-              const editorsPromise = this._getEditorsForGitDiff(filePath, gitText);
-              this.diffPanes(null, editorsPromise);
-              return;
-            } else {
-              atom.notifications.addWarning('Diff View', { detail: 'No git HEAD version found for this file', dismissable: false, icon: 'diff' });
-              return;
-            }
-          } else {
-            // Use git show for other refs
-            const { spawnSync } = require('child_process');
-            const repoPath = projectRepo.getWorkingDirectory();
-            const result = spawnSync('git', ['show', `${ref}:${relativeFilePath}`], {
-              cwd: repoPath,
-              encoding: 'utf8',
-              maxBuffer: 10 * 1024 * 1024
-            });
-
-            if (result.status === 0 && result.stdout) {
-              this.disable();
-              const editorsPromise = this._getEditorsForGitDiff(filePath, result.stdout);
-              this.diffPanes(null, editorsPromise);
-              return;
-            } else {
-              atom.notifications.addWarning('Diff View', { detail: `No ${ref} version found for this file`, dismissable: false, icon: 'diff' });
-              return;
-            }
-          }
-        }
-      }
+    // stage 1 is the common ancestor, stage 2 is ours and stage 3 is theirs
+    const baseText = showFile(gitRepo.workingDirectory, ':1', gitRepo.relativePath);
+    const oursText = showFile(gitRepo.workingDirectory, ':2', gitRepo.relativePath);
+    const theirsText = showFile(gitRepo.workingDirectory, ':3', gitRepo.relativePath);
+    if (oursText == null || theirsText == null) {
+      atom.notifications.addWarning('Diff View', { detail: 'File has no merge conflicts', dismissable: false, icon: 'diff' });
+      return;
     }
 
-    atom.notifications.addWarning('Diff View', { detail: 'File is not in a git repository', dismissable: false, icon: 'diff' });
+    const editorsPromise = atom.workspace.open(filePath).then((editor) => {
+      const ours = this._buildTextEditorLike(editor, oursText);
+      // a file added on both sides has no common ancestor
+      const base = this._buildTextEditorLike(editor, baseText != null ? baseText : '');
+      const theirs = this._buildTextEditorLike(editor, theirsText);
+
+      const pane = atom.workspace.paneForItem(editor);
+      pane.addItem(ours);
+      pane.activateItem(ours);
+      const basePane = pane.splitRight({ items: [base] });
+      basePane.splitRight({ items: [theirs] });
+
+      return { ours: ours, base: base, theirs: theirs };
+    });
+    this.mergePanes(editorsPromise, {}, ['ours', 'base', 'theirs'], filePath);
   },
 
-  // Gets editors for git diff - current file on left, HEAD on right
-  _getEditorsForGitDiff(filePath, gitHeadText) {
-    return atom.workspace.open(filePath, { split: 'left' }).then((editor1) => {
-      const editor2 = atom.workspace.buildTextEditor({ autoHeight: false });
-      this.wasEditor2Created = true;
-
-      // Normalize line endings to match editor1
-      const BufferExtender = require('./buffer-extender');
-      const buffer1LineEnding = new BufferExtender(editor1.getBuffer()).getLineEnding();
-      if (buffer1LineEnding) {
-        editor2.getBuffer().setPreferredLineEnding(buffer1LineEnding);
-        // Normalize git HEAD text line endings
-        const normalizedText = gitHeadText.replace(/\r\n|\r|\n/g, buffer1LineEnding);
-        editor2.setText(normalizedText);
-      } else {
-        editor2.setText(gitHeadText);
+  // starts a three-way merge between the editors yielded by editorsPromise
+  // options is an optional argument with optional properties that are used to override user's settings
+  // createdEditors lists the roles of the editors created for the merge, they are removed when it ends
+  // targetPath is the optional file the merge result is applied to
+  mergePanes(editorsPromise, options = {}, createdEditors = [], targetPath = null) {
+    // the merge takes over the panes, it ends all diffs
+    this._disableAll();
+
+    return editorsPromise.then((editors) => {
+      if (editors === null) {
+        return null;
       }
+      this.mergeSession = new MergeSession(editors, options, createdEditors, targetPath);
+      this.mergeSession.onDidDestroy(() => {
+        this.mergeSession = null;
+      });
+    });
+  },
 
-      // Set grammar to match the original file (after text is set)
-      const grammar = editor1.getGrammar();
-      if (grammar && grammar.scopeName) {
-        atom.grammars.assignLanguageMode(editor2.getBuffer(), grammar.scopeName);
+  // called by "compare directories" command
+  // lists the added, removed, modified and identical files of the two folders
+  // selected in the tree view, the first one is the base
+  compareDirectories(event) {
+    const target = event && event.currentTarget && event.currentTarget.closest ? event.currentTarget : null;
+    const treeView = (target != null ? target.closest('.tree-view') : null) || document.querySelector('.tree-view');
+    const folderPaths = treeView != null ? Array.from(treeView.querySelectorAll('.directory.selected > .header > .name[data-path]')).map((name) => name.dataset.path) : [];
+    if (folderPaths.length !== 2) {
+      atom.notifications.addWarning('Diff View', { detail: 'Select two folders in the tree view to compare', dismissable: false, icon: 'diff' });
+      return;
+    }
+
+    // reuse the panel unless it was closed
+    if (this.directoryDiffView == null || atom.workspace.paneForItem(this.directoryDiffView) == null) {
+      this.directoryDiffView = new DirectoryDiffView((entry) => this._openDirectoryEntry(entry));
+    }
+    const directoryDiffView = this.directoryDiffView;
+    directoryDiffView.setDirectories(folderPaths[0], folderPaths[1]);
+    atom.workspace.open(directoryDiffView);
+
+    const maxDiffSize = atom.config.get('diff-view.maxDiffSize');
+    const diffTimeout = atom.config.get('diff-view.diffTimeout');
+    const limits = {
+      maxSize: maxDiffSize > 0 ? maxDiffSize * 1024 : null,
+      timeout: diffTimeout > 0 ? diffTimeout * 1000 : null,
+      fallback: atom.config.get('diff-view.largeFileFallback') === 'Summary Only' ? 'summary' : 'line-hash'
+    };
+    const comparisonId = ++this.directoryComparisonId;
+    const isCancelled = () => comparisonId !== this.directoryComparisonId;
+    compareDirectories(folderPaths[0], folderPaths[1], { limits, isCancelled }).then((entries) => {
+      if (entries != null && !isCancelled()) {
+        directoryDiffView.setEntries(entries);
       }
+    }).catch((error) => {
+      if (!isCancelled()) {
+        directoryDiffView.setError(`Could not compare the folders: ${error.message}`);
+      }
+    });
+  },
 
-      // Add to pane to the right
-      const panes = atom.workspace.getCenter().getPanes();
-      const rightPaneIndex = panes.indexOf(atom.workspace.paneForItem(editor1)) + 1;
-      const rightPane = panes[rightPaneIndex] || atom.workspace.paneForItem(editor1).splitRight();
-      rightPane.addItem(editor2);
-      rightPane.activateItem(editor2);
+  // opens an entry of the directory diff, a file found in both folders is
+  // diffed with the base on the left
+  _openDirectoryEntry(entry) {
+    if (entry.status === 'added') {
+      atom.workspace.open(entry.rightPath);
+      return;
+    }
+    if (entry.status === 'removed') {
+      atom.workspace.open(entry.leftPath);
+      return;
+    }
 
-      return { editor1: editor1, editor2: editor2 };
+    const panes = atom.workspace.getCenter().getPanes();
+    const leftPane = panes[0];
+    const rightPane = panes[1] || leftPane.splitRight();
+    Promise.all([
+      atom.workspace.openURIInPane(entry.leftPath, leftPane),
+      atom.workspace.openURIInPane(entry.rightPath, rightPane)
+    ]).then(([editor1, editor2]) => {
+      // the second folder holds the latest version
+      this.diffEditors(editor1, editor2, { addedColorSide: 'right' });
     });
   },
 
   // called by "Disable" command
-  // removes diff and sync scroll, disposes of subscriptions
+  // removes the active diff and its sync scroll, disposes of its subscriptions
   disable() {
-    this.isEnabled = false;
-
-    // remove listeners
-    if (this.editorSubscriptions != null) {
-      this.editorSubscriptions.dispose();
-      this.editorSubscriptions = null;
-    }
-    if (this.contextMenuSubscriptions != null) {
-      this.contextMenuSubscriptions.dispose();
-      this.contextMenuSubscriptions = null;
-    }
-    if (this.lineEndingSubscription != null) {
-      this.lineEndingSubscription.dispose();
-      this.lineEndingSubscription = null;
-    }
-
-    if (this.diffView != null) {
-      // Remove center line class from editors before cleanup (with safety checks)
-      const editor1 = this.diffView._editorDiffExtender1 != null ? this.diffView._editorDiffExtender1.getEditor() : null;
-      const editor2 = this.diffView._editorDiffExtender2 != null ? this.diffView._editorDiffExtender2.getEditor() : null;
-      if (editor1 != null && !editor1.isDestroyed()) {
-        try {
-          atom.views.getView(editor1).classList.remove('show-center-line');
-        } catch (e) { /* editor view may be unavailable */ }
+    if (this.mergeSession != null) {
+      this.mergeSession.destroy(true);
+    }
+    if (this.activeSession != null) {
+      this.activeSession.destroy(true);
+    }
+  },
+
+  // removes all diffs
+  _disableAll() {
+    if (this.mergeSession != null) {
+      this.mergeSession.destroy(true);
+    }
+    this.sessions.slice().forEach((session) => session.destroy(true));
+  },
+
+  // reopens the diffs of the previous window one after the other
+  _restoreSessions(state) {
+    const restorePromise = state.sessions.reduce((promise, sessionState) => {
+      return promise.then(() => this._restoreSession(sessionState)).catch(() => null);
+    }, Promise.resolve());
+    restorePromise.then(() => {
+      // the docks were hidden by the diffs of the previous window
+      if (this.sessions.length > 0 && state.docksToReopen != null) {
+        this.docksToReopen = state.docksToReopen;
+      }
+    });
+  },
+
+  // restarts a serialized diff (see DiffSession.serialize) on the editors the
+  // workspace restored, the editors it didn't restore are opened or built again
+  // the git versions are read again, as the repository may have changed since
+  // returns a promise of the session, or null if the diff can't be restored
+  _restoreSession(sessionState) {
+    const findEditor = (editorState) => atom.workspace.getTextEditors().find((editor) => editor.id === editorState.id) || null;
+    const editor1 = findEditor(sessionState.editor1);
+    let editor1Promise = Promise.resolve(editor1);
+    if (editor1 == null && sessionState.editor1.path != null) {
+      editor1Promise = atom.workspace.open(sessionState.editor1.path, { split: 'left' });
+    }
+
+    const editorsPromise = editor1Promise.then((editor1) => {
+      if (editor1 == null) {
+        return null;
       }
-      if (editor2 != null && !editor2.isDestroyed()) {
-        try {
-          atom.views.getView(editor2).classList.remove('show-center-line');
-        } catch (e) { /* editor view may be unavailable */ }
+      const editors = {
+        editor1: editor1,
+        editor2: findEditor(sessionState.editor2),
+        wasEditor1Created: sessionState.editor1.wasCreated,
+        wasEditor2Created: sessionState.editor2.wasCreated
+      };
+
+      // the text of the right editor, when it holds a git version
+      let gitText = null;
+      if (sessionState.gitRef != null) {
+        const gitRepo = getRepositoryForPath(editor1.getPath());
+        const gitFile = gitRepo != null ? this._showGitFile(gitRepo, sessionState.gitRef.ref, sessionState.gitRef.refPath) : null;
+        if (gitFile == null) {
+          return null;
+        }
+        gitText = gitFile.text;
+        editors.gitDiff = this._getGitDiffHistory(gitRepo, sessionState.gitRef.ref, gitFile.refPath);
+      } else if (sessionState.gitIndex != null) {
+        const { workingDirectory, relativePath, isStaged } = sessionState.gitIndex;
+        const indexText = showFile(workingDirectory, '', relativePath);
+        if (indexText == null) {
+          return null;
+        }
+        if (isStaged) {
+          // the staged version is on the left and HEAD on the right
+          const headText = showFile(workingDirectory, 'HEAD', relativePath);
+          this._setTextLike(editor1, editor1, indexText);
+          gitText = headText != null ? headText : '';
+        } else {
+          gitText = indexText;
+        }
+        editors.gitIndex = sessionState.gitIndex;
       }
 
-      // Clean up editors (with safety checks for already-destroyed editors)
-      if (this.wasEditor1Created) {
-        try {
-          if (editor1 != null && !editor1.isDestroyed()) {
-            this.diffView.cleanUpEditor(1);
-          }
-        } catch (e) { /* editor may be destroyed */ }
-      } else {
-        // Restore original soft wrap state for editor1
-        try {
-          if (editor1 != null && !editor1.isDestroyed() && this.originalEditor1SoftWrap != null) {
-            editor1.setSoftWrapped(this.originalEditor1SoftWrap);
-          }
-        } catch (e) { /* editor may be destroyed */ }
+      if (editors.editor2 != null) {
+        if (gitText != null) {
+          this._setTextLike(editors.editor2, editor1, gitText);
+        }
+        return editors;
       }
-      if (this.wasEditor2Created) {
-        try {
-          if (editor2 != null && !editor2.isDestroyed()) {
-            this.diffView.cleanUpEditor(2);
-          }
-        } catch (e) { /* editor may be destroyed */ }
-      } else {
-        // Restore original soft wrap state for editor2
-        try {
-          if (editor2 != null && !editor2.isDestroyed() && this.originalEditor2SoftWrap != null) {
-            editor2.setSoftWrapped(this.originalEditor2SoftWrap);
-          }
-        } catch (e) { /* editor may be destroyed */ }
+      if (gitText != null) {
+        editors.editor2 = this._buildTextEditorLike(editor1, gitText);
+        editors.wasEditor2Created = true;
+        this._addEditorRightOf(editor1, editors.editor2);
+        return editors;
       }
-      this.diffView.destroy();
-      this.diffView = null;
-    }
+      if (sessionState.editor2.path != null) {
+        return atom.workspace.openURIInPane(sessionState.editor2.path, this._getPaneRightOf(editor1)).then((editor2) => {
+          editors.editor2 = editor2;
+          return editors;
+        });
+      }
+      return null;
+    });
+
+    return this.diffPanes(null, editorsPromise, sessionState.options).then((session) => {
+      // select the chunk again once the diff is computed
+      if (session != null && sessionState.selectedIndex >= 0) {
+        const subscription = session.onDidUpdateDiff(() => {
+          subscription.dispose();
+          session.selectDiff(sessionState.selectedIndex);
+        });
+      }
+      return session;
+    });
+  },
+
+  // Gets the diff session of an editor, or null if it isn't diffed
+  _getSessionForEditor(editor) {
+    return this.sessions.find((session) => session.hasEditor(editor)) || null;
+  },
 
-    // remove views
-    if (this.footerView != null) {
-      this.footerView.destroy();
-      this.footerView = null;
+  // starts tracking a new diff session and makes it the active one
+  _addSession(session) {
+    // auto hide tree view while diffing #82
+    if (this.sessions.length === 0 && session.getOption('hideDocks')) {
+      this.docksToReopen.left = atom.workspace.getLeftDock().isVisible();
+      this.docksToReopen.right = atom.workspace.getRightDock().isVisible();
+      this.docksToReopen.bottom = atom.workspace.getBottomDock().isVisible();
+      atom.workspace.getLeftDock().hide();
+      atom.workspace.getRightDock().hide();
+      atom.workspace.getBottomDock().hide();
     }
 
-    if (this.syncScroll != null) {
-      this.syncScroll.dispose();
-      this.syncScroll = null;
+    this.sessions.push(session);
+    session.onDidUpdateDiff(() => this._didUpdateDiff(session));
+    session.onDidDestroy(() => this._removeSession(session));
+    this._setActiveSession(session);
+  },
+
+  // stops tracking an ended diff session, the last remaining one becomes active
+  _removeSession(session) {
+    this.sessions = this.sessions.filter((otherSession) => otherSession !== session);
+    if (this.activeSession === session) {
+      this.activeSession = null;
+      if (this.sessions.length > 0) {
+        this._setActiveSession(this.sessions[this.sessions.length - 1]);
+      }
     }
 
-    // auto hide tree view while diffing #82
-    const hideDocks = this.options.hideDocks != null ? this.options.hideDocks : this._getConfig('hideDocks');
-    if (hideDocks) {
+    if (this.sessions.length === 0) {
       if (this.docksToReopen.left) {
         atom.workspace.getLeftDock().show();
       }
@@ -442,30 +1384,68 @@ module.exports = {
       if (this.docksToReopen.bottom) {
         atom.workspace.getBottomDock().show();
       }
+      this.docksToReopen = { left: false, right: false, bottom: false };
     }
 
-    // reset all variables
-    this.docksToReopen = { left: false, right: false, bottom: false };
-    this.wasEditor1Created = false;
-    this.wasEditor2Created = false;
-    this.wasEditor1SoftWrapped = false;
-    this.wasEditor2SoftWrapped = false;
-    this.originalEditor1SoftWrap = null;
-    this.originalEditor2SoftWrap = null;
-    this.hasGitRepo = false;
-
     // Clear scroll-map layers
     this._updateScrollMapLayers();
   },
 
+  // shows the footer of the session whose editor got focus
+  _setActiveSession(session) {
+    if (this.activeSession === session) {
+      return;
+    }
+    if (this.activeSession != null) {
+      this.activeSession.setActive(false);
+    }
+    this.activeSession = session;
+    session.setActive(true);
+    this._updateScrollMapLayers();
+  },
+
+  // called each time a session has displayed its diff
+  _didUpdateDiff(session) {
+    // give the marker layers to those registered with the service
+    while (this.splitDiffResolves.length) {
+      this.splitDiffResolves.pop()(session.diffView.getMarkerLayers());
+    }
+
+    // finish a next/prev diff that rolled over to another changed file
+    if (this.changedFiles != null && this.changedFiles.session === session && this.changedFiles.selectOnDiff != null) {
+      const selectLast = this.changedFiles.selectOnDiff === 'last';
+      this.changedFiles.selectOnDiff = null;
+      session.selectDiff(selectLast ? session.diffView.getNumDifferences() - 1 : 0);
+    }
+
+    // Update scroll-map layers with diff positions
+    if (session === this.activeSession) {
+      this._updateScrollMapLayers();
+    }
+  },
+
   // called by "ignore whitespace toggle" command
   toggleIgnoreWhitespace() {
     // if ignoreWhitespace is not being overridden
-    if (this.options.ignoreWhitespace == null) {
+    if (this._getActiveOptions().ignoreWhitespace == null) {
       const ignoreWhitespace = this._getConfig('ignoreWhitespace');
       this._setConfig('ignoreWhitespace', !ignoreWhitespace);
-      if (this.footerView != null) {
-        this.footerView.setIgnoreWhitespace(!ignoreWhitespace);
+      const footerView = this._getFooterView();
+      if (footerView != null) {
+        footerView.setIgnoreWhitespace(!ignoreWhitespace);
+      }
+    }
+  },
+
+  // called by the toggle commands of the other ignore rules, with the option they toggle
+  toggleIgnoreRule(name) {
+    // if the rule is not being overridden
+    if (this._getActiveOptions()[name] == null) {
+      const isEnabled = this._getConfig(name);
+      this._setConfig(name, !isEnabled);
+      const footerView = this._getFooterView();
+      if (footerView != null) {
+        footerView.setIgnoreRule(name, !isEnabled, false);
       }
     }
   },
@@ -473,139 +1453,236 @@ module.exports = {
   // called by "auto diff toggle" command
   toggleAutoDiff() {
     // if autoDiff is not being overridden
-    if (this.options.autoDiff == null) {
+    if (this._getActiveOptions().autoDiff == null) {
       const autoDiff = this._getConfig('autoDiff');
       this._setConfig('autoDiff', !autoDiff);
-      if (this.footerView != null) {
-        this.footerView.setAutoDiff(!autoDiff);
+      const footerView = this._getFooterView();
+      if (footerView != null) {
+        footerView.setAutoDiff(!autoDiff);
+      }
+    }
+  },
+
+  // called by "cycle diff algorithm" command
+  cycleDiffAlgorithm() {
+    // if diffAlgorithm is not being overridden
+    if (this._getActiveOptions().diffAlgorithm == null) {
+      const algorithms = ['Myers', 'Patience', 'Histogram'];
+      const diffAlgorithm = algorithms[(algorithms.indexOf(this._getConfig('diffAlgorithm')) + 1) % algorithms.length];
+      this._setConfig('diffAlgorithm', diffAlgorithm);
+      const footerView = this._getFooterView();
+      if (footerView != null) {
+        footerView.setDiffAlgorithm(diffAlgorithm.toLowerCase(), false);
+      }
+    }
+  },
+
+  // called by "unified diff toggle" command
+  toggleUnifiedMode() {
+    // if unifiedMode is not being overridden
+    if (this._getActiveOptions().unifiedMode == null) {
+      const unifiedMode = this._getConfig('unifiedMode');
+      this._setConfig('unifiedMode', !unifiedMode);
+      const footerView = this._getFooterView();
+      if (footerView != null) {
+        footerView.setUnifiedMode(!unifiedMode);
       }
     }
   },
 
   // called by "toggle soft-wrap" command
   toggleSoftWrap() {
-    if (this.isEnabled && this.diffView != null) {
-      const editor1 = this.diffView._editorDiffExtender1 != null ? this.diffView._editorDiffExtender1.getEditor() : null;
-      const editor2 = this.diffView._editorDiffExtender2 != null ? this.diffView._editorDiffExtender2.getEditor() : null;
-      if (editor1 != null || editor2 != null) {
-        const isSoftWrapped = (editor1 != null && editor1.isSoftWrapped()) || (editor2 != null && editor2.isSoftWrapped());
-        const newValue = !isSoftWrapped;
-        if (editor1 != null) {
-          editor1.setSoftWrapped(newValue);
-        }
-        if (editor2 != null) {
-          editor2.setSoftWrapped(newValue);
-        }
-        if (this.footerView != null) {
-          this.footerView.setSoftWrap(newValue);
-        }
+    const editors = this._getDiffEditors();
+    if (editors.length > 0) {
+      const isSoftWrapped = editors.some((editor) => editor.isSoftWrapped());
+      const newValue = !isSoftWrapped;
+      editors.forEach((editor) => editor.setSoftWrapped(newValue));
+      const footerView = this._getFooterView();
+      if (footerView != null) {
+        footerView.setSoftWrap(newValue);
       }
     }
   },
 
   // called by "equalize widths" command
   equalizeWidths() {
-    if (this.isEnabled && this.diffView != null) {
-      const editor1 = this.diffView._editorDiffExtender1 != null ? this.diffView._editorDiffExtender1.getEditor() : null;
-      const editor2 = this.diffView._editorDiffExtender2 != null ? this.diffView._editorDiffExtender2.getEditor() : null;
-      if (editor1 != null && editor2 != null) {
-        const pane1 = atom.workspace.paneForItem(editor1);
-        const pane2 = atom.workspace.paneForItem(editor2);
-        if (pane1 != null && pane2 != null) {
-          // Set equal flex grow for both panes
-          const pane1View = atom.views.getView(pane1);
-          const pane2View = atom.views.getView(pane2);
-          if (pane1View != null && pane2View != null) {
-            pane1View.style.flexGrow = '1';
-            pane2View.style.flexGrow = '1';
-          }
-        }
+    const editors = this._getDiffEditors();
+    if (editors.length > 1) {
+      const paneViews = editors.map((editor) => {
+        const pane = atom.workspace.paneForItem(editor);
+        return pane != null ? atom.views.getView(pane) : null;
+      });
+      if (paneViews.every((paneView) => paneView != null)) {
+        // Set equal flex grow for all panes
+        paneViews.forEach((paneView) => {
+          paneView.style.flexGrow = '1';
+        });
       }
     }
   },
 
   // called by "toggle center line" command
   toggleCenterLine() {
-    if (this.isEnabled && this.diffView != null) {
-      const editor1 = this.diffView._editorDiffExtender1 != null ? this.diffView._editorDiffExtender1.getEditor() : null;
-      const editor2 = this.diffView._editorDiffExtender2 != null ? this.diffView._editorDiffExtender2.getEditor() : null;
-      if (editor1 != null || editor2 != null) {
-        const editorView1 = editor1 != null ? atom.views.getView(editor1) : null;
-        const editorView2 = editor2 != null ? atom.views.getView(editor2) : null;
-        const isEnabled = (editorView1 != null && editorView1.classList.contains('show-center-line')) ||
-                         (editorView2 != null && editorView2.classList.contains('show-center-line'));
-        const newValue = !isEnabled;
-        if (editorView1 != null) {
-          editorView1.classList.toggle('show-center-line', newValue);
-        }
-        if (editorView2 != null) {
-          editorView2.classList.toggle('show-center-line', newValue);
-        }
-        if (this.footerView != null) {
-          this.footerView.setCenterLine(newValue);
-        }
+    const editorViews = this._getDiffEditors().map((editor) => atom.views.getView(editor)).filter((editorView) => editorView != null);
+    if (editorViews.length > 0) {
+      const isEnabled = editorViews.some((editorView) => editorView.classList.contains('show-center-line'));
+      const newValue = !isEnabled;
+      editorViews.forEach((editorView) => editorView.classList.toggle('show-center-line', newValue));
+      const footerView = this._getFooterView();
+      if (footerView != null) {
+        footerView.setCenterLine(newValue);
       }
     }
   },
 
+  // Gets the editors of the active diff or merge, ordered from left to right
+  _getDiffEditors() {
+    if (this.mergeSession != null) {
+      return this.mergeSession.getEditors();
+    }
+    return this.activeSession != null ? this.activeSession.getEditors() : [];
+  },
+
+  // Gets the footer of the active diff or merge
+  _getFooterView() {
+    if (this.mergeSession != null) {
+      return this.mergeSession.footerView;
+    }
+    return this.activeSession != null ? this.activeSession.footerView : null;
+  },
+
+  // Gets the options overriding the user's settings in the active diff or merge
+  _getActiveOptions() {
+    if (this.mergeSession != null) {
+      return this.mergeSession.options;
+    }
+    return this.activeSession != null ? this.activeSession.options : {};
+  },
+
   // called by "Move to next diff" command
   nextDiff() {
-    if (this.diffView != null) {
-      let isSyncScrollEnabled = false;
-      const scrollSyncType = this.options.scrollSyncType != null ? this.options.scrollSyncType : this._getConfig('scrollSyncType');
-      if (scrollSyncType === 'Vertical + Horizontal' || scrollSyncType === 'Vertical') {
-        isSyncScrollEnabled = true;
-      }
-      const selectedIndex = this.diffView.nextDiff(isSyncScrollEnabled);
-      if (this.footerView != null) {
-        this.footerView.showSelectionCount(selectedIndex + 1);
-      }
+    if (this.activeSession != null) {
+      this.activeSession.nextDiff();
     }
   },
 
   // called by "Move to previous diff" command
   prevDiff() {
-    if (this.diffView != null) {
-      let isSyncScrollEnabled = false;
-      const scrollSyncType = this.options.scrollSyncType != null ? this.options.scrollSyncType : this._getConfig('scrollSyncType');
-      if (scrollSyncType === 'Vertical + Horizontal' || scrollSyncType === 'Vertical') {
-        isSyncScrollEnabled = true;
-      }
-      const selectedIndex = this.diffView.prevDiff(isSyncScrollEnabled);
-      if (this.footerView != null) {
-        this.footerView.showSelectionCount(selectedIndex + 1);
+    if (this.activeSession != null) {
+      this.activeSession.prevDiff();
+    }
+  },
+
+  // called by "export patch" command
+  // opens the diff as a unified patch in a new editor, ready to be saved
+  exportPatch() {
+    const patch = this._getPatchOrWarn();
+    if (patch == null) {
+      return;
+    }
+
+    atom.workspace.open().then((editor) => {
+      editor.setText(patch);
+      const grammar = atom.grammars.selectGrammar('diff-view.patch', patch);
+      if (grammar && grammar.scopeName) {
+        atom.grammars.assignLanguageMode(editor.getBuffer(), grammar.scopeName);
       }
+    });
+  },
+
+  // called by "copy patch" command
+  // copies the diff as a unified patch to the clipboard
+  copyPatch() {
+    const patch = this._getPatchOrWarn();
+    if (patch == null) {
+      return;
+    }
+
+    atom.clipboard.write(patch);
+    const muteNotifications = this.activeSession.getOption('muteNotifications');
+    if (!muteNotifications) {
+      atom.notifications.addInfo('Diff View', { detail: 'Patch copied to the clipboard.', dismissable: false, icon: 'diff' });
+    }
+  },
+
+  // Gets the current diff as a unified patch, warns when there is none
+  _getPatchOrWarn() {
+    const patch = this._getPatch();
+    if (patch == null) {
+      atom.notifications.addWarning('Diff View', { detail: 'No diff to export', dismissable: false, icon: 'diff' });
+      return null;
+    }
+    if (patch === '') {
+      atom.notifications.addWarning('Diff View', { detail: 'No differences to export', dismissable: false, icon: 'diff' });
+      return null;
+    }
+    return patch;
+  },
+
+  // Gets the current diff as a unified patch from the older to the newer
+  // editor, which side is newer follows the added color side
+  // contextLines optionally overrides the user's setting
+  _getPatch(contextLines) {
+    const session = this.activeSession;
+    if (session == null) {
+      return null;
+    }
+
+    const { editor1, editor2 } = session.editors;
+    const addedColorSide = session.getOption('addedColorSide');
+    const oldEditor = addedColorSide === 'left' ? editor2 : editor1;
+    const newEditor = addedColorSide === 'left' ? editor1 : editor2;
+    if (contextLines == null) {
+      contextLines = session.getOption('patchContextLines');
     }
+
+    // an editor without a file, such as a git version, takes the path of the other
+    const getPatchPath = (editor, otherEditor) => {
+      const editorPath = editor.getPath() || otherEditor.getPath();
+      if (editorPath == null) {
+        return 'untitled';
+      }
+      return atom.project.relativizePath(editorPath)[1].split(path.sep).join('/');
+    };
+    return createUnifiedPatch(oldEditor.getText(), newEditor.getText(), `a/${getPatchPath(oldEditor, newEditor)}`, `b/${getPatchPath(newEditor, oldEditor)}`, contextLines);
   },
 
   // called by "Copy to right" command
   copyToRight() {
-    if (this.diffView != null) {
-      this.diffView.copyToRight();
-      if (this.footerView != null) {
-        this.footerView.hideSelectionCount();
-      }
+    if (this.activeSession != null) {
+      this.activeSession.copyToRight();
     }
   },
 
   // called by "Copy to left" command
   copyToLeft() {
-    if (this.diffView != null) {
-      this.diffView.copyToLeft();
-      if (this.footerView != null) {
-        this.footerView.hideSelectionCount();
-      }
+    if (this.activeSession != null) {
+      this.activeSession.copyToLeft();
+    }
+  },
+
+  // called by "Copy all to right" and "Copy all to left" commands
+  copyAll(sourceIndex) {
+    if (this.activeSession != null) {
+      this.activeSession.copyAll(sourceIndex);
+    }
+  },
+
+  // called by "Copy range to right" and "Copy range to left" commands
+  copyRange(sourceIndex) {
+    if (this.activeSession != null) {
+      this.activeSession.copyRange(sourceIndex);
     }
   },
 
   // called by the commands enable/toggle to do initial diff
-  // sets up subscriptions for auto diff and disabling when a pane is destroyed
+  // starts a diff session, which ends the previous diff of either editor
   // event is an optional argument of a file path to diff with current
-  // editorsPromise is an optional argument of a promise that returns with 2 editors
+  // editorsPromise is an optional argument of a promise that returns with 2 editors,
+  // and optional properties describing the diff (see DiffSession)
   // options is an optional argument with optional properties that are used to override user's settings
+  // returns a promise of the started session, or null if there was nothing to diff
   diffPanes(event, editorsPromise, options = {}) {
-    this.options = options;
-
     if (!editorsPromise) {
       const params = {};
       let hasFileTarget = false;
@@ -643,174 +1720,48 @@ module.exports = {
         }
       }
 
-      if (hasFileTarget && params.path) {
-        this.disable();
-        editorsPromise = this._getEditorsForDiffWithActive(params);
-      } else if (hasFileTarget && params.editor) {
-        this.disable();
+      if (hasFileTarget && (params.path || params.editor)) {
         editorsPromise = this._getEditorsForDiffWithActive(params);
       } else {
-        this.disable();
         editorsPromise = this._getEditorsForQuickDiff();
       }
-    } else {
-      this.disable();
-    }
-
-    editorsPromise.then((editors) => {
-      if (editors === null) {
-        return;
-      }
-      this.editorSubscriptions = new CompositeDisposable();
-      this._setupVisibleEditors(editors);
-      this.diffView = new DiffView(editors);
-
-      // add listeners
-      this._setupEditorSubscriptions(editors);
-
-      // add the bottom UI panel
-      if (this.footerView == null) {
-        const ignoreWhitespace = this.options.ignoreWhitespace != null ? this.options.ignoreWhitespace : this._getConfig('ignoreWhitespace');
-        const autoDiff = this.options.autoDiff != null ? this.options.autoDiff : this._getConfig('autoDiff');
-        const softWrapEnabled = (editors.editor1 != null && editors.editor1.isSoftWrapped()) || (editors.editor2 != null && editors.editor2.isSoftWrapped());
-        this.footerView = new FooterView(ignoreWhitespace, this.options.ignoreWhitespace != null, autoDiff, this.options.autoDiff != null, softWrapEnabled);
-        this.footerView.createPanel();
-      }
-      this.footerView.show();
-
-      // auto hide tree view while diffing #82
-      const hideDocks = this.options.hideDocks != null ? this.options.hideDocks : this._getConfig('hideDocks');
-      if (hideDocks) {
-        this.docksToReopen.left = atom.workspace.getLeftDock().isVisible();
-        this.docksToReopen.right = atom.workspace.getRightDock().isVisible();
-        this.docksToReopen.bottom = atom.workspace.getBottomDock().isVisible();
-        atom.workspace.getLeftDock().hide();
-        atom.workspace.getRightDock().hide();
-        atom.workspace.getBottomDock().hide();
-      }
-
-      // update diff if there is no git repo (no onchange fired)
-      if (!this.hasGitRepo) {
-        this.updateDiff(editors);
-      }
-
-      // add context menu items for active diff (shows diff commands in editor context menu)
-      this.contextMenuSubscriptions = new CompositeDisposable();
-      this.contextMenuSubscriptions.add(atom.contextMenu.add({
-        'atom-text-editor.diff-view': [{
-          label: 'Diff View',
-          submenu: [
-            { label: 'Ignore Whitespace', command: 'diff-view:set-ignore-whitespace' },
-            { label: 'Move to Next Diff', command: 'diff-view:next-diff' },
-            { label: 'Move to Previous Diff', command: 'diff-view:prev-diff' },
-            { label: 'Copy to Right', command: 'diff-view:copy-to-right' },
-            { label: 'Copy to Left', command: 'diff-view:copy-to-left' }
-          ]
-        }]
-      }));
-    });
-  },
-
-  // called by both diffPanes and the editor subscription to update the diff
-  updateDiff(editors) {
-    this.isEnabled = true;
-
-    // if there is a diff being computed in the background, cancel it
-    if (this.process != null) {
-      this.process.kill();
-      this.process = null;
-    }
-
-    // force softwrap to be off if it somehow turned back on #143
-    const turnOffSoftWrap = this.options.turnOffSoftWrap != null ? this.options.turnOffSoftWrap : this._getConfig('turnOffSoftWrap');
-    if (turnOffSoftWrap) {
-      if (editors.editor1.isSoftWrapped()) {
-        editors.editor1.setSoftWrapped(false);
-      }
-      if (editors.editor2.isSoftWrapped()) {
-        editors.editor2.setSoftWrapped(false);
-      }
     }
 
-    const ignoreWhitespace = this.options.ignoreWhitespace != null ? this.options.ignoreWhitespace : this._getConfig('ignoreWhitespace');
-    const editorPaths = this._createTempFiles(editors);
-
-    if (this.footerView != null) {
-      this.footerView.setLoading();
+    // a diff ends the merge, which takes over the panes
+    if (this.mergeSession != null) {
+      this.mergeSession.destroy(true);
     }
 
-    // --- kick off background process to compute diff ---
-    const { BufferedNodeProcess } = require('atom');
-    const command = path.resolve(__dirname, './compute-diff.js');
-    const args = [editorPaths.editor1Path, editorPaths.editor2Path, ignoreWhitespace];
-    let theOutput = '';
-    const stdout = (output) => {
-      theOutput = output;
-      const computedDiff = JSON.parse(output);
-      this.process.kill();
-      this.process = null;
-      this._resumeUpdateDiff(editors, computedDiff);
-    };
-    const stderr = (err) => {
-      theOutput = err;
-    };
-    const exit = (code) => {
-      if (code !== 0) {
-        console.log('BufferedNodeProcess code was ' + code);
-        console.log(theOutput);
+    return editorsPromise.then((editors) => {
+      if (editors === null) {
+        return null;
       }
-    };
-    this.process = new BufferedNodeProcess({ command, args, stdout, stderr, exit });
-    // --- kick off background process to compute diff ---
-  },
-
-  // resumes after the compute diff process returns
-  _resumeUpdateDiff(editors, computedDiff) {
-    if (this.diffView == null) {
-      return;
-    }
-
-    this.diffView.clearDiff();
-    if (this.syncScroll != null) {
-      this.syncScroll.dispose();
-      this.syncScroll = null;
-    }
-
-    // grab the settings for the diff
-    const addedColorSide = this.options.addedColorSide != null ? this.options.addedColorSide : this._getConfig('addedColorSide');
-    const diffWords = this.options.diffWords != null ? this.options.diffWords : this._getConfig('diffWords');
-    const ignoreWhitespace = this.options.ignoreWhitespace != null ? this.options.ignoreWhitespace : this._getConfig('ignoreWhitespace');
-    const overrideThemeColors = this.options.overrideThemeColors != null ? this.options.overrideThemeColors : this._getConfig('overrideThemeColors');
-
-    this.diffView.displayDiff(computedDiff, addedColorSide, diffWords, ignoreWhitespace, overrideThemeColors);
-
-    // give the marker layers to those registered with the service
-    while (this.splitDiffResolves && this.splitDiffResolves.length) {
-      this.splitDiffResolves.pop()(this.diffView.getMarkerLayers());
-    }
-
-    if (this.footerView != null) {
-      this.footerView.setNumDifferences(this.diffView.getNumDifferences());
-    }
 
-    const scrollSyncType = this.options.scrollSyncType != null ? this.options.scrollSyncType : this._getConfig('scrollSyncType');
-    if (scrollSyncType === 'Vertical + Horizontal') {
-      this.syncScroll = new SyncScroll(editors.editor1, editors.editor2, true);
-      this.syncScroll.syncPositions();
-    } else if (scrollSyncType === 'Vertical') {
-      this.syncScroll = new SyncScroll(editors.editor1, editors.editor2, false);
-      this.syncScroll.syncPositions();
-    }
+      // an editor is diffed by one session at a time, end the previous diffs
+      // of the editors but keep them open for this one
+      [editors.editor1, editors.editor2].forEach((editor) => {
+        const session = this._getSessionForEditor(editor);
+        if (session != null) {
+          session.keepEditor(editors.editor1);
+          session.keepEditor(editors.editor2);
+          session.destroy(true);
+        }
+      });
 
-    // Update scroll-map layers with diff positions
-    this._updateScrollMapLayers();
+      const session = new DiffSession(editors, options);
+      this._addSession(session);
+      return session;
+    });
   },
 
   // Gets the first two visible editors found or creates them as needed.
   // Returns a Promise which yields a value of {editor1: TextEditor, editor2: TextEditor}
+  // and whether each of them was created
   _getEditorsForQuickDiff() {
     let editor1 = null;
     let editor2 = null;
+    let wasEditor1Created = false;
+    let wasEditor2Created = false;
 
     // try to find the first two editors
     const panes = atom.workspace.getCenter().getPanes();
@@ -829,14 +1780,14 @@ module.exports = {
     // auto open editor panes so we have two to diff with
     if (editor1 === null) {
       editor1 = atom.workspace.buildTextEditor({ autoHeight: false });
-      this.wasEditor1Created = true;
+      wasEditor1Created = true;
       // add first editor to the first pane
       panes[0].addItem(editor1);
       panes[0].activateItem(editor1);
     }
     if (editor2 === null) {
       editor2 = atom.workspace.buildTextEditor({ autoHeight: false });
-      this.wasEditor2Created = true;
+      wasEditor2Created = true;
       const rightPaneIndex = panes.indexOf(atom.workspace.paneForItem(editor1)) + 1;
       if (panes[rightPaneIndex]) {
         // add second editor to existing pane to the right of first editor
@@ -849,11 +1800,11 @@ module.exports = {
       editor2.getBuffer().setLanguageMode(atom.grammars.languageModeForGrammarAndBuffer(editor1.getGrammar(), editor2.getBuffer()));
     }
 
-    return Promise.resolve({ editor1: editor1, editor2: editor2 });
+    return Promise.resolve({ editor1: editor1, editor2: editor2, wasEditor1Created: wasEditor1Created, wasEditor2Created: wasEditor2Created });
   },
 
   // Gets the active editor and opens the specified file to the right of it
-  // Returns a Promise which yields a value of {editor1: TextEditor, editor2: TextEditor}
+  // Returns a Promise which yields a value of {editor1: TextEditor, editor2: TextEditor, wasEditor2Created: true}
   _getEditorsForDiffWithActive(params) {
     let filePath = params.path;
     const editorWithoutPath = params.editor;
@@ -861,7 +1812,6 @@ module.exports = {
 
     if (activeEditor != null) {
       const editor1 = activeEditor;
-      this.wasEditor2Created = true;
       const panes = atom.workspace.getCenter().getPanes();
       // get index of pane following active editor pane
       const rightPaneIndex = panes.indexOf(atom.workspace.paneForItem(editor1)) + 1;
@@ -879,11 +1829,11 @@ module.exports = {
 
         return editor2Promise.then((editor2) => {
           editor2.getBuffer().setLanguageMode(atom.grammars.languageModeForGrammarAndBuffer(editor1.getGrammar(), editor2.getBuffer()));
-          return { editor1: editor1, editor2: editor2 };
+          return { editor1: editor1, editor2: editor2, wasEditor2Created: true };
         });
       } else if (editorWithoutPath) {
         rightPane.addItem(editorWithoutPath);
-        return Promise.resolve({ editor1: editor1, editor2: editorWithoutPath });
+        return Promise.resolve({ editor1: editor1, editor2: editorWithoutPath, wasEditor2Created: true });
       }
     } else {
       const noActiveEditorMsg = 'No active file found! (Try focusing a text editor)';
@@ -894,163 +1844,6 @@ module.exports = {
     return Promise.resolve(null);
   },
 
-  // sets up any editor listeners
-  _setupEditorSubscriptions(editors) {
-    if (this.editorSubscriptions != null) {
-      this.editorSubscriptions.dispose();
-    }
-    this.editorSubscriptions = null;
-    this.editorSubscriptions = new CompositeDisposable();
-
-    // add listeners
-    const autoDiff = this.options.autoDiff != null ? this.options.autoDiff : this._getConfig('autoDiff');
-    if (autoDiff) {
-      this.editorSubscriptions.add(editors.editor1.onDidStopChanging(() => {
-        this.updateDiff(editors);
-      }));
-      this.editorSubscriptions.add(editors.editor2.onDidStopChanging(() => {
-        this.updateDiff(editors);
-      }));
-    }
-    this.editorSubscriptions.add(editors.editor1.onDidDestroy(() => {
-      this.disable();
-    }));
-    this.editorSubscriptions.add(editors.editor2.onDidDestroy(() => {
-      this.disable();
-    }));
-    this.editorSubscriptions.add(atom.config.onDidChange('diff-view', (event) => {
-      // need to redo editor subscriptions because some settings affect the listeners themselves
-      this._setupEditorSubscriptions(editors);
-
-      // update footer view ignore whitespace checkbox if setting has changed
-      if (event.newValue.ignoreWhitespace !== event.oldValue.ignoreWhitespace) {
-        if (this.footerView != null) {
-          this.footerView.setIgnoreWhitespace(event.newValue.ignoreWhitespace);
-        }
-      }
-      if (event.newValue.autoDiff !== event.oldValue.autoDiff) {
-        if (this.footerView != null) {
-          this.footerView.setAutoDiff(event.newValue.autoDiff);
-        }
-      }
-
-      this.updateDiff(editors);
-    }));
-    this.editorSubscriptions.add(editors.editor1.onDidChangeCursorPosition((event) => {
-      this.diffView.handleCursorChange(event.cursor, event.oldBufferPosition, event.newBufferPosition);
-    }));
-    this.editorSubscriptions.add(editors.editor2.onDidChangeCursorPosition((event) => {
-      this.diffView.handleCursorChange(event.cursor, event.oldBufferPosition, event.newBufferPosition);
-    }));
-    this.editorSubscriptions.add(editors.editor1.onDidAddCursor((cursor) => {
-      this.diffView.handleCursorChange(cursor, -1, cursor.getBufferPosition());
-    }));
-    this.editorSubscriptions.add(editors.editor2.onDidAddCursor((cursor) => {
-      this.diffView.handleCursorChange(cursor, -1, cursor.getBufferPosition());
-    }));
-  },
-
-  _setupVisibleEditors(editors) {
-    const BufferExtender = require('./buffer-extender');
-    const buffer1LineEnding = new BufferExtender(editors.editor1.getBuffer()).getLineEnding();
-
-    // Store original soft wrap state before any modifications
-    this.originalEditor1SoftWrap = editors.editor1.isSoftWrapped();
-    this.originalEditor2SoftWrap = editors.editor2.isSoftWrapped();
-
-    if (this.wasEditor2Created) {
-      // want to scroll a newly created editor to the first editor's position
-      atom.views.getView(editors.editor1).focus();
-      // set the preferred line ending before inserting text #39
-      if (buffer1LineEnding === '\n' || buffer1LineEnding === '\r\n') {
-        this.lineEndingSubscription = new CompositeDisposable();
-        this.lineEndingSubscription.add(editors.editor2.onWillInsertText(() => {
-          editors.editor2.getBuffer().setPreferredLineEnding(buffer1LineEnding);
-        }));
-      }
-    }
-
-    this._setupGitRepo(editors);
-
-    // unfold all lines so diffs properly align
-    editors.editor1.unfoldAll();
-    editors.editor2.unfoldAll();
-
-    const muteNotifications = this.options.muteNotifications != null ? this.options.muteNotifications : this._getConfig('muteNotifications');
-    const turnOffSoftWrap = this.options.turnOffSoftWrap != null ? this.options.turnOffSoftWrap : this._getConfig('turnOffSoftWrap');
-    if (turnOffSoftWrap) {
-      let shouldNotify = false;
-      if (editors.editor1.isSoftWrapped()) {
-        this.wasEditor1SoftWrapped = true;
-        editors.editor1.setSoftWrapped(false);
-        shouldNotify = true;
-      }
-      if (editors.editor2.isSoftWrapped()) {
-        this.wasEditor2SoftWrapped = true;
-        editors.editor2.setSoftWrapped(false);
-        shouldNotify = true;
-      }
-      if (shouldNotify && !muteNotifications) {
-        const softWrapMsg = 'Soft wrap automatically disabled for this diff.';
-        atom.notifications.addInfo('Diff View', { detail: softWrapMsg, dismissable: false, icon: 'diff' });
-      }
-    }
-
-    const buffer2LineEnding = new BufferExtender(editors.editor2.getBuffer()).getLineEnding();
-    if (buffer2LineEnding !== '' && (buffer1LineEnding !== buffer2LineEnding) && editors.editor1.getLineCount() !== 1 && editors.editor2.getLineCount() !== 1 && !muteNotifications) {
-      // pop warning if the line endings differ and we haven't done anything about it
-      const lineEndingMsg = 'Warning: Line endings differ!';
-      atom.notifications.addWarning('Diff View', { detail: lineEndingMsg, dismissable: false, icon: 'diff' });
-    }
-  },
-
-  _setupGitRepo(editors) {
-    const editor1Path = editors.editor1.getPath();
-    // only show git changes if the right editor is empty
-    if (editor1Path != null && (editors.editor2.getLineCount() === 1 && editors.editor2.lineTextForBufferRow(0) === '')) {
-      const directories = atom.project.getDirectories();
-      for (let i = 0; i < directories.length; i++) {
-        const directory = directories[i];
-        if (editor1Path === directory.getPath() || directory.contains(editor1Path)) {
-          let projectRepo = atom.project.getRepositories()[i];
-          if (projectRepo != null) {
-            projectRepo = projectRepo.getRepo(editor1Path); // fix repo for submodules #112
-            const relativeEditor1Path = projectRepo.relativize(editor1Path);
-            const gitHeadText = projectRepo.getHeadBlob(relativeEditor1Path);
-            if (gitHeadText != null) {
-              editors.editor2.selectAll();
-              editors.editor2.insertText(gitHeadText);
-              this.hasGitRepo = true;
-              break;
-            }
-          }
-        }
-      }
-    }
-  },
-
-  // creates temp files so the compute diff process can get the text easily
-  _createTempFiles(editors) {
-    let editor1Path = '';
-    let editor2Path = '';
-    const tempFolderPath = atom.getConfigDirPath() + '/diff-view';
-
-    editor1Path = tempFolderPath + '/diff-view 1';
-    const editor1TempFile = new File(editor1Path);
-    editor1TempFile.writeSync(editors.editor1.getText());
-
-    editor2Path = tempFolderPath + '/diff-view 2';
-    const editor2TempFile = new File(editor2Path);
-    editor2TempFile.writeSync(editors.editor2.getText());
-
-    const editorPaths = {
-      editor1Path: editor1Path,
-      editor2Path: editor2Path
-    };
-
-    return editorPaths;
-  },
-
   _getConfig(config) {
     return atom.config.get(`diff-view.${config}`);
   },
@@ -1070,10 +1863,27 @@ module.exports = {
     this.diffPanes(null, Promise.resolve({ editor1: editor1, editor2: editor2 }), options);
   },
 
+  // writes the current diff as a unified patch to the given file
+  // options.contextLines optionally overrides the user's setting
+  // returns a promise of the patch text, rejected when there is no diff
+  saveAsPatch(filePath, options = {}) {
+    const patch = this._getPatch(options.contextLines);
+    if (patch == null) {
+      return Promise.reject(new Error('No diff to save'));
+    }
+    return fs.promises.writeFile(filePath, patch).then(() => patch);
+  },
+
+  mergeEditors(ours, base, theirs, options) {
+    this.mergePanes(Promise.resolve({ ours: ours, base: base, theirs: theirs }), options);
+  },
+
   provideDiffView() {
     return {
       getMarkerLayers: this.getMarkerLayers.bind(this.contextForService),
       diffEditors: this.diffEditors.bind(this.contextForService),
+      mergeEditors: this.mergeEditors.bind(this.contextForService),
+      saveAsPatch: this.saveAsPatch.bind(this.contextForService),
       disable: this.disable.bind(this.contextForService)
     };
   },
@@ -1086,13 +1896,13 @@ module.exports = {
   provideDiffService() {
     return {
       getDiffView: () => {
-        if (!this.diffView) {
+        if (!this.activeSession) {
           return null;
         }
         return {
-          chunks: this.diffView._chunks,
-          editor1: this.diffView._editorDiffExtender1?.getEditor(),
-          editor2: this.diffView._editorDiffExtender2?.getEditor(),
+          chunks: this.activeSession.diffView._chunks,
+          editor1: this.activeSession.editors.editor1,
+          editor2: this.activeSession.editors.editor2,
         };
       },
       onDidUpdate: (callback) => {
@@ -1101,12 +1911,12 @@ module.exports = {
     };
   },
 
-  // Update scroll-map layers when diff changes
+  // Update scroll-map layers when the diff of the active session changes
   _updateScrollMapLayers() {
-    const data = this.diffView ? {
-      chunks: this.diffView._chunks,
-      editor1: this.diffView._editorDiffExtender1?.getEditor(),
-      editor2: this.diffView._editorDiffExtender2?.getEditor(),
+    const data = this.activeSession ? {
+      chunks: this.activeSession.diffView._chunks,
+      editor1: this.activeSession.editors.editor1,
+      editor2: this.activeSession.editors.editor2,
     } : null;
     this.emitter.emit('did-update-diff', data);
   }
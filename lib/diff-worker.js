@@ -0,0 +1,63 @@
+'use strict';
+
+const { computeDiff } = require('./compute-diff');
+const { computeSyntaxDiff } = require('./compute-syntax-diff');
+
+/*
+ * Computes the diffs of the window in a long-lived atom Task, started by
+ * diff-process.js. The texts come in as messages along with a request ID,
+ * which is sent back with the computed diff and with the progress of its
+ * steps. A request that is cancelled before its turn is dropped.
+ */
+module.exports = function () {
+  // never call the returned callback, the task lives until it is terminated
+  this.async();
+
+  const queue = [];
+  let isDrainScheduled = false;
+
+  // diff one request per turn, so cancellations received in the meantime
+  // are handled before the next one starts
+  const scheduleDrain = () => {
+    if (!isDrainScheduled && queue.length > 0) {
+      isDrainScheduled = true;
+      setImmediate(drain);
+    }
+  };
+  const drain = () => {
+    isDrainScheduled = false;
+    // the requests may have been cancelled since the drain was scheduled
+    const request = queue.shift();
+    if (request == null) {
+      return;
+    }
+    try {
+      const limits = Object.assign({}, request.limits, {
+        onProgress: (step) => emit('diff-view:progress', request.requestId, step)
+      });
+      const ignoreRules = Object.assign({ whitespace: request.isWhitespaceIgnored }, request.ignoreRules);
+      let computedDiff;
+      if (request.syntaxTokens != null) {
+        computedDiff = computeSyntaxDiff(request.oldText, request.newText, request.syntaxTokens.oldTokens, request.syntaxTokens.newTokens, ignoreRules, limits);
+      } else {
+        computedDiff = computeDiff(request.oldText, request.newText, ignoreRules, request.isWindow, request.algorithm, limits);
+      }
+      emit('diff-view:computed', request.requestId, computedDiff);
+    } catch (e) {
+      emit('diff-view:failed', request.requestId, e.stack || String(e));
+    }
+    scheduleDrain();
+  };
+
+  process.on('message', (message) => {
+    if (message.event === 'diff-view:compute') {
+      queue.push(message);
+      scheduleDrain();
+    } else if (message.event === 'diff-view:cancel') {
+      const index = queue.findIndex((request) => request.requestId === message.requestId);
+      if (index >= 0) {
+        queue.splice(index, 1);
+      }
+    }
+  });
+};
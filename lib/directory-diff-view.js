@@ -0,0 +1,204 @@
+'use strict';
+
+// the order and titles of the groups in the list
+var GROUPS = [
+  {status: 'modified', title: 'Modified', icon: 'diff-modified'},
+  {status: 'added', title: 'Added', icon: 'diff-added'},
+  {status: 'removed', title: 'Removed', icon: 'diff-removed'},
+  {status: 'identical', title: 'Identical', icon: 'file'}
+];
+
+/**
+ * A dock item listing the files of two compared folders grouped by their
+ * status, with the line deltas of each file.
+ */
+module.exports = class DirectoryDiffView {
+  /*
+   * @param onDidClickEntry Called with the entry of a compare-directories
+   *    result when it is clicked.
+   */
+  constructor(onDidClickEntry) {
+    this._onDidClickEntry = onDidClickEntry;
+    // identical files are rarely of interest, so their group starts collapsed
+    this._collapsedGroups = new Set(['identical']);
+    this._entries = [];
+
+    this.element = document.createElement('div');
+    this.element.classList.add('diff-view-directory-diff');
+    this.element.tabIndex = -1;
+
+    this.header = document.createElement('div');
+    this.header.classList.add('directory-diff-header');
+    this.element.appendChild(this.header);
+
+    this.list = document.createElement('ul');
+    this.list.classList.add('list-tree', 'has-collapsable-children');
+    this.element.appendChild(this.list);
+  }
+
+  getTitle() {
+    return 'Directory Diff';
+  }
+
+  getIconName() {
+    return 'diff';
+  }
+
+  getURI() {
+    return 'atom://diff-view/directory-diff';
+  }
+
+  getDefaultLocation() {
+    return 'right';
+  }
+
+  getAllowedLocations() {
+    return ['left', 'right', 'bottom'];
+  }
+
+  getElement() {
+    return this.element;
+  }
+
+  /**
+   * Shows the compared folders and a loading message until the entries are set.
+   *
+   * @param leftPath The path of the first (base) folder.
+   * @param rightPath The path of the second folder.
+   */
+  setDirectories(leftPath, rightPath) {
+    this.header.textContent = '';
+    [leftPath, rightPath].forEach((folderPath) => {
+      var folder = document.createElement('div');
+      folder.classList.add('directory-diff-folder', 'icon', 'icon-file-directory');
+      folder.textContent = folderPath;
+      this.header.appendChild(folder);
+    });
+
+    this._entries = [];
+    this.list.textContent = '';
+    var loading = document.createElement('li');
+    loading.classList.add('directory-diff-loading');
+    var loadingIcon = document.createElement('span');
+    loadingIcon.classList.add('diff-view-loading-icon');
+    loading.appendChild(loadingIcon);
+    loading.appendChild(document.createTextNode(' Comparing folders...'));
+    this.list.appendChild(loading);
+  }
+
+  /**
+   * Lists the entries of a compare-directories result.
+   *
+   * @param entries The entries returned by compareDirectories.
+   */
+  setEntries(entries) {
+    this._entries = entries;
+    this._render();
+  }
+
+  /**
+   * Shows an error instead of the entries.
+   *
+   * @param message The error message.
+   */
+  setError(message) {
+    this.list.textContent = '';
+    var error = document.createElement('li');
+    error.classList.add('text-error');
+    error.textContent = message;
+    this.list.appendChild(error);
+  }
+
+  destroy() {
+    this.element.remove();
+  }
+
+  _render() {
+    this.list.textContent = '';
+
+    if (this._entries.length === 0) {
+      var empty = document.createElement('li');
+      empty.classList.add('text-subtle');
+      empty.textContent = 'Both folders are empty';
+      this.list.appendChild(empty);
+      return;
+    }
+
+    GROUPS.forEach((group) => {
+      var groupEntries = this._entries.filter((entry) => entry.status === group.status);
+      if (groupEntries.length === 0) {
+        return;
+      }
+
+      var groupItem = document.createElement('li');
+      groupItem.classList.add('list-nested-item', `directory-diff-${group.status}`);
+      if (this._collapsedGroups.has(group.status)) {
+        groupItem.classList.add('collapsed');
+      }
+
+      var groupHeader = document.createElement('div');
+      groupHeader.classList.add('list-item');
+      groupHeader.textContent = `${group.title} (${groupEntries.length})`;
+      groupHeader.onclick = () => {
+        if (this._collapsedGroups.has(group.status)) {
+          this._collapsedGroups.delete(group.status);
+        } else {
+          this._collapsedGroups.add(group.status);
+        }
+        groupItem.classList.toggle('collapsed');
+      };
+      groupItem.appendChild(groupHeader);
+
+      var entryList = document.createElement('ul');
+      entryList.classList.add('list-tree');
+      groupEntries.forEach((entry) => {
+        entryList.appendChild(this._createEntryItem(entry, group.icon));
+      });
+      groupItem.appendChild(entryList);
+
+      this.list.appendChild(groupItem);
+    });
+  }
+
+  _createEntryItem(entry, iconName) {
+    var item = document.createElement('li');
+    item.classList.add('list-item', 'directory-diff-entry');
+    item.title = entry.relativePath;
+    item.onclick = () => {
+      this.list.querySelectorAll('.selected').forEach((selected) => selected.classList.remove('selected'));
+      item.classList.add('selected');
+      this._onDidClickEntry(entry);
+    };
+
+    var name = document.createElement('span');
+    name.classList.add('icon', `icon-${iconName}`, 'directory-diff-name');
+    name.textContent = entry.relativePath;
+    item.appendChild(name);
+
+    var delta = document.createElement('span');
+    delta.classList.add('directory-diff-delta');
+    if (entry.isBinary) {
+      delta.textContent = entry.status === 'identical' ? '' : 'binary';
+      delta.classList.add('text-subtle');
+    } else if (entry.isTooLarge && entry.status !== 'identical') {
+      delta.textContent = 'too large';
+      delta.classList.add('text-subtle');
+    } else {
+      if (entry.addedLines > 0) {
+        var addedLines = document.createElement('span');
+        addedLines.classList.add('text-success');
+        addedLines.textContent = `+${entry.addedLines}`;
+        delta.appendChild(addedLines);
+      }
+      if (entry.removedLines > 0) {
+        var removedLines = document.createElement('span');
+        removedLines.classList.add('text-error');
+        removedLines.textContent = `−${entry.removedLines}`;
+        delta.appendChild(removedLines);
+      }
+    }
+    item.appendChild(delta);
+
+    return item;
+  }
+};
@@ -9,6 +9,14 @@ module.exports = class EditorDiffExtender {
     this._miscMarkers = [];
     this._blockDecorations = []; // Store block decoration objects for proper cleanup
     this._selectionMarkerLayer = this._editor.addMarkerLayer();
+    this._movedMarkerLayer = this._editor.addMarkerLayer(); // moved blocks are redrawn as a whole
+    this._movedGutter = null;
+    this._copyLineMarkerLayer = this._editor.addMarkerLayer(); // the copy buttons of the selected lines
+    this._copyLineGutter = null;
+    this._copyLineButton = null;
+    this._chunkActionMarkerLayer = this._editor.addMarkerLayer(); // the copy and revert buttons of the chunks
+    this._chunkActionGutter = null;
+    this._previewMarkerLayer = this._editor.addMarkerLayer(); // the preview of a copy while its button is hovered
     this._offsetDecorations = []; // Store offset decoration info for dynamic updates
     this._staticLineOffsets = {}; // Store static offset info (not rendered, used for reference)
     this._oldPlaceholderText = editor.getPlaceholderText();
@@ -78,26 +86,207 @@ module.exports = class EditorDiffExtender {
    * @param type The type of highlight to be applied to the words.
    */
   setWordHighlights(lineNumber, wordDiff = [], type, isWhitespaceIgnored) {
-    var klass = 'diff-view-word-' + type;
-    var count = 0;
+    this._markWords(lineNumber, wordDiff, 'diff-view-word-' + type, isWhitespaceIgnored, (range) => {
+      var marker = this._editor.markBufferRange(range, {invalidate: 'never'});
+      this._miscMarkers.push(marker);
+      return marker;
+    });
+  }
 
-    for(var i=0; i<wordDiff.length; i++) {
-      if(wordDiff[i].value) { // fix for #49
-        // if there was a change
-        // AND one of these is true:
-        // if the string is not spaces, highlight
-        // OR
-        // if the string is spaces and whitespace not ignored, highlight
-        if(wordDiff[i].changed
-          && (/\S/.test(wordDiff[i].value)
-          || (!/\S/.test(wordDiff[i].value) && !isWhitespaceIgnored))) {
-          var marker = this._editor.markBufferRange([[lineNumber, count], [lineNumber, (count + wordDiff[i].value.length)]], {invalidate: 'never'})
-          this._editor.decorateMarker(marker, {type: 'highlight', class: klass});
-          this._miscMarkers.push(marker);
+  /**
+   * Highlights the identifiers a syntax aware diff found renamed.
+   *
+   * @param ranges The ranges of the identifiers, with row, startColumn and endColumn.
+   */
+  highlightRenamedWords(ranges) {
+    for(var range of ranges) {
+      var marker = this._editor.markBufferRange([[range.row, range.startColumn], [range.row, range.endColumn]], {invalidate: 'never'});
+      this._editor.decorateMarker(marker, {type: 'highlight', class: 'diff-view-word-renamed'});
+      this._miscMarkers.push(marker);
+    }
+  }
+
+  /**
+   * Highlights the lines of a moved block, with a link in the gutter to the
+   * other side of the move.
+   *
+   * @param startLine The first line of the block.
+   * @param endLine The line the block ends at (non-inclusive).
+   * @param linkTitle The tooltip of the link.
+   * @param onLinkClick Called when the link is clicked.
+   */
+  highlightMovedLines(startLine, endLine, linkTitle, onLinkClick) {
+    this._createLineMarker(this._movedMarkerLayer, startLine, endLine, 'diff-view-line diff-view-moved');
+
+    if(this._movedGutter == null) {
+      this._movedGutter = this._editor.addGutter({name: 'diff-view-moved', priority: 100});
+    }
+    var link = document.createElement('span');
+    link.className = 'diff-view-moved-link icon icon-link';
+    link.title = linkTitle;
+    link.addEventListener('mousedown', (event) => {
+      event.preventDefault();
+      event.stopPropagation();
+      onLinkClick();
+    });
+    var marker = this._movedMarkerLayer.markBufferPosition([startLine, 0], {invalidate: 'never'});
+    this._movedGutter.decorateMarker(marker, {type: 'gutter', item: link});
+  }
+
+  /**
+   * Highlights the words of a line of a moved block that differ from its
+   * original, see setWordHighlights.
+   */
+  setMovedWordHighlights(lineNumber, wordDiff, isWhitespaceIgnored) {
+    this._markWords(lineNumber, wordDiff, 'diff-view-word-moved', isWhitespaceIgnored, (range) => {
+      return this._movedMarkerLayer.markBufferRange(range, {invalidate: 'never'});
+    });
+  }
+
+  /**
+   * Adds buttons to the gutter next to a chunk, like the copy and revert
+   * buttons.
+   *
+   * @param lineNumber The line the buttons are shown at.
+   * @param actions The buttons, objects with the iconClass and title of the
+   *    button, its onClick callback and its optional onHover callback, called
+   *    with true when the mouse enters the button and false when it leaves.
+   *    Both are also called with the line the buttons are at by then, as the
+   *    edits above them move them.
+   */
+  addChunkActions(lineNumber, actions) {
+    if(this._chunkActionGutter == null) {
+      this._chunkActionGutter = this._editor.addGutter({name: 'diff-view-chunk-actions', priority: 102});
+    }
+    var element = document.createElement('span');
+    element.className = 'diff-view-chunk-actions';
+    var marker = this._chunkActionMarkerLayer.markBufferPosition([Math.min(lineNumber, this._editor.getLastBufferRow()), 0], {invalidate: 'never'});
+    var getLineNumber = () => marker.getStartBufferPosition().row;
+    actions.forEach((action) => {
+      var button = document.createElement('span');
+      button.className = 'diff-view-chunk-action icon ' + action.iconClass;
+      button.title = action.title;
+      button.addEventListener('mousedown', (event) => {
+        event.preventDefault();
+        event.stopPropagation();
+        if(action.onHover) {
+          action.onHover(false, getLineNumber());
         }
-        count += wordDiff[i].value.length;
+        action.onClick(getLineNumber());
+      });
+      if(action.onHover) {
+        button.addEventListener('mouseenter', () => action.onHover(true, getLineNumber()));
+        button.addEventListener('mouseleave', () => action.onHover(false, getLineNumber()));
       }
+      element.appendChild(button);
+    });
+    this._chunkActionGutter.decorateMarker(marker, {type: 'gutter', item: element});
+  }
+
+  /**
+   * Previews the lines replacing a range of lines: the range is marked as
+   * replaced and the new lines are shown below it.
+   *
+   * @param startLine The first line replaced.
+   * @param endLine The line the replaced lines end at (non-inclusive), the
+   *    same as startLine when the lines are inserted.
+   * @param lines The texts of the new lines.
+   */
+  showPreview(startLine, endLine, lines) {
+    this.hidePreview();
+    if(startLine < endLine) {
+      this._createLineMarker(this._previewMarkerLayer, startLine, endLine, 'diff-view-line diff-view-preview-replaced');
+    }
+    if(lines.length == 0) {
+      return;
     }
+
+    var element = document.createElement('div');
+    element.className = 'diff-view-inline diff-view-preview';
+    var lineHeight = this._editor.getLineHeightInPixels();
+    lines.forEach((line) => {
+      var lineElement = document.createElement('div');
+      lineElement.className = 'diff-view-inline-line diff-view-preview-line';
+      lineElement.style.minHeight = lineHeight + 'px';
+      lineElement.style.lineHeight = lineHeight + 'px';
+      lineElement.textContent = line;
+      element.appendChild(lineElement);
+    });
+
+    // below the replaced lines, so the lines above and their buttons stay in place
+    var lastBufferRow = this._editor.getLastBufferRow();
+    var row = startLine < endLine ? endLine - 1 : startLine;
+    var position = startLine < endLine || startLine > lastBufferRow ? 'after' : 'before';
+    var marker = this._previewMarkerLayer.markBufferPosition([Math.min(row, lastBufferRow), 0], {invalidate: 'never'});
+    this._editor.decorateMarker(marker, {type: 'block', position: position, item: element});
+  }
+
+  /**
+   * Removes the preview of showPreview.
+   */
+  hidePreview() {
+    try {
+      this._previewMarkerLayer.clear();
+    } catch (e) { /* editor may be destroyed */ }
+  }
+
+  /**
+   * Destroys the highlights and links of the moved blocks.
+   */
+  clearMovedLines() {
+    try {
+      this._movedMarkerLayer.clear();
+    } catch (e) { /* editor may be destroyed */ }
+  }
+
+  /**
+   * Shows lines of the other editor inline, as a read-only block above the
+   * given line. Used by the unified diff, where the other editor is hidden.
+   *
+   * @param lineNumber The line number the block is shown above. A line number
+   *    past the last line shows the block below the last line.
+   * @param lines An array of objects with the text of each line and its
+   *    optional wordDiff, in the format of setWordHighlights.
+   * @param type The type of highlight to be applied to the lines.
+   */
+  addInlineLines(lineNumber, lines, type, isWhitespaceIgnored) {
+    var element = document.createElement('div');
+    element.className = 'diff-view-inline';
+    var lineHeight = this._editor.getLineHeightInPixels();
+
+    for(var line of lines) {
+      var lineElement = document.createElement('div');
+      lineElement.className = 'diff-view-inline-line diff-view-' + type;
+      lineElement.style.minHeight = lineHeight + 'px';
+      lineElement.style.lineHeight = lineHeight + 'px';
+
+      var wordDiff = line.wordDiff || [{changed: false, value: line.text}];
+      for(var part of wordDiff) {
+        if(!part.value) {
+          continue;
+        }
+        var partElement = document.createElement('span');
+        // same rule as setWordHighlights
+        if(line.wordDiff && part.changed && (/\S/.test(part.value) || !isWhitespaceIgnored)) {
+          partElement.className = 'diff-view-word-' + type;
+          var region = document.createElement('span');
+          region.className = 'region';
+          region.textContent = part.value;
+          partElement.appendChild(region);
+        } else {
+          partElement.textContent = part.value;
+        }
+        lineElement.appendChild(partElement);
+      }
+      element.appendChild(lineElement);
+    }
+
+    var lastBufferRow = this._editor.getLastBufferRow();
+    var position = lineNumber > lastBufferRow ? 'after' : 'before';
+    var marker = this._editor.markBufferPosition([Math.min(lineNumber, lastBufferRow), 0], {invalidate: 'never'});
+    var decoration = this._editor.decorateMarker(marker, {type: 'block', position: position, item: element});
+    this._miscMarkers.push(marker);
+    this._blockDecorations.push(decoration);
   }
 
   /**
@@ -135,7 +324,50 @@ module.exports = class EditorDiffExtender {
     } catch (e) { /* editor may be destroyed */ }
     try {
       this._selectionMarkerLayer.clear();
+      this._copyLineMarkerLayer.clear();
+      this._chunkActionMarkerLayer.clear();
     } catch (e) { /* editor may be destroyed */ }
+    this.clearMovedLines();
+    this.hidePreview();
+  }
+
+  /**
+   * Destroys the markers added by diff-view that start in the given lines,
+   * when only that part of the diff is updated.
+   *
+   * @param startLine The first line of the range.
+   * @param endLine The line the range ends at (non-inclusive).
+   */
+  destroyMarkersInRange(startLine, endLine) {
+    var isInRange = function(marker) {
+      var row = marker.getStartBufferPosition().row;
+      return row >= startLine && row < endLine;
+    };
+
+    var blockDecorations = this._blockDecorations.filter((decoration) => isInRange(decoration.getMarker()));
+    var miscMarkers = this._miscMarkers.filter(isInRange);
+    this._blockDecorations = this._blockDecorations.filter((decoration) => blockDecorations.indexOf(decoration) < 0);
+    this._miscMarkers = this._miscMarkers.filter((marker) => miscMarkers.indexOf(marker) < 0);
+
+    // Defer destruction like destroyMarkers
+    requestAnimationFrame(() => {
+      blockDecorations.forEach(function(decoration) {
+        try {
+          decoration.destroy();
+        } catch (e) { /* decoration may be invalid if editor is destroyed */ }
+      });
+      miscMarkers.forEach(function(marker) {
+        try {
+          marker.destroy();
+        } catch (e) { /* marker may be invalid if editor is destroyed */ }
+      });
+    });
+
+    this._lineMarkerLayer.getMarkers().filter(isInRange).forEach((marker) => marker.destroy());
+    this._selectionMarkerLayer.getMarkers().filter(isInRange).forEach((marker) => marker.destroy());
+    this._copyLineMarkerLayer.getMarkers().filter(isInRange).forEach((marker) => marker.destroy());
+    this._chunkActionMarkerLayer.getMarkers().filter(isInRange).forEach((marker) => marker.destroy());
+    this.hidePreview();
   }
 
   /**
@@ -150,6 +382,19 @@ module.exports = class EditorDiffExtender {
     // Safely destroy marker layer (may fail if editor is already destroyed)
     try {
       this._lineMarkerLayer.destroy();
+      this._movedMarkerLayer.destroy();
+      if (this._movedGutter != null) {
+        this._movedGutter.destroy();
+      }
+      this._copyLineMarkerLayer.destroy();
+      if (this._copyLineGutter != null) {
+        this._copyLineGutter.destroy();
+      }
+      this._chunkActionMarkerLayer.destroy();
+      if (this._chunkActionGutter != null) {
+        this._chunkActionGutter.destroy();
+      }
+      this._previewMarkerLayer.destroy();
     } catch (e) { /* editor may be destroyed */ }
 
     // Only restore placeholder and remove CSS if editor still exists
@@ -180,6 +425,7 @@ module.exports = class EditorDiffExtender {
       })[0];
       if(!selectionMarker) {
         this._createLineMarker(this._selectionMarkerLayer, startLine, endLine, 'diff-view-selected');
+        this._addCopyLineButtons(startLine, endLine);
       }
     }
   }
@@ -192,6 +438,9 @@ module.exports = class EditorDiffExtender {
     if(selectionMarker) {
       selectionMarker.destroy();
     }
+    if(startLine < endLine) {
+      this._copyLineMarkerLayer.findMarkers({intersectsRowRange: [startLine, endLine - 1]}).forEach((marker) => marker.destroy());
+    }
   }
 
   /**
@@ -199,6 +448,19 @@ module.exports = class EditorDiffExtender {
    */
   deselectAllLines() {
     this._selectionMarkerLayer.clear();
+    this._copyLineMarkerLayer.clear();
+  }
+
+  /**
+   * Sets the button shown in the gutter next to each line of the selected
+   * chunk, which copies the line to the other editor.
+   *
+   * @param title The tooltip of the button.
+   * @param iconClass The octicon class of the button.
+   * @param onCopyLine Called with the line number when the button is clicked.
+   */
+  setCopyLineButton(title, iconClass, onCopyLine) {
+    this._copyLineButton = {title: title, iconClass: iconClass, onCopyLine: onCopyLine};
   }
 
   /**
@@ -238,6 +500,26 @@ module.exports = class EditorDiffExtender {
     }
   }
 
+  /**
+   * Scrolls the editor so that the given buffer row appears at a specific
+   * fraction of the visible height (0 = top, 0.5 = center, 1 = bottom).
+   *
+   * @param bufferRow The buffer row to scroll to.
+   * @param fraction The fraction of visible height (0.25 = 1/4 from top).
+   */
+  scrollToBufferRowAtFraction(bufferRow, fraction) {
+    const editorView = atom.views.getView(this._editor);
+    if(!editorView) {
+      return;
+    }
+    const visibleHeight = editorView.getHeight();
+    // Use pixelPositionForScreenPosition which accounts for block decorations (view zones)
+    const screenPosition = this._editor.screenPositionForBufferPosition([bufferRow, 0]);
+    const targetPixelPosition = editorView.pixelPositionForScreenPosition(screenPosition).top;
+    const scrollTop = targetPixelPosition - (visibleHeight * fraction);
+    editorView.setScrollTop(Math.max(0, scrollTop));
+  }
+
   /**
    * Used to get the Text Editor object for this view. Helpful for calling basic
    * Atom Text Editor functions.
@@ -263,6 +545,35 @@ module.exports = class EditorDiffExtender {
    *    'diff-view-select'].
    * @return The created line marker.
    */
+  /**
+   * Adds the copy button of setCopyLineButton to each line in the range.
+   */
+  _addCopyLineButtons(startLine, endLine) {
+    if(this._copyLineButton == null) {
+      return;
+    }
+    if(this._copyLineGutter == null) {
+      this._copyLineGutter = this._editor.addGutter({name: 'diff-view-copy-line', priority: 101});
+    }
+    for(var lineNumber = startLine; lineNumber < endLine; lineNumber++) {
+      this._addCopyLineButton(lineNumber);
+    }
+  }
+
+  _addCopyLineButton(lineNumber) {
+    var button = document.createElement('span');
+    button.className = 'diff-view-copy-line icon ' + this._copyLineButton.iconClass;
+    button.title = this._copyLineButton.title;
+    var onCopyLine = this._copyLineButton.onCopyLine;
+    button.addEventListener('mousedown', (event) => {
+      event.preventDefault();
+      event.stopPropagation();
+      onCopyLine(lineNumber);
+    });
+    var marker = this._copyLineMarkerLayer.markBufferPosition([lineNumber, 0], {invalidate: 'never'});
+    this._copyLineGutter.decorateMarker(marker, {type: 'gutter', item: button});
+  }
+
   _createLineMarker(markerLayer, startLineNumber, endLineNumber, highlightClass) {
     var marker = markerLayer.markBufferRange([[startLineNumber, 0], [endLineNumber, 0]], {invalidate: 'never'})
 
@@ -272,6 +583,32 @@ module.exports = class EditorDiffExtender {
     return marker;
   }
 
+  /**
+   * Marks the changed words of a line and decorates them.
+   *
+   * @param markRange Creates the marker of a range of the line.
+   */
+  _markWords(lineNumber, wordDiff = [], klass, isWhitespaceIgnored, markRange) {
+    var count = 0;
+
+    for(var i=0; i<wordDiff.length; i++) {
+      if(wordDiff[i].value) { // fix for #49
+        // if there was a change
+        // AND one of these is true:
+        // if the string is not spaces, highlight
+        // OR
+        // if the string is spaces and whitespace not ignored, highlight
+        if(wordDiff[i].changed
+          && (/\S/.test(wordDiff[i].value)
+          || (!/\S/.test(wordDiff[i].value) && !isWhitespaceIgnored))) {
+          var marker = markRange([[lineNumber, count], [lineNumber, (count + wordDiff[i].value.length)]]);
+          this._editor.decorateMarker(marker, {type: 'highlight', class: klass});
+        }
+        count += wordDiff[i].value.length;
+      }
+    }
+  }
+
   /**
    * Creates a decoration for an offset.
    *
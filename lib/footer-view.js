@@ -3,7 +3,7 @@
 var {CompositeDisposable} = require('atom');
 
 module.exports = class FooterView {
-  constructor(isWhitespaceIgnored, disableIgnoreWhitespace, isAutoDiffEnabled, disableAutoDiff, isSoftWrapEnabled) {
+  constructor(isWhitespaceIgnored, disableIgnoreWhitespace, isAutoDiffEnabled, disableAutoDiff, isSoftWrapEnabled, isMergeMode) {
     this._subscriptions = new CompositeDisposable();
 
     // create root UI element
@@ -56,11 +56,33 @@ module.exports = class FooterView {
     this.numDifferencesText.textContent = 'differences';
     this.numDifferencesText.classList.add('num-diff-text');
 
+    // create number of conflicts text (merge only)
+    this.numConflictsText = document.createElement('span');
+    this.numConflictsText.classList.add('num-conflicts-text', 'hidden');
+
+    // create progress text and cancel button (shown while a diff takes long)
+    this.progressText = document.createElement('span');
+    this.progressText.classList.add('progress-text', 'hidden');
+    this.cancelDiffBtn = this._createCommandButton('cancel-diff', 'diff-view:cancel-diff', 'Cancel Diff');
+    this.cancelDiffBtn.classList.add('hidden');
+
+    // create fallback text (shown when the files were too large to diff line by line)
+    this.fallbackText = document.createElement('span');
+    this.fallbackText.classList.add('fallback-text', 'text-warning', 'hidden');
+
+    // create renames text (shown when a syntax aware diff found renamed identifiers)
+    this.renamesText = document.createElement('span');
+    this.renamesText.classList.add('renames-text', 'text-info', 'hidden');
+
     // create number of differences container
     const numDifferences = document.createElement('div');
     numDifferences.classList.add('num-diff');
     numDifferences.appendChild(this.numDifferencesValue);
     numDifferences.appendChild(this.numDifferencesText);
+    numDifferences.appendChild(this.numConflictsText);
+    numDifferences.appendChild(this.progressText);
+    numDifferences.appendChild(this.fallbackText);
+    numDifferences.appendChild(this.renamesText);
 
     // create left column
     const left = document.createElement('div');
@@ -69,39 +91,70 @@ module.exports = class FooterView {
     left.appendChild(nextDiffButton);
     left.appendChild(this.selectionCount);
     left.appendChild(numDifferences);
+    left.appendChild(this.cancelDiffBtn);
     this.element.appendChild(left);
 
     // -----------
     // MID COLUMN |
     // -----------
 
-    // create copy to left button
-    const copyToLeftButton = document.createElement('button');
-    copyToLeftButton.classList.add('btn', 'btn-md', 'copy-to-left');
-    copyToLeftButton.onclick = () => {
-      atom.commands.dispatch(atom.views.getView(atom.workspace), 'diff-view:copy-to-left');
-    };
-    this._subscriptions.add(atom.tooltips.add(copyToLeftButton, {title: 'Copy to Left'}));
-
-    // create copy to right button
-    const copyToRightButton = document.createElement('button');
-    copyToRightButton.classList.add('btn', 'btn-md', 'copy-to-right');
-    copyToRightButton.onclick = () => {
-      atom.commands.dispatch(atom.views.getView(atom.workspace), 'diff-view:copy-to-right');
-    };
-    this._subscriptions.add(atom.tooltips.add(copyToRightButton, {title: 'Copy to Right'}));
-
     // create mid column
     const mid = document.createElement('div');
     mid.classList.add('mid');
-    mid.appendChild(copyToLeftButton);
-    mid.appendChild(copyToRightButton);
+    if (isMergeMode) {
+      mid.appendChild(this._createCommandButton('take-left', 'diff-view:merge-take-left', 'Take Left'));
+      mid.appendChild(this._createCommandButton('take-both', 'diff-view:merge-take-both', 'Take Both'));
+      mid.appendChild(this._createCommandButton('take-right', 'diff-view:merge-take-right', 'Take Right'));
+    } else {
+      mid.appendChild(this._createCommandButton('copy-to-left', 'diff-view:copy-to-left', 'Copy to Left'));
+      mid.appendChild(this._createCommandButton('copy-to-right', 'diff-view:copy-to-right', 'Copy to Right'));
+    }
     this.element.appendChild(mid);
 
+    // create stage/unstage hunk buttons (git index diffs only)
+    this.stageHunkBtn = this._createCommandButton('stage-hunk', 'diff-view:stage-hunk', 'Stage Hunk');
+    this.stageHunkBtn.classList.add('hidden');
+    mid.appendChild(this.stageHunkBtn);
+    this.unstageHunkBtn = this._createCommandButton('unstage-hunk', 'diff-view:unstage-hunk', 'Unstage Hunk');
+    this.unstageHunkBtn.classList.add('hidden');
+    mid.appendChild(this.unstageHunkBtn);
+
+    // create accept/reject hunk buttons with the patch status (patch previews only)
+    this.patchStatus = document.createElement('div');
+    this.patchStatus.classList.add('patch-status', 'hidden');
+    this.patchStatus.appendChild(this._createCommandButton('accept-hunk', 'diff-view:accept-hunk', 'Accept Hunk'));
+    this.patchStatus.appendChild(this._createCommandButton('reject-hunk', 'diff-view:reject-hunk', 'Reject Hunk'));
+    this.patchStatusText = document.createElement('span');
+    this.patchStatusText.classList.add('patch-status-text', 'text-warning');
+    this.patchStatus.appendChild(this.patchStatusText);
+    mid.appendChild(this.patchStatus);
+
+    // create revision info with older/newer buttons (git diffs only)
+    this.revision = document.createElement('div');
+    this.revision.classList.add('revision', 'hidden');
+    this.revision.appendChild(this._createCommandButton('git-older', 'diff-view:git-older-revision', 'Older Revision'));
+    this.revisionText = document.createElement('span');
+    this.revisionText.classList.add('revision-text');
+    this.revision.appendChild(this.revisionText);
+    this.revision.appendChild(this._createCommandButton('git-newer', 'diff-view:git-newer-revision', 'Newer Revision'));
+    mid.appendChild(this.revision);
+
     // -------------
     // RIGHT COLUMN |
     // -------------
 
+    // create diff algorithm button, which shows the algorithm and switches to the next one
+    this.diffAlgorithmBtn = this._createCommandButton('diff-algorithm', 'diff-view:cycle-diff-algorithm', 'Diff Algorithm');
+    if (isMergeMode) {
+      this.diffAlgorithmBtn.classList.add('hidden');
+    }
+
+    // create word diff granularity button, which shows the granularity and switches to the next one
+    this.wordDiffGranularityBtn = this._createCommandButton('word-diff-granularity', 'diff-view:cycle-word-diff-granularity', 'Word Diff Granularity');
+    if (isMergeMode) {
+      this.wordDiffGranularityBtn.classList.add('hidden');
+    }
+
     // create ignore whitespace toggle button
     this.ignoreWhitespaceBtn = document.createElement('button');
     this.ignoreWhitespaceBtn.classList.add('btn', 'btn-md', 'ignore-whitespace');
@@ -116,6 +169,22 @@ module.exports = class FooterView {
     };
     this._subscriptions.add(atom.tooltips.add(this.ignoreWhitespaceBtn, {title: 'Ignore Whitespace'}));
 
+    // create the toggle buttons of the other ignore rules, by the option they toggle
+    this.ignoreRuleBtns = {
+      ignoreBlankLines: this._createCommandButton('ignore-blank-lines', 'diff-view:toggle-ignore-blank-lines', 'Ignore Blank Lines'),
+      ignoreCase: this._createCommandButton('ignore-case', 'diff-view:toggle-ignore-case', 'Ignore Case'),
+      ignoreLineEndings: this._createCommandButton('ignore-line-endings', 'diff-view:toggle-ignore-line-endings', 'Ignore Line Endings'),
+      useIgnorePatterns: this._createCommandButton('use-ignore-patterns', 'diff-view:toggle-ignore-patterns', 'Ignore Patterns')
+    };
+    this.ignoreRuleBtns.ignoreBlankLines.textContent = '\u00b6';
+    this.ignoreRuleBtns.ignoreCase.textContent = 'Aa';
+    this.ignoreRuleBtns.ignoreLineEndings.textContent = 'CR';
+    this.ignoreRuleBtns.useIgnorePatterns.textContent = '.*';
+    if (isMergeMode) {
+      Object.values(this.ignoreRuleBtns).forEach((button) => button.classList.add('hidden'));
+    }
+    this._isMergeMode = isMergeMode;
+
     // create auto diff toggle button
     this.autoDiffBtn = document.createElement('button');
     this.autoDiffBtn.classList.add('btn', 'btn-md', 'auto-diff');
@@ -149,6 +218,12 @@ module.exports = class FooterView {
     };
     this._subscriptions.add(atom.tooltips.add(equalizeWidthsButton, {title: 'Equalize Widths'}));
 
+    // create unified diff toggle button
+    this.unifiedModeBtn = this._createCommandButton('unified-mode', 'diff-view:toggle-unified-mode', 'Unified Diff');
+    if (isMergeMode) {
+      this.unifiedModeBtn.classList.add('hidden');
+    }
+
     // create center line toggle button
     this.centerLineBtn = document.createElement('button');
     this.centerLineBtn.classList.add('btn', 'btn-md', 'center-line');
@@ -157,6 +232,10 @@ module.exports = class FooterView {
     };
     this._subscriptions.add(atom.tooltips.add(this.centerLineBtn, {title: 'Show Center Line'}));
 
+    // create apply button (hidden until there is a result to apply)
+    this.applyBtn = document.createElement('button');
+    this.applyBtn.classList.add('btn', 'btn-md', 'apply-result', 'hidden');
+
     // create close button
     const closeButton = document.createElement('button');
     closeButton.classList.add('btn', 'btn-md', 'close-diff');
@@ -168,15 +247,38 @@ module.exports = class FooterView {
     // create right column
     const right = document.createElement('div');
     right.classList.add('right');
+    right.appendChild(this.diffAlgorithmBtn);
+    right.appendChild(this.wordDiffGranularityBtn);
     right.appendChild(this.ignoreWhitespaceBtn);
+    Object.values(this.ignoreRuleBtns).forEach((button) => right.appendChild(button));
     right.appendChild(this.autoDiffBtn);
     right.appendChild(this.softWrapBtn);
     right.appendChild(equalizeWidthsButton);
     right.appendChild(this.centerLineBtn);
+    right.appendChild(this.unifiedModeBtn);
+    right.appendChild(this.applyBtn);
     right.appendChild(closeButton);
     this.element.appendChild(right);
   }
 
+  /**
+   * Creates a button that dispatches a command when clicked.
+   *
+   * @param className The class of the button, which also selects its icon.
+   * @param command The command dispatched on the workspace.
+   * @param title The tooltip of the button.
+   * @return The created button.
+   */
+  _createCommandButton(className, command, title) {
+    const button = document.createElement('button');
+    button.classList.add('btn', 'btn-md', className);
+    button.onclick = () => {
+      atom.commands.dispatch(atom.views.getView(atom.workspace), command);
+    };
+    this._subscriptions.add(atom.tooltips.add(button, {title: title}));
+    return button;
+  }
+
   destroy() {
     document.body.classList.remove('diff-view-visible');
     if (this._subscriptions) {
@@ -210,8 +312,25 @@ module.exports = class FooterView {
     this.numDifferencesValue.classList.add('diff-view-loading-icon');
   }
 
+  /**
+   * Shows the progress of a diff that takes long, along with the button that
+   * cancels it.
+   *
+   * @param text The step of the diff and the time it has taken.
+   */
+  setProgress(text) {
+    this.progressText.textContent = text;
+    this.progressText.classList.remove('hidden');
+    this.cancelDiffBtn.classList.remove('hidden');
+  }
+
+  hideProgress() {
+    this.progressText.classList.add('hidden');
+    this.cancelDiffBtn.classList.add('hidden');
+  }
+
   setNumDifferences(num) {
-    this.numDifferencesValue.classList.remove('diff-view-loading-icon');
+    this._setDone();
     if (num === 1) {
       this.numDifferencesText.textContent = 'difference';
     } else {
@@ -220,6 +339,139 @@ module.exports = class FooterView {
     this.numDifferencesValue.textContent = num;
   }
 
+  /**
+   * Shows the number of added and removed lines in place of the number of
+   * differences, for files that were only summarized.
+   */
+  setSummary(addedLines, removedLines) {
+    this._setDone();
+    this.numDifferencesText.textContent = 'lines';
+    this.numDifferencesValue.textContent = `+${addedLines} -${removedLines}`;
+  }
+
+  setCancelled() {
+    this._setDone();
+    this.numDifferencesText.textContent = 'diff cancelled';
+    this.numDifferencesValue.textContent = null;
+  }
+
+  setFailed() {
+    this._setDone();
+    this.numDifferencesText.textContent = 'diff failed';
+    this.numDifferencesValue.textContent = null;
+  }
+
+  /**
+   * Shows how the files were compared when they were too large to diff line
+   * by line.
+   *
+   * @param text The name of the fallback, or null to hide it.
+   * @param title The tooltip explaining the fallback.
+   */
+  setFallback(text, title) {
+    if (this._fallbackTooltip != null) {
+      this._subscriptions.remove(this._fallbackTooltip);
+      this._fallbackTooltip.dispose();
+      this._fallbackTooltip = null;
+    }
+    this.fallbackText.textContent = text != null ? `(${text})` : '';
+    this.fallbackText.classList.toggle('hidden', text == null);
+    if (text != null && title != null) {
+      this._fallbackTooltip = atom.tooltips.add(this.fallbackText, {title: title});
+      this._subscriptions.add(this._fallbackTooltip);
+    }
+  }
+
+  /**
+   * Shows the identifiers a syntax aware diff found renamed.
+   *
+   * @param renames The renames, with from, to and the count of places.
+   */
+  setRenames(renames) {
+    if (this._renamesTooltip != null) {
+      this._subscriptions.remove(this._renamesTooltip);
+      this._renamesTooltip.dispose();
+      this._renamesTooltip = null;
+    }
+    this.renamesText.textContent = renames.length > 0 ? `(${renames.length} renamed)` : '';
+    this.renamesText.classList.toggle('hidden', renames.length === 0);
+    if (renames.length > 0) {
+      const title = renames.map((rename) => `${rename.from} \u2192 ${rename.to} (${rename.count}\u00d7)`).join('<br>');
+      this._renamesTooltip = atom.tooltips.add(this.renamesText, {title: title});
+      this._subscriptions.add(this._renamesTooltip);
+    }
+  }
+
+  _setDone() {
+    this.numDifferencesValue.classList.remove('diff-view-loading-icon');
+    this.hideProgress();
+  }
+
+  setNumConflicts(num) {
+    this.numConflictsText.textContent = num === 1 ? '(1 conflict)' : `(${num} conflicts)`;
+    this.numConflictsText.classList.remove('hidden');
+  }
+
+  /**
+   * Shows the git revision the diff is compared against.
+   *
+   * @param commit Object with the hash, shortHash, author, date and subject of the commit.
+   */
+  setRevision(commit) {
+    this.revisionText.textContent = `${commit.shortHash} ${commit.author}, ${commit.date}: ${commit.subject}`;
+    this.revisionText.title = commit.hash;
+    this.revision.classList.remove('hidden');
+  }
+
+  /**
+   * Shows the button that stages or unstages the selected hunk.
+   *
+   * @param isStaged Whether the diff shows the staged changes, which can be
+   *    unstaged, rather than the unstaged changes, which can be staged.
+   */
+  showIndexButton(isStaged) {
+    this.stageHunkBtn.classList.toggle('hidden', isStaged);
+    this.unstageHunkBtn.classList.toggle('hidden', !isStaged);
+  }
+
+  /**
+   * Shows the buttons that accept or reject the selected hunk of a patch, with
+   * the number of hunks that didn't apply cleanly.
+   *
+   * @param numFuzzy The number of hunks applied with fuzzy context matching.
+   * @param numFailed The number of hunks that could not be applied.
+   */
+  showPatchButtons(numFuzzy, numFailed) {
+    var problems = [];
+    if (numFuzzy > 0) {
+      problems.push(`${numFuzzy} fuzzy`);
+    }
+    if (numFailed > 0) {
+      problems.push(`${numFailed} failed`);
+    }
+    this.patchStatusText.textContent = problems.join(', ');
+    this.patchStatus.classList.remove('hidden');
+  }
+
+  /**
+   * Shows the apply button, which dispatches the given command.
+   *
+   * @param command The command dispatched on the workspace.
+   * @param title The tooltip of the button.
+   */
+  showApplyButton(command, title) {
+    this.applyBtn.onclick = () => {
+      atom.commands.dispatch(atom.views.getView(atom.workspace), command);
+    };
+    if (this._applyTooltip != null) {
+      this._subscriptions.remove(this._applyTooltip);
+      this._applyTooltip.dispose();
+    }
+    this._applyTooltip = atom.tooltips.add(this.applyBtn, {title: title});
+    this._subscriptions.add(this._applyTooltip);
+    this.applyBtn.classList.remove('hidden');
+  }
+
   showSelectionCount(count) {
     this.selectionCountValue.textContent = count;
     this.selectionCount.classList.remove('hidden');
@@ -241,6 +493,52 @@ module.exports = class FooterView {
     this.softWrapBtn.classList.toggle('selected', isSoftWrapEnabled);
   }
 
+  /**
+   * Shows the line diff algorithm of the diff.
+   *
+   * @param algorithm The algorithm: 'myers', 'patience' or 'histogram'.
+   * @param isOverridden Whether the algorithm is set by the diff rather than
+   *    the settings, it can't be switched then.
+   */
+  setDiffAlgorithm(algorithm, isOverridden) {
+    this.diffAlgorithmBtn.textContent = algorithm.charAt(0).toUpperCase() + algorithm.slice(1);
+    this.diffAlgorithmBtn.disabled = isOverridden;
+  }
+
+  /**
+   * Shows what the words of the changed lines are diffed by.
+   *
+   * @param granularity The name of the granularity, as in the setting.
+   */
+  setWordDiffGranularity(granularity) {
+    this.wordDiffGranularityBtn.textContent = granularity;
+  }
+
+  /**
+   * Shows whether an ignore rule other than whitespace is on.
+   *
+   * @param name The option of the rule, like ignoreCase.
+   * @param isEnabled Whether the rule is on.
+   * @param isOverridden Whether the diff sets the rule, it can't be toggled then.
+   */
+  setIgnoreRule(name, isEnabled, isOverridden) {
+    this.ignoreRuleBtns[name].classList.toggle('selected', !!isEnabled);
+    this.ignoreRuleBtns[name].disabled = isOverridden;
+  }
+
+  /**
+   * The patterns button is only shown when there are patterns to ignore.
+   *
+   * @param patterns The ignore patterns.
+   */
+  setIgnorePatterns(patterns) {
+    this.ignoreRuleBtns.useIgnorePatterns.classList.toggle('hidden', this._isMergeMode || patterns.length === 0);
+  }
+
+  setUnifiedMode(isUnified) {
+    this.unifiedModeBtn.classList.toggle('selected', isUnified);
+  }
+
   setCenterLine(isCenterLineEnabled) {
     this.centerLineBtn.classList.toggle('selected', isCenterLineEnabled);
   }
@@ -0,0 +1,333 @@
+'use strict';
+
+const { spawnSync } = require('child_process');
+const path = require('path');
+const JsDiff = require('diff');
+
+/**
+ * Finds the git repository that contains the given file.
+ *
+ * @param filePath The absolute path of the file.
+ * @return An object with the repository, the file path relative to the
+ *    repository and the repository working directory, or null if the file is
+ *    not in a git repository.
+ */
+function getRepositoryForPath(filePath) {
+  const directories = atom.project.getDirectories();
+  for (let i = 0; i < directories.length; i++) {
+    const directory = directories[i];
+    if (filePath === directory.getPath() || directory.contains(filePath)) {
+      let projectRepo = atom.project.getRepositories()[i];
+      if (projectRepo != null) {
+        projectRepo = projectRepo.getRepo(filePath); // fix repo for submodules #112
+        return {
+          repo: projectRepo,
+          relativePath: projectRepo.relativize(filePath),
+          workingDirectory: projectRepo.getWorkingDirectory()
+        };
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Runs git synchronously in the given directory.
+ *
+ * @param args The arguments to pass to git.
+ * @param cwd The directory to run git in.
+ * @param input Optional text written to the stdin of git.
+ * @return The result of spawnSync with stdout decoded as utf8.
+ */
+function runGit(args, cwd, input) {
+  return spawnSync('git', args, {
+    cwd: cwd,
+    input: input,
+    encoding: 'utf8',
+    maxBuffer: 10 * 1024 * 1024
+  });
+}
+
+/**
+ * Gets the content of a file at a given revision using `git show`.
+ *
+ * @param workingDirectory The working directory of the repository.
+ * @param ref The revision, or an index stage such as ':2'.
+ * @param relativePath The path of the file relative to the repository.
+ * @return The file content, or null if the file doesn't exist at that revision.
+ */
+function showFile(workingDirectory, ref, relativePath) {
+  const result = runGit(['show', `${ref}:${toGitPath(relativePath)}`], workingDirectory);
+  if (result.status === 0 && result.stdout != null) {
+    return result.stdout;
+  }
+  return null;
+}
+
+/**
+ * Finds the path a file had at a given revision, following renames between
+ * that revision and HEAD.
+ *
+ * @param workingDirectory The working directory of the repository.
+ * @param ref The revision.
+ * @param relativePath The current path of the file relative to the repository.
+ * @return The path of the file at the revision, or null if it didn't exist there.
+ */
+function resolvePathAtRef(workingDirectory, ref, relativePath) {
+  const gitPath = toGitPath(relativePath);
+  const existsAtRef = (candidatePath) => runGit(['cat-file', '-e', `${ref}:${candidatePath}`], workingDirectory).status === 0;
+
+  if (existsAtRef(gitPath)) {
+    return gitPath;
+  }
+
+  // renamed between the revision and HEAD
+  const renames = getLines(['diff', '--find-renames', '--name-status', ref, 'HEAD'], workingDirectory);
+  for (const line of renames) {
+    const [status, oldPath, newPath] = line.split('\t');
+    if (status.startsWith('R') && newPath === gitPath && existsAtRef(oldPath)) {
+      return oldPath;
+    }
+  }
+
+  // any earlier name of the file in the history of HEAD
+  const historicalPaths = getLines(['log', '--follow', '--name-only', '--format=', '--', gitPath], workingDirectory);
+  for (const historicalPath of new Set(historicalPaths)) {
+    if (existsAtRef(historicalPath)) {
+      return historicalPath;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Lists the branches, tags, recent commits and stash entries that a file can
+ * be compared with.
+ *
+ * @param workingDirectory The working directory of the repository.
+ * @param relativePath The path of the file relative to the repository.
+ * @param maxCommits The maximum number of commits listed.
+ * @return An array of objects with the type, ref, label and detail of each
+ *    entry. Commits also carry the path the file had in that commit.
+ */
+function getRefsForFile(workingDirectory, relativePath, maxCommits = 50) {
+  const refs = getBranchesAndTags(workingDirectory);
+  getFileHistory(workingDirectory, relativePath, 'HEAD', maxCommits).forEach((commit) => {
+    refs.push({ type: 'commit', ref: commit.hash, label: `${commit.shortHash} ${commit.subject}`, detail: `${commit.author}, ${commit.date}`, path: commit.path });
+  });
+  return refs.concat(getStashes(workingDirectory));
+}
+
+/**
+ * Lists the branches, tags, recent commits and stash entries of a repository.
+ *
+ * @param workingDirectory The working directory of the repository.
+ * @param maxCommits The maximum number of commits listed.
+ * @return An array of objects with the type, ref, label and detail of each entry.
+ */
+function getRefs(workingDirectory, maxCommits = 50) {
+  const refs = getBranchesAndTags(workingDirectory);
+  getLines(['log', `-n${maxCommits}`, '--date=short', '--format=%H%x00%h%x00%an%x00%ad%x00%s'], workingDirectory).forEach((line) => {
+    const [hash, shortHash, author, date, subject] = line.split('\0');
+    refs.push({ type: 'commit', ref: hash, label: `${shortHash} ${subject}`, detail: `${author}, ${date}` });
+  });
+  return refs.concat(getStashes(workingDirectory));
+}
+
+/**
+ * Lists the files that differ between two revisions, or between a revision and
+ * the working tree. Untracked files count as added to the working tree.
+ *
+ * @param workingDirectory The working directory of the repository.
+ * @param fromRef The older revision.
+ * @param toRef The newer revision, or null for the working tree.
+ * @return An array of objects with the status ('added', 'modified', 'deleted'
+ *    or 'renamed'), the path relative to the repository and, for renamed
+ *    files, the oldPath.
+ */
+function getChangedFiles(workingDirectory, fromRef, toRef) {
+  const args = ['-c', 'core.quotePath=false', 'diff', '--name-status', '--find-renames', fromRef];
+  if (toRef != null) {
+    args.push(toRef);
+  }
+
+  const statuses = { A: 'added', M: 'modified', D: 'deleted', R: 'renamed', C: 'added', T: 'modified' };
+  const files = [];
+  getLines(args, workingDirectory).forEach((line) => {
+    const [status, filePath, renamedPath] = line.split('\t');
+    const fileStatus = statuses[status.charAt(0)] || 'modified';
+    if (renamedPath != null) {
+      files.push({ status: fileStatus, path: renamedPath, oldPath: fileStatus === 'renamed' ? filePath : null });
+    } else {
+      files.push({ status: fileStatus, path: filePath, oldPath: null });
+    }
+  });
+
+  if (toRef == null) {
+    getLines(['-c', 'core.quotePath=false', 'ls-files', '--others', '--exclude-standard'], workingDirectory).forEach((filePath) => {
+      files.push({ status: 'added', path: filePath, oldPath: null });
+    });
+    files.sort((a, b) => a.path.localeCompare(b.path));
+  }
+
+  return files;
+}
+
+/**
+ * Lists the commits that changed a file, newest first, following renames.
+ *
+ * @param workingDirectory The working directory of the repository.
+ * @param relativePath The path of the file at the given revision.
+ * @param ref The revision the history starts at.
+ * @param maxCommits The maximum number of commits listed, all when omitted.
+ * @return An array of commits with their hash, shortHash, author, date,
+ *    subject and the path the file had in that commit.
+ */
+function getFileHistory(workingDirectory, relativePath, ref = 'HEAD', maxCommits) {
+  const args = ['log', '--follow', '--name-only', '--date=short', '--format=%H%x00%h%x00%an%x00%ad%x00%s'];
+  if (maxCommits != null) {
+    args.push(`-n${maxCommits}`);
+  }
+  args.push(ref, '--', toGitPath(relativePath));
+
+  // --name-only lists the name the file had in each commit after its header
+  const commits = [];
+  let commit = null;
+  getLines(args, workingDirectory).forEach((line) => {
+    if (line.includes('\0')) {
+      const [hash, shortHash, author, date, subject] = line.split('\0');
+      commit = { hash, shortHash, author, date, subject, path: null };
+      commits.push(commit);
+    } else if (commit != null && commit.path == null) {
+      commit.path = line;
+    }
+  });
+  return commits;
+}
+
+/**
+ * Builds a patch that replaces ranges of lines of a file with lines of another
+ * version of it. The patch has no context lines, so it has to be applied with
+ * --unidiff-zero.
+ *
+ * @param relativePath The path of the file relative to the repository.
+ * @param targetText The text the patch applies to.
+ * @param sourceText The text the replacement lines are taken from. Its lines
+ *    get the line ending of the target text.
+ * @param ranges Array of objects with the targetLineStart, targetLineEnd,
+ *    sourceLineStart and sourceLineEnd of each replacement, ordered by
+ *    position. End lines are exclusive.
+ * @return The patch text.
+ */
+function createLinesPatch(relativePath, targetText, sourceText, ranges) {
+  const gitPath = toGitPath(relativePath);
+  const targetLines = splitLinesWithEndings(targetText);
+  const sourceLines = splitLinesWithEndings(sourceText);
+  const lineEnding = /\r\n/.test(targetText) ? '\r\n' : '\n';
+
+  // the target text with the lines replaced, a line without ending being
+  // the last line of a text gets one when lines go after it
+  const patchedLines = [];
+  let targetLine = 0;
+  ranges.forEach((range) => {
+    patchedLines.push(...targetLines.slice(targetLine, range.targetLineStart));
+    sourceLines.slice(range.sourceLineStart, range.sourceLineEnd).forEach((line) => {
+      patchedLines.push(line.replace(/(?:\r\n|\r|\n)$/, lineEnding));
+    });
+    targetLine = range.targetLineEnd;
+  });
+  patchedLines.push(...targetLines.slice(targetLine));
+  const patchedText = patchedLines.map((line, index) => {
+    return index < patchedLines.length - 1 && !/[\r\n]$/.test(line) ? line + lineEnding : line;
+  }).join('');
+
+  // jsdiff marks the lines without ending at the end of the texts
+  const hunks = JsDiff.structuredPatch(gitPath, gitPath, targetText, patchedText, '', '', { context: 0 }).hunks;
+  let patch = `diff --git a/${gitPath} b/${gitPath}\n--- a/${gitPath}\n+++ b/${gitPath}\n`;
+  hunks.forEach((hunk) => {
+    // an empty side refers to the line before it
+    const oldStart = hunk.oldLines === 0 ? hunk.oldStart - 1 : hunk.oldStart;
+    const newStart = hunk.newLines === 0 ? hunk.newStart - 1 : hunk.newStart;
+    patch += `@@ -${oldStart},${hunk.oldLines} +${newStart},${hunk.newLines} @@\n`;
+    hunk.lines.forEach((line) => {
+      patch += `${line}\n`;
+    });
+  });
+  return patch;
+}
+
+/**
+ * Applies a patch to the index, leaving the working tree untouched.
+ *
+ * @param workingDirectory The working directory of the repository.
+ * @param patch The patch text, as built by createLinesPatch.
+ * @return null on success, otherwise the error reported by git.
+ */
+function applyPatchToIndex(workingDirectory, patch) {
+  const result = runGit(['apply', '--cached', '--unidiff-zero', '--whitespace=nowarn', '-'], workingDirectory, patch);
+  if (result.status === 0) {
+    return null;
+  }
+  return (result.stderr || 'git apply failed').trim();
+}
+
+// lists the local and remote branches and the tags, newest tags first
+function getBranchesAndTags(workingDirectory) {
+  const refs = [];
+  const refFormat = '--format=%(refname:short)%00%(objectname:short)%00%(subject)';
+  getLines(['for-each-ref', refFormat, 'refs/heads', 'refs/remotes'], workingDirectory).forEach((line) => {
+    const [name, hash, subject] = line.split('\0');
+    if (!name.endsWith('/HEAD')) {
+      refs.push({ type: 'branch', ref: name, label: name, detail: `${hash} ${subject}` });
+    }
+  });
+  getLines(['for-each-ref', '--sort=-creatordate', refFormat, 'refs/tags'], workingDirectory).forEach((line) => {
+    const [name, hash, subject] = line.split('\0');
+    refs.push({ type: 'tag', ref: name, label: name, detail: `${hash} ${subject}` });
+  });
+  return refs;
+}
+
+function getStashes(workingDirectory) {
+  return getLines(['stash', 'list', '--format=%gd%x00%s'], workingDirectory).map((line) => {
+    const [name, subject] = line.split('\0');
+    return { type: 'stash', ref: name, label: name, detail: subject };
+  });
+}
+
+/**
+ * Runs git and gets the non-empty lines of its output.
+ *
+ * @return The lines, or an empty array if git failed.
+ */
+function getLines(args, cwd) {
+  const result = runGit(args, cwd);
+  if (result.status !== 0 || result.stdout == null) {
+    return [];
+  }
+  return result.stdout.split(/\r?\n/).filter((line) => line !== '');
+}
+
+// splits a text into lines that keep their line endings
+function splitLinesWithEndings(text) {
+  return text.match(/[^\r\n]*(?:\r\n|\r|\n)|[^\r\n]+$/g) || [];
+}
+
+// git expects forward slashes in paths
+function toGitPath(relativePath) {
+  return relativePath.split(path.sep).join('/');
+}
+
+module.exports = {
+  getRepositoryForPath,
+  runGit,
+  showFile,
+  resolvePathAtRef,
+  getRefsForFile,
+  getRefs,
+  getChangedFiles,
+  getFileHistory,
+  createLinesPatch,
+  applyPatchToIndex
+};
@@ -0,0 +1,97 @@
+'use strict';
+
+/*
+ * The rules deciding which differences between lines are ignored, besides
+ * whitespace. The rules are an object with:
+ *    - whitespace: the whitespace around the text of a line is ignored.
+ *    - lineEndings: a carriage return ending a line is ignored.
+ *    - case: the case of the letters is ignored.
+ *    - patterns: the sources of the regular expressions whose matches are
+ *      ignored, like timestamps or copyright years.
+ *    - blankLines: the chunks whose lines are all blank are ignored.
+ */
+
+/**
+ * Compiles the ignored patterns, the invalid ones are left out.
+ *
+ * @param patterns The sources of the regular expressions.
+ * @return The regExps and the invalidPatterns.
+ */
+function compileIgnorePatterns(patterns) {
+  const regExps = [];
+  const invalidPatterns = [];
+  (patterns || []).forEach((pattern) => {
+    if (pattern === '') {
+      return;
+    }
+    try {
+      regExps.push(new RegExp(pattern, 'g'));
+    } catch (e) {
+      invalidPatterns.push(pattern);
+    }
+  });
+  return { regExps, invalidPatterns };
+}
+
+/**
+ * Whether the rules change the text lines are compared by, rather than only
+ * the whitespace jsdiff can ignore by itself.
+ */
+function hasLineKeyRules(ignoreRules) {
+  return !!(ignoreRules.lineEndings || ignoreRules.case || compileIgnorePatterns(ignoreRules.patterns).regExps.length > 0);
+}
+
+/**
+ * Creates the function getting the text a line is compared by.
+ *
+ * @param ignoreRules The rules, see above.
+ * @return The function taking a line and returning its key.
+ */
+function createLineKey(ignoreRules) {
+  const regExps = compileIgnorePatterns(ignoreRules.patterns).regExps;
+  return (line) => {
+    if (ignoreRules.lineEndings) {
+      line = line.replace(/\r$/, '');
+    }
+    regExps.forEach((regExp) => {
+      line = line.replace(regExp, '');
+    });
+    if (ignoreRules.whitespace) {
+      line = line.trim();
+    }
+    if (ignoreRules.case) {
+      line = line.toLowerCase();
+    }
+    return line;
+  };
+}
+
+/**
+ * Moves the chunks whose lines are all blank out of the chunks of the diff,
+ * into its ignoredChunks. They still align the editors, see diff-display.js.
+ *
+ * @param diff The diff, it is changed in place.
+ * @param oldLines The lines of the old text.
+ * @param newLines The lines of the new text.
+ */
+function ignoreBlankChunks(diff, oldLines, newLines) {
+  const isBlank = (lines, start, end) => lines.slice(start, end).every((line) => line.trim() === '');
+  const chunks = [];
+  const ignoredChunks = [];
+  diff.chunks.forEach((chunk) => {
+    if (isBlank(oldLines, chunk.oldLineStart, chunk.oldLineEnd) && isBlank(newLines, chunk.newLineStart, chunk.newLineEnd)) {
+      ignoredChunks.push(chunk);
+    } else {
+      chunks.push(chunk);
+    }
+  });
+  diff.chunks = chunks;
+  diff.ignoredChunks = ignoredChunks;
+}
+
+module.exports = {
+  compileIgnorePatterns,
+  hasLineKeyRules,
+  createLineKey,
+  ignoreBlankChunks
+};
@@ -0,0 +1,194 @@
+'use strict';
+
+// the unchanged lines diffed again around the edits, so the diff of the window
+// can pick the same alignment as a full diff
+const WINDOW_CONTEXT_LINES = 3;
+
+/**
+ * Counts the lines of a buffer as compute-diff.js sees them, the trailing
+ * empty lines are normalized away.
+ *
+ * @param buffer The text buffer.
+ * @return The number of lines.
+ */
+function countDiffLines(buffer) {
+  let lineCount = buffer.getLineCount();
+  while (lineCount > 1 && buffer.lineForRow(lineCount - 1) === '') {
+    lineCount--;
+  }
+  return lineCount;
+}
+
+/**
+ * Adds a buffer change to the region edited since the diff was computed.
+ * The region starts at the same row in the diffed and the current text, and
+ * ends at oldEnd in the diffed text and at newEnd in the current text.
+ *
+ * @param region The edited region, or null if nothing was edited yet.
+ * @param change The change event of the buffer.
+ * @return The edited region including the change.
+ */
+function addEditToRegion(region, change) {
+  const startRow = change.oldRange.start.row;
+  const oldEndRow = change.oldRange.end.row + 1;
+  const lineDelta = change.newRange.end.row - change.oldRange.end.row;
+  if (region == null) {
+    return { start: startRow, oldEnd: oldEndRow, newEnd: oldEndRow + lineDelta };
+  }
+
+  // the rows below the region are shifted by the edits in it
+  const regionDelta = region.newEnd - region.oldEnd;
+  const newEnd = Math.max(region.newEnd, oldEndRow);
+  return {
+    start: Math.min(region.start, startRow),
+    oldEnd: Math.max(region.oldEnd, oldEndRow - regionDelta),
+    newEnd: newEnd + lineDelta
+  };
+}
+
+/**
+ * Gets the window of lines to diff again after the edits. The window begins
+ * and ends in lines left unchanged by the diff, and holds every chunk touched
+ * by an edit.
+ *
+ * @param diff The computed diff, with the line counts of the diffed texts.
+ * @param region1 The region edited in the left editor, or null.
+ * @param region2 The region edited in the right editor, or null.
+ * @return The window, or null if it can't be found. Its line numbers are in
+ *    the diffed texts, the edits shifted its end by oldLineDelta and
+ *    newLineDelta in the current texts. startIndex and endIndex are the range
+ *    of chunks it replaces, isAtEnd whether it reaches the end of both texts.
+ */
+function getDiffWindow(diff, region1, region2) {
+  const chunks = diff.chunks;
+
+  // the unchanged lines before, between and after the chunks, they are the
+  // same in both texts
+  const gaps = [];
+  let start1 = 0;
+  let start2 = 0;
+  for (const chunk of chunks.concat([{ oldLineStart: diff.lineCounts[0], newLineStart: diff.lineCounts[1] }])) {
+    const length = chunk.oldLineStart - start1;
+    if (length < 0 || length !== chunk.newLineStart - start2) {
+      return null;
+    }
+    gaps.push({ start1: start1, start2: start2, length: length });
+    start1 = chunk.oldLineEnd;
+    start2 = chunk.newLineEnd;
+  }
+
+  const editStart1 = region1 != null ? region1.start : Infinity;
+  const editStart2 = region2 != null ? region2.start : Infinity;
+  const editEnd1 = region1 != null ? region1.oldEnd : -Infinity;
+  const editEnd2 = region2 != null ? region2.oldEnd : -Infinity;
+
+  // the window starts in the last gap that begins before the edits, past the
+  // chunk above it so the markers of that chunk are kept
+  let startGapIndex = 0;
+  let startOffset = 0;
+  gaps.forEach((gap, index) => {
+    const minOffset = index === 0 ? 0 : 1;
+    const maxOffset = Math.min(gap.length, editStart1 - gap.start1, editStart2 - gap.start2);
+    if (maxOffset >= minOffset) {
+      startGapIndex = index;
+      startOffset = Math.max(minOffset, maxOffset - WINDOW_CONTEXT_LINES);
+    }
+  });
+
+  // the window ends in the first gap that ends after the edits, before the
+  // chunk below it, or at the end of the texts
+  let endGapIndex = -1;
+  let endOffset = 0;
+  for (let index = startGapIndex; index < gaps.length && endGapIndex < 0; index++) {
+    const gap = gaps[index];
+    const isLastGap = index === gaps.length - 1;
+    const minOffset = Math.max(0, editEnd1 - gap.start1, editEnd2 - gap.start2);
+    const maxOffset = isLastGap ? gap.length : gap.length - 1;
+    if (minOffset <= maxOffset) {
+      endGapIndex = index;
+      endOffset = Math.min(maxOffset, minOffset + WINDOW_CONTEXT_LINES);
+    }
+  }
+  if (endGapIndex < 0) {
+    return null;
+  }
+
+  const startGap = gaps[startGapIndex];
+  const endGap = gaps[endGapIndex];
+  return {
+    startIndex: startGapIndex,
+    endIndex: endGapIndex,
+    oldLineStart: startGap.start1 + startOffset,
+    oldLineEnd: endGap.start1 + endOffset,
+    newLineStart: startGap.start2 + startOffset,
+    newLineEnd: endGap.start2 + endOffset,
+    oldLineDelta: region1 != null ? region1.newEnd - region1.oldEnd : 0,
+    newLineDelta: region2 != null ? region2.newEnd - region2.oldEnd : 0,
+    isAtEnd: endGapIndex === gaps.length - 1 && endOffset === endGap.length
+  };
+}
+
+/**
+ * Replaces the chunks and line offsets of the window with the diff of the
+ * window, and shifts the ones below it by the edited lines.
+ *
+ * @param diff The computed diff the window was found in.
+ * @param diffWindow The window, see getDiffWindow.
+ * @param windowDiff The diff of the window, computed from its current text.
+ * @param lineCounts The line counts of the current texts.
+ * @return The diff of the current texts, it keeps the other properties of
+ *    the computed diff, like its algorithm.
+ */
+function spliceDiff(diff, diffWindow, windowDiff, lineCounts) {
+  const { oldLineStart, newLineStart, oldLineEnd, newLineEnd, oldLineDelta, newLineDelta } = diffWindow;
+  const shiftChunk = (chunk, oldShift, newShift) => Object.assign({}, chunk, {
+    oldLineStart: chunk.oldLineStart + oldShift,
+    oldLineEnd: chunk.oldLineEnd + oldShift,
+    newLineStart: chunk.newLineStart + newShift,
+    newLineEnd: chunk.newLineEnd + newShift
+  });
+  const chunks = diff.chunks.slice(0, diffWindow.startIndex)
+    .concat(windowDiff.chunks.map((chunk) => shiftChunk(chunk, oldLineStart, newLineStart)))
+    .concat(diff.chunks.slice(diffWindow.endIndex).map((chunk) => shiftChunk(chunk, oldLineDelta, newLineDelta)));
+
+  // the chunks of the window add offsets to the unchanged lines below them,
+  // in the side with fewer lines (see compute-diff.js)
+  const windowChunks = chunks.slice(diffWindow.startIndex, diffWindow.startIndex + windowDiff.chunks.length);
+  const spliceOffsets = (lineOffsets, lineStart, lineEnd, lineDelta, getChunkOffset) => {
+    const splicedOffsets = {};
+    Object.keys(lineOffsets).forEach((key) => {
+      const lineNumber = Number(key);
+      if (lineNumber < lineStart) {
+        splicedOffsets[lineNumber] = lineOffsets[key];
+      } else if (lineNumber > lineEnd) {
+        splicedOffsets[lineNumber + lineDelta] = lineOffsets[key];
+      }
+    });
+    windowChunks.forEach((chunk) => {
+      const offset = getChunkOffset(chunk);
+      if (offset.lines > 0 && offset.lineNumber < offset.lineCount) {
+        splicedOffsets[offset.lineNumber] = offset.lines;
+      }
+    });
+    return splicedOffsets;
+  };
+  const getLineCountDelta = (chunk) => (chunk.newLineEnd - chunk.newLineStart) - (chunk.oldLineEnd - chunk.oldLineStart);
+
+  return Object.assign({}, diff, {
+    oldLineOffsets: spliceOffsets(diff.oldLineOffsets, oldLineStart, oldLineEnd, oldLineDelta, (chunk) => {
+      return { lineNumber: chunk.oldLineEnd, lines: getLineCountDelta(chunk), lineCount: lineCounts[0] };
+    }),
+    newLineOffsets: spliceOffsets(diff.newLineOffsets, newLineStart, newLineEnd, newLineDelta, (chunk) => {
+      return { lineNumber: chunk.newLineEnd, lines: -getLineCountDelta(chunk), lineCount: lineCounts[1] };
+    }),
+    chunks: chunks,
+    lineCounts: lineCounts
+  });
+}
+
+module.exports = {
+  countDiffLines,
+  addEditToRegion,
+  getDiffWindow,
+  spliceDiff
+};
@@ -0,0 +1,350 @@
+'use strict';
+
+const { CompositeDisposable, Emitter } = require('atom');
+const MergeView = require('./merge-view');
+const FooterView = require('./footer-view');
+const SyncScroll = require('./sync-scroll');
+const { computeDiffInBackground } = require('./diff-process');
+const { computeMergeChunks, applyMergeChunks } = require('./compute-merge');
+
+/**
+ * Drives a three-way merge between the ours (left), base (middle) and theirs
+ * (right) editors. The base editor starts out as the common ancestor and
+ * collects the merge result. The session keeps the merge up to date, owns its
+ * footer and scroll sync, and writes the result to the target file when applied.
+ */
+module.exports = class MergeSession {
+  /*
+   * @param editors Object with the ours, base and theirs editors.
+   * @param options Optional properties used to override the user's settings.
+   * @param createdEditors Roles of the editors that were created for this
+   *    merge and are removed again when it ends.
+   * @param targetPath Optional path of the file the merge result is applied to.
+   */
+  constructor(editors, options = {}, createdEditors = [], targetPath = null) {
+    this.editors = editors;
+    this.options = options;
+    this.createdEditors = createdEditors;
+    this.targetPath = targetPath;
+    this.emitter = new Emitter();
+    this.editorSubscriptions = null;
+    this.diffRequests = [];
+    // the texts the displayed merge was computed from
+    this.mergeTexts = null;
+    this.isApplyPending = false;
+    this.originalSoftWraps = new Map();
+    this.docksToReopen = { left: false, right: false, bottom: false };
+    this.isDestroyed = false;
+
+    this.mergeView = new MergeView(editors);
+    this._setupEditors();
+    this._setupEditorSubscriptions();
+
+    const ignoreWhitespace = this._getOption('ignoreWhitespace');
+    const autoDiff = this._getOption('autoDiff');
+    const softWrapEnabled = this.getEditors().some((editor) => editor.isSoftWrapped());
+    this.footerView = new FooterView(ignoreWhitespace, this.options.ignoreWhitespace != null, autoDiff, this.options.autoDiff != null, softWrapEnabled, true);
+    this.footerView.createPanel();
+    if (this.targetPath != null) {
+      this.footerView.showApplyButton('diff-view:merge-apply', 'Apply Merge Result');
+    }
+    this.footerView.show();
+
+    // auto hide tree view while diffing #82
+    if (this._getOption('hideDocks')) {
+      this.docksToReopen.left = atom.workspace.getLeftDock().isVisible();
+      this.docksToReopen.right = atom.workspace.getRightDock().isVisible();
+      this.docksToReopen.bottom = atom.workspace.getBottomDock().isVisible();
+      atom.workspace.getLeftDock().hide();
+      atom.workspace.getRightDock().hide();
+      atom.workspace.getBottomDock().hide();
+    }
+
+    this.updateMerge();
+  }
+
+  /**
+   * Invokes the callback when the session is destroyed.
+   */
+  onDidDestroy(callback) {
+    return this.emitter.on('did-destroy', callback);
+  }
+
+  /**
+   * Gets the merged editors ordered from left to right.
+   */
+  getEditors() {
+    return [this.editors.ours, this.editors.base, this.editors.theirs];
+  }
+
+  // recomputes the diffs of the base against both sides in the background
+  updateMerge() {
+    this._cancelDiffRequests();
+
+    // force softwrap to be off if it somehow turned back on #143
+    if (this._getOption('turnOffSoftWrap')) {
+      this.getEditors().forEach((editor) => {
+        if (editor.isSoftWrapped()) {
+          editor.setSoftWrapped(false);
+        }
+      });
+    }
+
+    this.footerView.setLoading();
+
+    const ignoreWhitespace = this._getOption('ignoreWhitespace');
+    const mergeTexts = this._getTexts();
+    const computedDiffs = {};
+    const onComputed = (side, computedDiff) => {
+      computedDiffs[side] = computedDiff;
+      if (computedDiffs.ours != null && computedDiffs.theirs != null) {
+        this.diffRequests = [];
+        this._resumeUpdateMerge(computedDiffs.ours, computedDiffs.theirs, mergeTexts);
+      }
+    };
+    // the merge needs both diffs, the other one is dropped
+    const onError = (error) => {
+      this.diffRequests.forEach((diffRequest) => diffRequest.cancel());
+      this.diffRequests = [];
+      this.isApplyPending = false;
+      this.footerView.setFailed();
+      if (!this._getOption('muteNotifications')) {
+        atom.notifications.addWarning('Diff View', { detail: `The merge could not be computed: ${String(error).split('\n')[0]}`, dismissable: false, icon: 'diff' });
+      }
+    };
+    const options = { isWhitespaceIgnored: ignoreWhitespace, onError: onError };
+    this.diffRequests = [
+      computeDiffInBackground(mergeTexts.base, mergeTexts.ours, options, (computedDiff) => onComputed('ours', computedDiff)),
+      computeDiffInBackground(mergeTexts.base, mergeTexts.theirs, options, (computedDiff) => onComputed('theirs', computedDiff))
+    ];
+  }
+
+  // called by "Move to next diff" command
+  nextChunk() {
+    const selectedIndex = this.mergeView.nextChunk(this._isSyncScrollEnabled());
+    this.footerView.showSelectionCount(selectedIndex + 1);
+  }
+
+  // called by "Move to previous diff" command
+  prevChunk() {
+    const selectedIndex = this.mergeView.prevChunk(this._isSyncScrollEnabled());
+    this.footerView.showSelectionCount(selectedIndex + 1);
+  }
+
+  takeLeft() {
+    this.mergeView.takeLeft();
+  }
+
+  takeRight() {
+    this.mergeView.takeRight();
+  }
+
+  takeBoth() {
+    this.mergeView.takeBoth();
+  }
+
+  // called by "merge apply" command
+  // writes the merge result into the target file and ends the merge, the
+  // changes that merge without conflict are taken from their side
+  apply() {
+    if (this.targetPath == null) {
+      return;
+    }
+
+    // the chunks must match the texts, an outdated merge is computed again first
+    const texts = this._getTexts();
+    if (this.mergeTexts == null || ['base', 'ours', 'theirs'].some((role) => texts[role] !== this.mergeTexts[role])) {
+      this.isApplyPending = true;
+      this.updateMerge();
+      return;
+    }
+
+    const applyResult = () => {
+      const mergedText = applyMergeChunks(texts.base, texts.ours, texts.theirs, this.mergeView.getChunks());
+      atom.workspace.open(this.targetPath).then((editor) => {
+        editor.getBuffer().setTextViaDiff(mergedText);
+        this.destroy(true);
+      });
+    };
+
+    const numConflicts = this.mergeView.getNumConflicts();
+    if (numConflicts > 0) {
+      atom.confirm({
+        message: 'Apply the merge result?',
+        detail: `${numConflicts} conflict${numConflicts === 1 ? ' is' : 's are'} not resolved yet. Those regions keep the base version.`,
+        buttons: ['Apply', 'Cancel']
+      }, (response) => {
+        if (response === 0) {
+          applyResult();
+        }
+      });
+    } else {
+      applyResult();
+    }
+  }
+
+  /**
+   * Ends the merge.
+   *
+   * @param cleanUpEditors Whether the editors created for the merge are removed.
+   */
+  destroy(cleanUpEditors) {
+    if (this.isDestroyed) {
+      return;
+    }
+    this.isDestroyed = true;
+
+    this._cancelDiffRequests();
+    if (this.editorSubscriptions != null) {
+      this.editorSubscriptions.dispose();
+      this.editorSubscriptions = null;
+    }
+    if (this.syncScroll != null) {
+      this.syncScroll.dispose();
+      this.syncScroll = null;
+    }
+
+    this.getEditors().forEach((editor) => {
+      if (!editor.isDestroyed()) {
+        try {
+          atom.views.getView(editor).classList.remove('show-center-line');
+          if (this.originalSoftWraps.has(editor)) {
+            editor.setSoftWrapped(this.originalSoftWraps.get(editor));
+          }
+        } catch (e) { /* editor may be destroyed */ }
+      }
+    });
+    if (cleanUpEditors) {
+      this.createdEditors.forEach((role) => {
+        try {
+          if (!this.editors[role].isDestroyed()) {
+            this.mergeView.cleanUpEditor(role);
+          }
+        } catch (e) { /* editor may be destroyed */ }
+      });
+    }
+    this.mergeView.destroy();
+
+    this.footerView.destroy();
+
+    // auto hide tree view while diffing #82
+    if (this._getOption('hideDocks')) {
+      if (this.docksToReopen.left) {
+        atom.workspace.getLeftDock().show();
+      }
+      if (this.docksToReopen.right) {
+        atom.workspace.getRightDock().show();
+      }
+      if (this.docksToReopen.bottom) {
+        atom.workspace.getBottomDock().show();
+      }
+    }
+
+    this.emitter.emit('did-destroy');
+    this.emitter.dispose();
+  }
+
+  // ----------------------------------------------------------------------- //
+  // --------------------------- PRIVATE METHODS --------------------------- //
+  // ----------------------------------------------------------------------- //
+
+  // resumes after the background worker returns both diffs
+  _resumeUpdateMerge(oursDiff, theirsDiff, mergeTexts) {
+    this.mergeTexts = mergeTexts;
+    this.mergeView.clearMerge();
+    if (this.syncScroll != null) {
+      this.syncScroll.dispose();
+      this.syncScroll = null;
+    }
+
+    const mergeChunks = computeMergeChunks(oursDiff.chunks, theirsDiff.chunks, this.editors.ours.getBuffer().getLines(), this.editors.theirs.getBuffer().getLines());
+    this.mergeView.displayMerge(mergeChunks, this._getOption('diffWords'), this._getOption('ignoreWhitespace'));
+
+    this.footerView.setNumDifferences(this.mergeView.getNumChunks());
+    this.footerView.setNumConflicts(this.mergeView.getNumConflicts());
+
+    const scrollSyncType = this._getOption('scrollSyncType');
+    if (scrollSyncType === 'Vertical + Horizontal') {
+      this.syncScroll = new SyncScroll(this.getEditors(), true);
+      this.syncScroll.syncPositions();
+    } else if (scrollSyncType === 'Vertical') {
+      this.syncScroll = new SyncScroll(this.getEditors(), false);
+      this.syncScroll.syncPositions();
+    }
+
+    if (this.isApplyPending) {
+      this.isApplyPending = false;
+      this.apply();
+    }
+  }
+
+  _getTexts() {
+    return {
+      base: this.editors.base.getText(),
+      ours: this.editors.ours.getText(),
+      theirs: this.editors.theirs.getText()
+    };
+  }
+
+  _setupEditors() {
+    this.getEditors().forEach((editor) => {
+      // unfold all lines so merge chunks properly align
+      editor.unfoldAll();
+      if (this._getOption('turnOffSoftWrap') && editor.isSoftWrapped()) {
+        this.originalSoftWraps.set(editor, true);
+        editor.setSoftWrapped(false);
+      }
+    });
+  }
+
+  // sets up any editor listeners
+  _setupEditorSubscriptions() {
+    if (this.editorSubscriptions != null) {
+      this.editorSubscriptions.dispose();
+    }
+    this.editorSubscriptions = new CompositeDisposable();
+
+    const autoDiff = this._getOption('autoDiff');
+    this.getEditors().forEach((editor) => {
+      if (autoDiff) {
+        this.editorSubscriptions.add(editor.onDidStopChanging(() => {
+          this.updateMerge();
+        }));
+      }
+      this.editorSubscriptions.add(editor.onDidDestroy(() => {
+        this.destroy(true);
+      }));
+      this.editorSubscriptions.add(editor.onDidChangeCursorPosition((event) => {
+        this.mergeView.handleCursorChange(event.cursor, event.newBufferPosition);
+      }));
+    });
+
+    this.editorSubscriptions.add(atom.config.onDidChange('diff-view', (event) => {
+      // need to redo editor subscriptions because some settings affect the listeners themselves
+      this._setupEditorSubscriptions();
+
+      if (event.newValue.ignoreWhitespace !== event.oldValue.ignoreWhitespace) {
+        this.footerView.setIgnoreWhitespace(event.newValue.ignoreWhitespace);
+      }
+      if (event.newValue.autoDiff !== event.oldValue.autoDiff) {
+        this.footerView.setAutoDiff(event.newValue.autoDiff);
+      }
+
+      this.updateMerge();
+    }));
+  }
+
+  _cancelDiffRequests() {
+    this.diffRequests.forEach((diffRequest) => diffRequest.cancel());
+    this.diffRequests = [];
+  }
+
+  _isSyncScrollEnabled() {
+    const scrollSyncType = this._getOption('scrollSyncType');
+    return scrollSyncType === 'Vertical + Horizontal' || scrollSyncType === 'Vertical';
+  }
+
+  _getOption(name) {
+    return this.options[name] != null ? this.options[name] : atom.config.get(`diff-view.${name}`);
+  }
+};
@@ -0,0 +1,438 @@
+'use babel'
+
+import EditorDiffExtender from './editor-diff-extender';
+import ComputeWordDiff from './compute-word-diff';
+
+var {CompositeDisposable} = require('atom');
+
+module.exports = class MergeView {
+  /*
+   * @param editors Object with the ours (left), base (middle) and theirs (right)
+   *    editors. The base editor holds the merge result.
+   */
+  constructor(editors) {
+    this._oursExtender = new EditorDiffExtender(editors.ours);
+    this._baseExtender = new EditorDiffExtender(editors.base);
+    this._theirsExtender = new EditorDiffExtender(editors.theirs);
+    this._chunks = [];
+    this._isSelectionActive = false;
+    this._selectedChunkIndex = 0;
+    this._TAKE_HELP_MESSAGE = 'No merge chunk selected.';
+    // remembers the base regions that were already resolved with take left/right/both
+    this._resolvedMarkerLayer = editors.base.addMarkerLayer();
+    this._subscriptions = new CompositeDisposable();
+
+    [editors.ours, editors.base, editors.theirs].forEach((editor) => {
+      this._subscriptions.add(editor.onDidChangeSoftWrapped(() => {
+        requestAnimationFrame(() => {
+          this._syncViewZoneHeights();
+        });
+      }));
+    });
+  }
+
+  /**
+   * Adds highlighting to the editors to show the merge.
+   *
+   * @param mergeChunks The chunks computed by compute-merge.js.
+   * @param isWordDiffEnabled Whether differences between words per line should be highlighted.
+   * @param isWhitespaceIgnored Whether whitespace should be ignored.
+   */
+  displayMerge(mergeChunks, isWordDiffEnabled, isWhitespaceIgnored) {
+    this._chunks = mergeChunks || [];
+
+    for(var chunk of this._chunks) {
+      if(this._isResolved(chunk)) {
+        chunk.type = 'resolved';
+      }
+      var highlightType = 'merge-' + chunk.type;
+
+      this._baseExtender.highlightLines(chunk.baseLineStart, chunk.baseLineEnd, highlightType);
+      if(chunk.oursChanged) {
+        this._oursExtender.highlightLines(chunk.oursLineStart, chunk.oursLineEnd, highlightType);
+        if(isWordDiffEnabled) {
+          this._highlightWordsInRange(this._oursExtender, chunk.oursLineStart, chunk.oursLineEnd, chunk, highlightType, isWhitespaceIgnored);
+        }
+      }
+      if(chunk.theirsChanged) {
+        this._theirsExtender.highlightLines(chunk.theirsLineStart, chunk.theirsLineEnd, highlightType);
+        if(isWordDiffEnabled) {
+          this._highlightWordsInRange(this._theirsExtender, chunk.theirsLineStart, chunk.theirsLineEnd, chunk, highlightType, isWhitespaceIgnored);
+        }
+      }
+    }
+
+    if(this._isSelectionActive) {
+      this._selectChunk(this._selectedChunkIndex, false);
+    }
+
+    // Sync view zone heights for soft-wrap alignment
+    requestAnimationFrame(() => {
+      this._syncViewZoneHeights();
+    });
+  }
+
+  /**
+   * Clears the merge highlighting and offsets from the editors.
+   */
+  clearMerge() {
+    this._oursExtender.destroyMarkers();
+    this._baseExtender.destroyMarkers();
+    this._theirsExtender.destroyMarkers();
+  }
+
+  /**
+   * Called to move the current selection highlight to the next merge chunk.
+   * @param isSyncScrollEnabled Only autoscroll one editor if sync scroll is enabled or we will get in an infinite loop
+   * @return The index of the selected chunk or -1 if there is none.
+   */
+  nextChunk(isSyncScrollEnabled) {
+    if(this._isSelectionActive) {
+      this._selectedChunkIndex++;
+      if(this._selectedChunkIndex >= this.getNumChunks()) {
+        this._selectedChunkIndex = 0;
+      }
+    } else {
+      this._isSelectionActive = true;
+    }
+
+    if(!this._selectChunk(this._selectedChunkIndex, true, isSyncScrollEnabled)) {
+      return -1;
+    }
+    return this._selectedChunkIndex;
+  }
+
+  /**
+   * Called to move the current selection highlight to the previous merge chunk.
+   * @param isSyncScrollEnabled Only autoscroll one editor if sync scroll is enabled or we will get in an infinite loop
+   * @return The index of the selected chunk or -1 if there is none.
+   */
+  prevChunk(isSyncScrollEnabled) {
+    if(this._isSelectionActive) {
+      this._selectedChunkIndex--;
+      if(this._selectedChunkIndex < 0) {
+        this._selectedChunkIndex = this.getNumChunks() - 1;
+      }
+    } else {
+      this._isSelectionActive = true;
+    }
+
+    if(!this._selectChunk(this._selectedChunkIndex, true, isSyncScrollEnabled)) {
+      return -1;
+    }
+    return this._selectedChunkIndex;
+  }
+
+  /**
+   * Replaces the selected chunk of the base editor with the ours (left) version.
+   */
+  takeLeft() {
+    this._take((chunk) => this._getLinesText(this._oursExtender, chunk.oursLineStart, chunk.oursLineEnd));
+  }
+
+  /**
+   * Replaces the selected chunk of the base editor with the theirs (right) version.
+   */
+  takeRight() {
+    this._take((chunk) => this._getLinesText(this._theirsExtender, chunk.theirsLineStart, chunk.theirsLineEnd));
+  }
+
+  /**
+   * Replaces the selected chunk of the base editor with the ours version
+   * followed by the theirs version.
+   */
+  takeBoth() {
+    this._take((chunk) => {
+      var oursText = this._getLinesText(this._oursExtender, chunk.oursLineStart, chunk.oursLineEnd);
+      var theirsText = this._getLinesText(this._theirsExtender, chunk.theirsLineStart, chunk.theirsLineEnd);
+      if(oursText !== '' && !oursText.endsWith('\n')) {
+        oursText += '\n';
+      }
+      return oursText + theirsText;
+    });
+  }
+
+  /**
+   * Gets the number of merge chunks.
+   *
+   * @return int The number of merge chunks.
+   */
+  getNumChunks() {
+    return Array.isArray(this._chunks) ? this._chunks.length : 0;
+  }
+
+  /**
+   * Gets the displayed merge chunks, the chunks in regions resolved with take
+   * left/right/both have the 'resolved' type.
+   *
+   * @return The merge chunks.
+   */
+  getChunks() {
+    return this._chunks;
+  }
+
+  /**
+   * Gets the number of conflicting chunks that are not resolved yet.
+   *
+   * @return int The number of unresolved conflicts.
+   */
+  getNumConflicts() {
+    return this._chunks.filter((chunk) => chunk.type === 'conflict').length;
+  }
+
+  /**
+   * Handles when the cursor moves in one of the editors. Will highlight the
+   * chunk that has the cursor in it.
+   * @param cursor The cursor object from the event.
+   * @param newBufferPosition The new position of the cursor in the buffer.
+   */
+  handleCursorChange(cursor, newBufferPosition) {
+    var chunkIndex = this._getChunkIndexByLineNumber(cursor.editor, newBufferPosition.row);
+    if(chunkIndex >= 0) {
+      this._isSelectionActive = true;
+      this._selectedChunkIndex = chunkIndex;
+      this._selectChunk(chunkIndex, false);
+    }
+  }
+
+  /**
+   * Gets the editors being merged.
+   *
+   * @return An object with the ours, base and theirs editors.
+   */
+  getEditors() {
+    return {
+      ours: this._oursExtender.getEditor(),
+      base: this._baseExtender.getEditor(),
+      theirs: this._theirsExtender.getEditor()
+    };
+  }
+
+  /**
+   * Cleans up the editor with the given role, removing the editor or the pane
+   * if necessary.
+   *
+   * @param role One of 'ours', 'base' or 'theirs'.
+   */
+  cleanUpEditor(role) {
+    this._getExtenders()[role].cleanUp();
+  }
+
+  /**
+   * Destroys the editor diff extenders and cleans up subscriptions.
+   */
+  destroy() {
+    if (this._subscriptions) {
+      this._subscriptions.dispose();
+      this._subscriptions = null;
+    }
+    try {
+      this._resolvedMarkerLayer.destroy();
+    } catch (e) { /* editor may be destroyed */ }
+    this._oursExtender.destroy();
+    this._baseExtender.destroy();
+    this._theirsExtender.destroy();
+  }
+
+  // ----------------------------------------------------------------------- //
+  // --------------------------- PRIVATE METHODS --------------------------- //
+  // ----------------------------------------------------------------------- //
+
+  _getExtenders() {
+    return {
+      ours: this._oursExtender,
+      base: this._baseExtender,
+      theirs: this._theirsExtender
+    };
+  }
+
+  /**
+   * Replaces the base range of the selected chunk and remembers it as resolved.
+   *
+   * @param getText Function returning the replacement text for a chunk.
+   */
+  _take(getText) {
+    var chunk = this._isSelectionActive ? this._chunks[this._selectedChunkIndex] : null;
+    if(chunk == null) {
+      atom.notifications.addWarning('Diff View', {detail: this._TAKE_HELP_MESSAGE, dismissable: false, icon: 'diff'});
+      return;
+    }
+
+    var baseEditor = this._baseExtender.getEditor();
+    var text = getText(chunk);
+    var lastBufferRow = baseEditor.getLastBufferRow();
+
+    // insert new line if the chunk will be below the last line of the base editor
+    if(chunk.baseLineStart > lastBufferRow) {
+      baseEditor.setCursorBufferPosition([lastBufferRow, 0], {autoscroll: false});
+      baseEditor.insertNewline();
+    }
+
+    var range = baseEditor.setTextInBufferRange([[chunk.baseLineStart, 0], [chunk.baseLineEnd, 0]], text);
+    var resolvedEndRow = range.end.column > 0 ? range.end.row + 1 : range.end.row;
+    this._resolvedMarkerLayer.markBufferRange([[range.start.row, 0], [resolvedEndRow, 0]], {invalidate: 'never'});
+  }
+
+  /**
+   * Tests whether the base range of a chunk lies in a region that was resolved.
+   */
+  _isResolved(chunk) {
+    return this._resolvedMarkerLayer.getMarkers().some((marker) => {
+      var range = marker.getBufferRange();
+      return range.start.row <= chunk.baseLineStart && chunk.baseLineEnd <= range.end.row;
+    });
+  }
+
+  /**
+   * Gets the text of whole lines, including the line ending of the last one.
+   */
+  _getLinesText(extender, startLine, endLine) {
+    return extender.getEditor().getTextInBufferRange([[startLine, 0], [endLine, 0]]);
+  }
+
+  /**
+   * Selects and highlights the merge chunk in all editors according to the
+   * given index.
+   *
+   * @param index The index of the merge chunk to highlight.
+   * @param isNextOrPrev Whether we are moving to a direct sibling (if not, this is a click)
+   * @param isSyncScrollEnabled Only autoscroll one editor if sync scroll is enabled or we will get in an infinite loop
+   */
+  _selectChunk(index, isNextOrPrev, isSyncScrollEnabled) {
+    var chunk = this._chunks[index];
+    if(chunk == null) {
+      return false;
+    }
+
+    this._oursExtender.deselectAllLines();
+    this._baseExtender.deselectAllLines();
+    this._theirsExtender.deselectAllLines();
+
+    if(isNextOrPrev) {
+      // scroll the editors to position the chunk at 1/3 of screen height
+      this._oursExtender.getEditor().setCursorBufferPosition([chunk.oursLineStart, 0], {autoscroll: false});
+      this._theirsExtender.getEditor().setCursorBufferPosition([chunk.theirsLineStart, 0], {autoscroll: false});
+      this._baseExtender.getEditor().setCursorBufferPosition([chunk.baseLineStart, 0], {autoscroll: false});
+      this._baseExtender.scrollToBufferRowAtFraction(chunk.baseLineStart, 1/3);
+      if(!isSyncScrollEnabled) {
+        this._oursExtender.scrollToBufferRowAtFraction(chunk.oursLineStart, 1/3);
+        this._theirsExtender.scrollToBufferRowAtFraction(chunk.theirsLineStart, 1/3);
+      }
+    }
+
+    this._oursExtender.selectLines(chunk.oursLineStart, chunk.oursLineEnd);
+    this._baseExtender.selectLines(chunk.baseLineStart, chunk.baseLineEnd);
+    this._theirsExtender.selectLines(chunk.theirsLineStart, chunk.theirsLineEnd);
+
+    return true;
+  }
+
+  /**
+   * Gets the index of a chunk by the line number.
+   * @param editor The editor the line number belongs to.
+   * @param lineNumber The line number to use to check if it is in a chunk.
+   * @return The index of the chunk.
+   */
+  _getChunkIndexByLineNumber(editor, lineNumber) {
+    var side = 'base';
+    if(editor === this._oursExtender.getEditor()) {
+      side = 'ours';
+    } else if(editor === this._theirsExtender.getEditor()) {
+      side = 'theirs';
+    }
+
+    for(var i=0; i<this._chunks.length; i++) {
+      var chunk = this._chunks[i];
+      if(chunk[side + 'LineStart'] <= lineNumber && chunk[side + 'LineEnd'] > lineNumber) {
+        return i;
+      }
+    }
+    return -1;
+  }
+
+  /**
+   * Highlights the words of a changed side against the lines of the base,
+   * pairing lines by position.
+   */
+  _highlightWordsInRange(extender, startLine, endLine, chunk, highlightType, isWhitespaceIgnored) {
+    var baseEditor = this._baseExtender.getEditor();
+    var baseLineNumber = chunk.baseLineStart;
+
+    for(var lineNumber = startLine; lineNumber < endLine; lineNumber++) {
+      var lineText = extender.getEditor().lineTextForBufferRow(lineNumber);
+      if(baseLineNumber < chunk.baseLineEnd && lineText != '') {
+        var wordDiff = ComputeWordDiff.computeWordDiff(baseEditor.lineTextForBufferRow(baseLineNumber), lineText);
+        extender.setWordHighlights(lineNumber, wordDiff.addedWords, highlightType, isWhitespaceIgnored);
+      } else {
+        extender.setWordHighlights(lineNumber, [{changed: true, value: lineText}], highlightType, isWhitespaceIgnored);
+      }
+      baseLineNumber++;
+    }
+  }
+
+  /**
+   * Synchronizes view zone heights between the three editors so that
+   * corresponding lines and chunks line up, which lets SyncScroll copy the
+   * scroll position directly.
+   */
+  _syncViewZoneHeights() {
+    var sides = ['ours', 'base', 'theirs'];
+    var extenders = this._getExtenders();
+    // collect the padding per editor first, as several rules may pad the same line
+    var paddings = {ours: new Map(), base: new Map(), theirs: new Map()};
+    var addPadding = (side, lineNumber, heightInPixels) => {
+      var blockPosition = 'after';
+      if(lineNumber < 0) {
+        lineNumber = 0;
+        blockPosition = 'before';
+      }
+      var key = lineNumber + ':' + blockPosition;
+      var padding = paddings[side].get(key) || {lineNumber: lineNumber, blockPosition: blockPosition, heightInPixels: 0};
+      padding.heightInPixels += heightInPixels;
+      paddings[side].set(key, padding);
+    };
+
+    var syncUnchangedRegion = (starts, count) => {
+      for(var i = 0; i < count; i++) {
+        var heights = sides.map((side) => extenders[side].getWrappedLineHeight(starts[side] + i));
+        var maxHeight = Math.max.apply(null, heights);
+        sides.forEach((side, j) => {
+          if(heights[j] < maxHeight) {
+            addPadding(side, starts[side] + i, maxHeight - heights[j]);
+          }
+        });
+      }
+    };
+
+    sides.forEach((side) => extenders[side].clearDynamicViewZones());
+
+    var positions = {ours: 0, base: 0, theirs: 0};
+    for(var chunk of this._chunks) {
+      syncUnchangedRegion(positions, chunk.baseLineStart - positions.base);
+
+      var heights = sides.map((side) => extenders[side].getBufferRangeHeight(chunk[side + 'LineStart'], chunk[side + 'LineEnd']));
+      var maxHeight = Math.max.apply(null, heights);
+      sides.forEach((side, j) => {
+        if(heights[j] < maxHeight) {
+          var start = chunk[side + 'LineStart'];
+          var end = chunk[side + 'LineEnd'];
+          // after the last line of the chunk, or before its position for empty chunks
+          addPadding(side, end > start ? end - 1 : start - 1, maxHeight - heights[j]);
+        }
+      });
+
+      sides.forEach((side) => {
+        positions[side] = chunk[side + 'LineEnd'];
+      });
+    }
+
+    var remaining = Math.min.apply(null, sides.map((side) => extenders[side].getEditor().getLastBufferRow() + 1 - positions[side]));
+    syncUnchangedRegion(positions, remaining);
+
+    sides.forEach((side) => {
+      paddings[side].forEach((padding) => {
+        extenders[side].setViewZoneHeight(padding.lineNumber, padding.heightInPixels, padding.blockPosition);
+      });
+    });
+  }
+};
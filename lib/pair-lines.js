@@ -0,0 +1,104 @@
+'use strict';
+
+// lines less similar than this are not word diffed against each other, they
+// are shown as wholly added and removed
+const MIN_SIMILARITY = 0.5;
+// above this many character comparisons the lines are paired by position, so
+// large chunks of long lines don't stall the highlighting
+const MAX_COMPARISONS = 4000000;
+// above this many pairs of lines they are paired by position too, the pairs
+// are scored in tables of this size whatever the length of the lines
+const MAX_LINE_PAIRS = 250000;
+
+/**
+ * Pairs the old and new lines of a chunk by similarity, so the lines inserted
+ * or removed within the chunk don't shift the word diff of the lines after
+ * them. The pairs keep the order of the lines and have the greatest total
+ * similarity, the similarity being the edit distance of the lines without
+ * their indentation relative to the longer one.
+ *
+ * @param oldLines The texts of the old lines.
+ * @param newLines The texts of the new lines.
+ * @return The pairs, with the oldIndex and newIndex of their lines in order.
+ *    The lines left out have no similar line.
+ */
+function pairLines(oldLines, newLines) {
+  const oldKeys = oldLines.map((line) => line.trim());
+  const newKeys = newLines.map((line) => line.trim());
+  const oldLength = oldKeys.reduce((length, key) => length + key.length, 0);
+  const newLength = newKeys.reduce((length, key) => length + key.length, 0);
+  if (oldLength * newLength > MAX_COMPARISONS || oldLines.length * newLines.length > MAX_LINE_PAIRS) {
+    const pairs = [];
+    for (let index = 0; index < oldLines.length && index < newLines.length; index++) {
+      pairs.push({ oldIndex: index, newIndex: index });
+    }
+    return pairs;
+  }
+
+  // scores[i][j] is the best total similarity of the first i old lines and
+  // the first j new lines
+  const scores = [];
+  const similarities = [];
+  for (let i = 0; i <= oldKeys.length; i++) {
+    scores.push(new Float64Array(newKeys.length + 1));
+    similarities.push(new Float64Array(newKeys.length + 1));
+  }
+  for (let i = 1; i <= oldKeys.length; i++) {
+    for (let j = 1; j <= newKeys.length; j++) {
+      const similarity = getSimilarity(oldKeys[i - 1], newKeys[j - 1]);
+      similarities[i][j] = similarity;
+      let score = Math.max(scores[i - 1][j], scores[i][j - 1]);
+      if (similarity >= MIN_SIMILARITY) {
+        score = Math.max(score, scores[i - 1][j - 1] + similarity);
+      }
+      scores[i][j] = score;
+    }
+  }
+
+  const pairs = [];
+  let i = oldKeys.length;
+  let j = newKeys.length;
+  while (i > 0 && j > 0) {
+    if (similarities[i][j] >= MIN_SIMILARITY && scores[i][j] === scores[i - 1][j - 1] + similarities[i][j]) {
+      pairs.push({ oldIndex: i - 1, newIndex: j - 1 });
+      i--;
+      j--;
+    } else if (scores[i][j] === scores[i - 1][j]) {
+      i--;
+    } else {
+      j--;
+    }
+  }
+  return pairs.reverse();
+}
+
+// the similarity of two lines, from 0 for nothing in common to 1 for equal lines
+function getSimilarity(oldKey, newKey) {
+  if (oldKey === newKey) {
+    return 1;
+  }
+  const maxLength = Math.max(oldKey.length, newKey.length);
+  return 1 - getEditDistance(oldKey, newKey) / maxLength;
+}
+
+// the Levenshtein distance, keeping a single row of the table
+function getEditDistance(a, b) {
+  const row = new Uint32Array(b.length + 1);
+  for (let j = 0; j <= b.length; j++) {
+    row[j] = j;
+  }
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = row[j];
+      row[j] = a.charCodeAt(i - 1) === b.charCodeAt(j - 1) ? diagonal : Math.min(diagonal, above, row[j - 1]) + 1;
+      diagonal = above;
+    }
+  }
+  return row[b.length];
+}
+
+module.exports = {
+  pairLines
+};
@@ -0,0 +1,87 @@
+'use strict';
+
+const SelectListView = require('atom-select-list');
+
+/**
+ * A modal list to pick one of several items, such as git refs or the files of
+ * a patch.
+ */
+module.exports = class PickerView {
+  /*
+   * @param items Array of objects with a `label` and an optional `detail` line.
+   *    An optional `type` is shown as a badge in front of the label.
+   * @param emptyMessage The message shown when there are no items.
+   * @param infoMessage Optional message shown above the items.
+   */
+  constructor(items, emptyMessage, infoMessage) {
+    this._resolve = null;
+    this.selectListView = new SelectListView({
+      items: items,
+      emptyMessage: emptyMessage,
+      infoMessage: infoMessage,
+      filterKeyForItem: (item) => `${item.label} ${item.detail || ''}`,
+      elementForItem: (item) => this._elementForItem(item),
+      didConfirmSelection: (item) => this._finish(item),
+      didCancelSelection: () => this._finish(null)
+    });
+    this.selectListView.element.classList.add('diff-view-picker');
+  }
+
+  /**
+   * Shows the list and waits for a choice.
+   *
+   * @return A promise that resolves with the picked item, or null if the pick
+   *    was cancelled.
+   */
+  pick() {
+    this.previouslyFocusedElement = document.activeElement;
+    this.panel = atom.workspace.addModalPanel({ item: this.selectListView });
+    this.selectListView.focus();
+    return new Promise((resolve) => {
+      this._resolve = resolve;
+    });
+  }
+
+  _finish(item) {
+    // losing focus while closing cancels the selection a second time
+    if (this._resolve == null) {
+      return;
+    }
+    const resolve = this._resolve;
+    this._resolve = null;
+
+    if (this.panel != null) {
+      this.panel.destroy();
+      this.panel = null;
+    }
+    this.selectListView.destroy();
+    if (this.previouslyFocusedElement != null) {
+      this.previouslyFocusedElement.focus();
+      this.previouslyFocusedElement = null;
+    }
+    resolve(item);
+  }
+
+  _elementForItem(item) {
+    const li = document.createElement('li');
+    li.classList.add('two-lines');
+
+    const primaryLine = document.createElement('div');
+    primaryLine.classList.add('primary-line');
+    if (item.type) {
+      const badge = document.createElement('span');
+      badge.classList.add('badge', 'badge-small', 'diff-view-picker-type');
+      badge.textContent = item.type;
+      primaryLine.appendChild(badge);
+    }
+    primaryLine.appendChild(document.createTextNode(item.label));
+    li.appendChild(primaryLine);
+
+    const secondaryLine = document.createElement('div');
+    secondaryLine.classList.add('secondary-line');
+    secondaryLine.textContent = item.detail || '';
+    li.appendChild(secondaryLine);
+
+    return li;
+  }
+};
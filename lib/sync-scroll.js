@@ -3,24 +3,24 @@
 var {CompositeDisposable} = require('atom');
 
 /**
- * Synchronizes scrolling between two editors with soft-wrap and view zone support.
- * Uses direct scrollTop positioning since view zones ensure both editors have
+ * Synchronizes scrolling between editors with soft-wrap and view zone support.
+ * Uses direct scrollTop positioning since view zones ensure all editors have
  * equal total content heights.
  */
 class SyncScroll {
 
-  constructor(editor1, editor2, syncHorizontalScroll) {
+  /*
+   * @param editors Array of editors to keep in sync (two for a diff, three for a merge).
+   * @param syncHorizontalScroll Whether horizontal scrolling is synced as well.
+   */
+  constructor(editors, syncHorizontalScroll) {
     this._syncHorizontalScroll = syncHorizontalScroll;
     this._subscriptions = new CompositeDisposable();
-    this._syncInfo = [{
-      editor: editor1,
-      editorView: atom.views.getView(editor1),
-      scrolling: false,
-    }, {
-      editor: editor2,
-      editorView: atom.views.getView(editor2),
+    this._syncInfo = editors.map((editor) => ({
+      editor: editor,
+      editorView: atom.views.getView(editor),
       scrolling: false,
-    }];
+    }));
 
     this._syncInfo.forEach((editorInfo, i) => {
       // Note that 'onDidChangeScrollTop' isn't technically in the public API.
@@ -36,25 +36,26 @@ class SyncScroll {
 
   /**
    * Handles vertical scroll synchronization using direct scrollTop positioning.
-   * Since view zones ensure both editors have equal total content heights,
+   * Since view zones ensure all editors have equal total content heights,
    * we simply copy the scrollTop value directly.
    */
   _scrollPositionChanged(changeScrollIndex) {
     var thisInfo = this._syncInfo[changeScrollIndex];
-    var otherInfo = this._syncInfo[1 - changeScrollIndex];
 
     if (thisInfo.scrolling) {
       return;
     }
 
-    otherInfo.scrolling = true;
-    try {
-      var scrollTop = thisInfo.editorView.getScrollTop();
-      otherInfo.editorView.setScrollTop(scrollTop);
-    } catch (e) {
-      // Ignore errors
-    }
-    otherInfo.scrolling = false;
+    var scrollTop = thisInfo.editorView.getScrollTop();
+    this._getOtherInfos(changeScrollIndex).forEach((otherInfo) => {
+      otherInfo.scrolling = true;
+      try {
+        otherInfo.editorView.setScrollTop(scrollTop);
+      } catch (e) {
+        // Ignore errors
+      }
+      otherInfo.scrolling = false;
+    });
   }
 
   /**
@@ -63,19 +64,28 @@ class SyncScroll {
    */
   _horizontalScrollChanged(changeScrollIndex) {
     var thisInfo = this._syncInfo[changeScrollIndex];
-    var otherInfo = this._syncInfo[1 - changeScrollIndex];
 
     if (thisInfo.scrolling) {
       return;
     }
 
-    otherInfo.scrolling = true;
-    try {
-      otherInfo.editorView.setScrollLeft(thisInfo.editorView.getScrollLeft());
-    } catch (e) {
-      // Ignore errors
-    }
-    otherInfo.scrolling = false;
+    var scrollLeft = thisInfo.editorView.getScrollLeft();
+    this._getOtherInfos(changeScrollIndex).forEach((otherInfo) => {
+      otherInfo.scrolling = true;
+      try {
+        otherInfo.editorView.setScrollLeft(scrollLeft);
+      } catch (e) {
+        // Ignore errors
+      }
+      otherInfo.scrolling = false;
+    });
+  }
+
+  /**
+   * Gets the sync info of every editor except the one at the given index.
+   */
+  _getOtherInfos(index) {
+    return this._syncInfo.filter((editorInfo, i) => i !== index);
   }
 
   dispose() {
@@ -0,0 +1,119 @@
+'use strict';
+
+/**
+ * Gets the leaf nodes of the Tree-sitter tree of the editor, the tokens
+ * compute-syntax-diff.js aligns. Each token has its text, its node type,
+ * whether it is an identifier and its startRow, startColumn, endRow and
+ * endColumn.
+ *
+ * @param editor The editor to get the tokens of.
+ * @return The tokens in the order of the text, or null if the editor has no
+ *    Tree-sitter tree, like with a TextMate grammar or while it is parsed.
+ */
+function getSyntaxTokens(editor) {
+  const tree = getTree(editor);
+  if (tree == null) {
+    return null;
+  }
+
+  const tokens = [];
+  const cursor = tree.walk();
+  let isDone = false;
+  while (!isDone) {
+    if (cursor.gotoFirstChild()) {
+      continue;
+    }
+    const text = cursor.nodeText;
+    if (text.trim() !== '') {
+      tokens.push({
+        text: text,
+        type: cursor.nodeType,
+        isIdentifier: /identifier/.test(cursor.nodeType),
+        startRow: cursor.startPosition.row,
+        startColumn: cursor.startPosition.column,
+        endRow: cursor.endPosition.row,
+        endColumn: cursor.endPosition.column
+      });
+    }
+    // the next leaf is in the next sibling of the node or of its parents
+    while (!cursor.gotoNextSibling()) {
+      if (!cursor.gotoParent()) {
+        isDone = true;
+        break;
+      }
+    }
+  }
+  if (typeof cursor.delete === 'function') {
+    cursor.delete();
+  }
+  return tokens;
+}
+
+/**
+ * Gets the texts of the tokens of a line from the leaf nodes of the Tree-sitter
+ * tree of the editor. The text between the nodes and the parts of nodes
+ * spanning several lines are tokens of their own, so the tokens add up to the
+ * line.
+ *
+ * @param editor The editor to get the tokens of.
+ * @param row The row of the line.
+ * @return The texts of the tokens, or null if the editor has no Tree-sitter tree.
+ */
+function getLineSyntaxTokens(editor, row) {
+  const tree = getTree(editor);
+  if (tree == null) {
+    return null;
+  }
+
+  const lineText = editor.lineTextForBufferRow(row);
+  const tokens = [];
+  let column = 0;
+  const cursor = tree.walk();
+  let isDone = false;
+  while (!isDone) {
+    if (cursor.startPosition.row > row) {
+      break;
+    }
+    // only the nodes reaching the line are descended into
+    if (cursor.endPosition.row >= row) {
+      if (cursor.gotoFirstChild()) {
+        continue;
+      }
+      const startColumn = cursor.startPosition.row < row ? 0 : cursor.startPosition.column;
+      const endColumn = cursor.endPosition.row > row ? lineText.length : cursor.endPosition.column;
+      if (startColumn > column) {
+        tokens.push(lineText.slice(column, startColumn));
+      }
+      if (endColumn > Math.max(startColumn, column)) {
+        tokens.push(lineText.slice(Math.max(startColumn, column), endColumn));
+        column = endColumn;
+      }
+    }
+    while (!cursor.gotoNextSibling()) {
+      if (!cursor.gotoParent()) {
+        isDone = true;
+        break;
+      }
+    }
+  }
+  if (typeof cursor.delete === 'function') {
+    cursor.delete();
+  }
+  if (column < lineText.length) {
+    tokens.push(lineText.slice(column));
+  }
+  return tokens;
+}
+
+// the tree of the root language of a Tree-sitter language mode, the modern
+// one keeps it in its root layer
+function getTree(editor) {
+  const languageMode = editor.getBuffer().getLanguageMode();
+  const tree = (languageMode.rootLanguageLayer && languageMode.rootLanguageLayer.tree) || languageMode.tree;
+  return tree != null && typeof tree.walk === 'function' ? tree : null;
+}
+
+module.exports = {
+  getSyntaxTokens,
+  getLineSyntaxTokens
+};
@@ -0,0 +1,205 @@
+'use strict';
+
+const JsDiff = require('diff');
+
+/**
+ * Creates a unified diff of two texts, as used by `git apply` and `patch`.
+ *
+ * @param oldText The text before the change.
+ * @param newText The text after the change.
+ * @param oldPath The path shown in the `---` header.
+ * @param newPath The path shown in the `+++` header.
+ * @param contextLines The number of unchanged lines shown around each change.
+ * @return The patch text, or an empty string if the texts are the same.
+ */
+function createUnifiedPatch(oldText, newText, oldPath, newPath, contextLines = 3) {
+  if (oldText === newText) {
+    return '';
+  }
+  const patch = JsDiff.createTwoFilesPatch(oldPath, newPath, oldText, newText, undefined, undefined, { context: contextLines });
+  // drop the separator line jsdiff puts above the headers
+  return patch.replace(/^=+\n/, '');
+}
+
+/**
+ * Parses a unified diff, such as the output of `git diff`, into its files.
+ * Files without hunks, like pure renames, are left out.
+ *
+ * @param text The text of the patch.
+ * @return An array of file patches with the oldPath and newPath of the file
+ *    (null for /dev/null), its status ('added', 'deleted', 'renamed' or
+ *    'modified'), its numbers of addedLines and removedLines and the parsed
+ *    jsdiff patch.
+ */
+function parseUnifiedPatch(text) {
+  const toPath = (fileName) => {
+    if (fileName == null || fileName === '/dev/null') {
+      return null;
+    }
+    // git prefixes the paths with a/ and b/
+    return fileName.replace(/^[ab]\//, '');
+  };
+
+  return JsDiff.parsePatch(text).filter((patch) => patch.hunks.length > 0).map((patch) => {
+    const oldPath = toPath(patch.oldFileName);
+    const newPath = toPath(patch.newFileName);
+    let status = 'modified';
+    if (oldPath == null) {
+      status = 'added';
+    } else if (newPath == null) {
+      status = 'deleted';
+    } else if (oldPath !== newPath) {
+      status = 'renamed';
+    }
+
+    let addedLines = 0;
+    let removedLines = 0;
+    patch.hunks.forEach((hunk) => {
+      hunk.lines.forEach((line) => {
+        if (line.startsWith('+')) {
+          addedLines++;
+        } else if (line.startsWith('-')) {
+          removedLines++;
+        }
+      });
+    });
+
+    return { oldPath, newPath, status, addedLines, removedLines, patch };
+  });
+}
+
+/**
+ * Reconstructs the text of a file before and after a file patch. The current
+ * text of the file is used when the patch applies to it, or when it already
+ * holds the patched text. Otherwise the texts are made from the hunks alone,
+ * with a gap line standing in for the lines between them.
+ *
+ * @param filePatch A file patch returned by parseUnifiedPatch.
+ * @param currentText The current text of the file, or null if it doesn't exist.
+ * @return An object with the oldText, the newText and the source they were
+ *    reconstructed from: 'before' or 'after' when the current text is the old
+ *    or new text, 'hunks' otherwise.
+ */
+function reconstructTexts(filePatch, currentText) {
+  const patch = filePatch.patch;
+
+  if (filePatch.status === 'added') {
+    return { oldText: '', newText: JsDiff.applyPatch('', patch) || hunksToText(patch, '+'), source: 'before' };
+  }
+
+  if (currentText != null) {
+    const newText = JsDiff.applyPatch(currentText, patch);
+    if (newText !== false) {
+      return { oldText: currentText, newText: newText, source: 'before' };
+    }
+    const oldText = JsDiff.applyPatch(currentText, JsDiff.reversePatch(patch));
+    if (oldText !== false) {
+      return { oldText: oldText, newText: currentText, source: 'after' };
+    }
+  }
+
+  return {
+    oldText: hunksToText(patch, '-'),
+    newText: filePatch.status === 'deleted' ? '' : hunksToText(patch, '+'),
+    source: 'hunks'
+  };
+}
+
+// the text of the hunks on one side ('-' for old, '+' for new) of a patch
+function hunksToText(patch, side) {
+  const GAP_LINE = '⋯';
+  const lines = [];
+  let nextLine = 1;
+  patch.hunks.forEach((hunk) => {
+    const start = side === '-' ? hunk.oldStart : hunk.newStart;
+    if (start > nextLine) {
+      lines.push(GAP_LINE);
+    }
+    hunk.lines.forEach((line) => {
+      if (line.startsWith(' ') || line.startsWith(side)) {
+        lines.push(line.slice(1));
+      }
+    });
+    nextLine = start + (side === '-' ? hunk.oldLines : hunk.newLines);
+  });
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Applies the hunks of a file patch to a text one at a time. A hunk whose
+ * context doesn't match is retried with fuzzy matching, which ignores
+ * whitespace in the context lines and allows a few of them to differ.
+ *
+ * @param text The text to patch.
+ * @param filePatch A file patch returned by parseUnifiedPatch.
+ * @return An object with the patched text and the result of each hunk: the
+ *    hunk, its status ('clean', 'fuzzy' or 'failed') and the lines it changed
+ *    in the patched text, from lineStart to lineEnd (exclusive), or null if it
+ *    failed.
+ */
+function applyHunks(text, filePatch) {
+  const MAX_FUZZY_CONTEXT_LINES = 2;
+  const compareLineFuzzy = (lineNumber, line, operation, patchContent) => {
+    // the search for the hunk runs past the end of the text
+    if (line == null) {
+      return false;
+    }
+    return operation === ' ' ? line.trim() === patchContent.trim() : line === patchContent;
+  };
+
+  let patchedText = text;
+  const results = [];
+  filePatch.patch.hunks.forEach((hunk) => {
+    const hunkPatch = Object.assign({}, filePatch.patch, { hunks: [hunk] });
+    let status = 'clean';
+    let newText = JsDiff.applyPatch(patchedText, hunkPatch);
+    if (newText === false) {
+      status = 'fuzzy';
+      newText = JsDiff.applyPatch(patchedText, hunkPatch, { fuzzFactor: MAX_FUZZY_CONTEXT_LINES, compareLine: compareLineFuzzy });
+    }
+    if (newText === false) {
+      results.push({ hunk, status: 'failed', lineStart: null, lineEnd: null });
+      return;
+    }
+
+    const range = getChangedLineRange(patchedText, newText);
+    // hunks already applied below this one move with the added or removed lines
+    const lineDelta = (newText.match(/\n/g) || []).length - (patchedText.match(/\n/g) || []).length;
+    results.forEach((result) => {
+      if (result.lineStart != null && result.lineStart >= range.lineStart) {
+        result.lineStart += lineDelta;
+        result.lineEnd += lineDelta;
+      }
+    });
+    patchedText = newText;
+    results.push({ hunk, status, lineStart: range.lineStart, lineEnd: range.lineEnd });
+  });
+
+  return { text: patchedText, hunks: results };
+}
+
+// the range of lines of the new text that differ from the old text
+function getChangedLineRange(oldText, newText) {
+  let line = 0;
+  let lineStart = null;
+  let lineEnd = null;
+  JsDiff.diffLines(oldText, newText).forEach((part) => {
+    if (part.added || part.removed) {
+      if (lineStart == null) {
+        lineStart = line;
+      }
+      lineEnd = part.added ? line + part.count : Math.max(line, lineEnd);
+    }
+    if (!part.removed) {
+      line += part.count;
+    }
+  });
+  return { lineStart: lineStart != null ? lineStart : 0, lineEnd: lineEnd != null ? lineEnd : 0 };
+}
+
+module.exports = {
+  createUnifiedPatch,
+  parseUnifiedPatch,
+  reconstructTexts,
+  applyHunks
+};
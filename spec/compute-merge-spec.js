@@ -0,0 +1,61 @@
+'use strict';
+
+const { computeMergeChunks, applyMergeChunks } = require('../lib/compute-merge');
+const { computeDiff } = require('../lib/compute-diff');
+
+function merge(baseText, oursText, theirsText) {
+  return computeMergeChunks(computeDiff(baseText, oursText).chunks, computeDiff(baseText, theirsText).chunks, oursText.split('\n'), theirsText.split('\n'));
+}
+
+describe('computeMergeChunks', () => {
+  const baseText = 'a\nb\nc\nd\ne\nf\ng\n';
+
+  it('classifies the regions changed by one side', () => {
+    const mergeChunks = merge(baseText, 'a\nB\nc\nd\ne\nf\ng\n', 'a\nb\nc\nd\ne\nF\ng\n');
+    expect(mergeChunks.map((mergeChunk) => mergeChunk.type)).toEqual(['ours', 'theirs']);
+    expect(mergeChunks[0]).toEqual(jasmine.objectContaining({ baseLineStart: 1, baseLineEnd: 2, oursChanged: true, theirsChanged: false }));
+    expect(mergeChunks[1]).toEqual(jasmine.objectContaining({ baseLineStart: 5, baseLineEnd: 6, oursChanged: false, theirsChanged: true }));
+  });
+
+  it('classifies the identical and the different changes of both sides', () => {
+    const mergeChunks = merge(baseText, 'a\nB\nc\nd\ne\nF\ng\n', 'a\nB\nc\nd\ne\nX\ng\n');
+    expect(mergeChunks.map((mergeChunk) => mergeChunk.type)).toEqual(['same', 'conflict']);
+  });
+
+  it('shifts the side ranges by the lines added before them', () => {
+    const mergeChunks = merge(baseText, 'a\nA1\nA2\nb\nc\nd\ne\nf\ng\n', 'a\nb\nc\nd\ne\nF\ng\n');
+    expect(mergeChunks[1]).toEqual(jasmine.objectContaining({ baseLineStart: 5, oursLineStart: 7, oursLineEnd: 8, theirsLineStart: 5, theirsLineEnd: 6 }));
+  });
+});
+
+describe('applyMergeChunks', () => {
+  const baseText = 'a\nb\nc\nd\ne\nf\ng\n';
+
+  it('takes the changes of one side and the identical changes of both sides', () => {
+    const oursText = 'a\nB\nc\nd\nE\nf\ng\n';
+    const theirsText = 'a\nb\nc\nd\nE\nf\nG\nh\n';
+    const mergeChunks = merge(baseText, oursText, theirsText);
+    expect(applyMergeChunks(baseText, oursText, theirsText, mergeChunks)).toBe('a\nB\nc\nd\nE\nf\nG\nh\n');
+  });
+
+  it('keeps the base text of conflicts and resolved regions', () => {
+    const oursText = 'a\nB\nc\nd\ne\nF\ng\n';
+    const theirsText = 'a\nX\nc\nd\ne\nf\ng\n';
+    const mergeChunks = merge(baseText, oursText, theirsText);
+    mergeChunks[1].type = 'resolved';
+    expect(applyMergeChunks(baseText, oursText, theirsText, mergeChunks)).toBe(baseText);
+  });
+
+  it('keeps the line endings of the side a line is taken from', () => {
+    const oursText = 'a\r\nB\r\nc\nd\ne\nf\ng\n';
+    const mergeChunks = merge(baseText, oursText, baseText);
+    expect(applyMergeChunks(baseText, oursText, baseText, mergeChunks)).toBe('a\r\nB\r\nc\nd\ne\nf\ng\n');
+  });
+
+  it('takes the lines one side removed or added at the end', () => {
+    const oursText = 'a\nb\nc\nd\ne\nf\n';
+    const theirsText = 'a\nb\nc\nd\ne\nf\ng\nh';
+    expect(applyMergeChunks(baseText, oursText, baseText, merge(baseText, oursText, baseText))).toBe(oursText);
+    expect(applyMergeChunks(baseText, baseText, theirsText, merge(baseText, baseText, theirsText))).toBe(theirsText);
+  });
+});
@@ -0,0 +1,69 @@
+'use strict';
+
+const { computeSyntaxDiff } = require('../lib/compute-syntax-diff');
+
+// the tokens of a text in the format of syntax-tokens.js, words and single
+// punctuation characters standing in for the leaf nodes of a syntax tree
+function tokenize(text) {
+  const tokens = [];
+  text.split('\n').forEach((line, row) => {
+    const regExp = /\w+|[^\s\w]/g;
+    let match;
+    while ((match = regExp.exec(line)) != null) {
+      tokens.push({
+        text: match[0],
+        type: /^[a-z_]/i.test(match[0]) ? 'identifier' : match[0],
+        isIdentifier: /^[a-z_]/i.test(match[0]),
+        startRow: row,
+        startColumn: match.index,
+        endRow: row,
+        endColumn: match.index + match[0].length
+      });
+    }
+  });
+  return tokens;
+}
+
+function diffTexts(oldText, newText, ignoreRules, limits) {
+  return computeSyntaxDiff(oldText, newText, tokenize(oldText), tokenize(newText), ignoreRules, limits);
+}
+
+describe('computeSyntaxDiff', () => {
+  it('marks the lines whose tokens were only laid out differently as format only', () => {
+    const diff = diffTexts('a();\nf(x, y);\nb();\n', 'a();\nf(x,\n  y);\nb();\n');
+    expect(diff.algorithm).toBe('syntax');
+    expect(diff.chunks.length).toBe(1);
+    expect(diff.chunks[0]).toEqual(jasmine.objectContaining({ oldLineStart: 1, oldLineEnd: 2, newLineStart: 1, newLineEnd: 3, isFormatOnly: true }));
+  });
+
+  it('does not mark the changed tokens as format only', () => {
+    const diff = diffTexts('a();\nf(x, y);\nb();\n', 'a();\nf(x, z);\nb();\n');
+    expect(diff.chunks.length).toBe(1);
+    expect(diff.chunks[0].isFormatOnly).toBeUndefined();
+  });
+
+  it('ignores the spacing between the tokens with the whitespace rule', () => {
+    expect(diffTexts('f(x, y);\n', 'f( x,y );\n', { whitespace: true }).chunks).toEqual([]);
+    expect(diffTexts('f(x, y);\n', 'f( x,y );\n', {}).chunks.length).toBe(1);
+  });
+
+  it('lists the identifiers renamed throughout the text as renames', () => {
+    const diff = diffTexts('let foo = 1;\nfoo++;\n', 'let bar = 1;\nbar++;\n');
+    expect(diff.chunks).toEqual([]);
+    expect(diff.renames).toEqual([{ from: 'foo', to: 'bar', count: 2 }]);
+    expect(diff.renamedTokens.newTokens).toEqual([{ row: 0, startColumn: 4, endColumn: 7 }, { row: 1, startColumn: 0, endColumn: 3 }]);
+  });
+
+  it('does not take an identifier renamed once or differently as a rename', () => {
+    expect(diffTexts('let foo = 1;\n', 'let bar = 1;\n').renames).toEqual([]);
+    const diff = diffTexts('let foo = 1;\nfoo++;\n', 'let bar = 1;\nbaz++;\n');
+    expect(diff.renames).toEqual([]);
+    expect(diff.chunks.length).toBe(1);
+  });
+
+  it('falls back to the lines above the size limit', () => {
+    const diff = diffTexts('a();\n', 'b();\n', {}, { maxSize: 4, fallback: 'line-hash' });
+    expect(diff.algorithm).toBe('line-hash');
+    expect(diff.exceededLimit).toBe('size');
+  });
+});
@@ -0,0 +1,41 @@
+'use strict';
+
+const { parseConflicts } = require('../lib/conflict-parser');
+
+describe('parseConflicts', () => {
+  it('splits the conflicts into the ours and theirs versions', () => {
+    const text = 'a\n<<<<<<< HEAD\nours\n=======\ntheirs\n>>>>>>> branch\nb\n';
+    expect(parseConflicts(text)).toEqual({ oursText: 'a\nours\nb\n', theirsText: 'a\ntheirs\nb\n', numConflicts: 1 });
+  });
+
+  it('drops the base section of diff3 style conflicts', () => {
+    const text = '<<<<<<< HEAD\nours\n||||||| merged common ancestors\nbase\n=======\ntheirs\n>>>>>>> branch\n';
+    expect(parseConflicts(text)).toEqual({ oursText: 'ours\n', theirsText: 'theirs\n', numConflicts: 1 });
+  });
+
+  it('counts the conflicts and keeps the empty sides', () => {
+    const text = '<<<<<<<\n=======\nadded\n>>>>>>>\nb\n<<<<<<<\nremoved\n=======\n>>>>>>>\n';
+    expect(parseConflicts(text)).toEqual({ oursText: 'b\nremoved\n', theirsText: 'added\nb\n', numConflicts: 2 });
+  });
+
+  it('keeps the line endings of the lines', () => {
+    const text = 'a\r\n<<<<<<< HEAD\r\nours\r\n=======\r\ntheirs\r\n>>>>>>> branch\r\nb';
+    expect(parseConflicts(text)).toEqual({ oursText: 'a\r\nours\r\nb', theirsText: 'a\r\ntheirs\r\nb', numConflicts: 1 });
+  });
+
+  it('takes a text without conflicts as both versions', () => {
+    expect(parseConflicts('a\n<<<<<< not a marker\n')).toEqual({ oursText: 'a\n<<<<<< not a marker\n', theirsText: 'a\n<<<<<< not a marker\n', numConflicts: 0 });
+  });
+
+  it('returns null for a conflict that never ends', () => {
+    expect(parseConflicts('<<<<<<< HEAD\nours\n=======\ntheirs\n')).toBe(null);
+    expect(parseConflicts('<<<<<<< HEAD\nours\n')).toBe(null);
+  });
+
+  it('returns null for markers out of order', () => {
+    expect(parseConflicts('<<<<<<< HEAD\nours\n>>>>>>> branch\n')).toBe(null);
+    expect(parseConflicts('<<<<<<< HEAD\n<<<<<<< HEAD\n=======\n>>>>>>> branch\n')).toBe(null);
+    expect(parseConflicts('<<<<<<< HEAD\n||||||| base\n>>>>>>> branch\n')).toBe(null);
+    expect(parseConflicts('<<<<<<< HEAD\n=======\n=======\n>>>>>>> branch\n')).toBe(null);
+  });
+});
@@ -0,0 +1,57 @@
+'use strict';
+
+const { detectMoves } = require('../lib/detect-moves');
+
+// the moves from a chunk removing the old lines to a chunk adding the new lines
+function detectMovesBetween(removedLines, addedLines) {
+  const chunks = [
+    { oldLineStart: 0, oldLineEnd: removedLines.length, newLineStart: 0, newLineEnd: 0 },
+    { oldLineStart: removedLines.length, oldLineEnd: removedLines.length, newLineStart: 0, newLineEnd: addedLines.length }
+  ];
+  return detectMoves(chunks, (row) => removedLines[row], (row) => addedLines[row]);
+}
+
+describe('detectMoves', () => {
+  it('finds a block removed in one chunk and added in another one', () => {
+    const moves = detectMovesBetween(['a', 'b', 'c'], ['x', 'a', 'b', 'c']);
+    expect(moves).toEqual([{ oldLineStart: 0, oldLineEnd: 3, newLineStart: 1, newLineEnd: 4, oldChunkIndex: 0, newChunkIndex: 1 }]);
+  });
+
+  it('ignores the lines removed and added in the same chunk', () => {
+    const chunks = [{ oldLineStart: 0, oldLineEnd: 3, newLineStart: 0, newLineEnd: 3 }];
+    const lines = ['a', 'b', 'c'];
+    expect(detectMoves(chunks, (row) => lines[row], (row) => lines[row])).toEqual([]);
+  });
+
+  it('needs the minimum number of non-blank lines', () => {
+    expect(detectMovesBetween(['a', 'b'], ['a', 'b'])).toEqual([]);
+    expect(detectMovesBetween(['a', '', 'b'], ['a', '', 'b'])).toEqual([]);
+    expect(detectMovesBetween(['a', '', 'b', 'c'], ['a', '', 'b', 'c']).length).toBe(1);
+  });
+
+  it('compares the lines without their indentation', () => {
+    const moves = detectMovesBetween(['a', 'b', 'c'], ['  a', '  b', '  c']);
+    expect(moves.length).toBe(1);
+  });
+
+  it('allows up to a third of the lines of a block to be edited', () => {
+    expect(detectMovesBetween(['a', 'b', 'c', 'd'], ['a', 'B', 'c', 'd'])[0].oldLineEnd).toBe(4);
+    expect(detectMovesBetween(['a', 'b', 'c', 'd', 'e'], ['a', 'B', 'c', 'D', 'e'])).toEqual([]);
+  });
+
+  it('does not start a block on a line added too often', () => {
+    const addedLines = new Array(33).fill('}').concat(['}', 'a', 'b', 'c']);
+    const moves = detectMovesBetween(['}', 'a', 'b', 'c'], addedLines);
+    expect(moves.length).toBe(1);
+    expect(moves[0].oldLineStart).toBe(1);
+    expect(moves[0].newLineStart).toBe(34);
+  });
+
+  it('starts a block on a line added a few times', () => {
+    const addedLines = new Array(3).fill('}').concat(['}', 'a', 'b', 'c']);
+    const moves = detectMovesBetween(['}', 'a', 'b', 'c'], addedLines);
+    expect(moves.length).toBe(1);
+    expect(moves[0].oldLineStart).toBe(0);
+    expect(moves[0].newLineStart).toBe(3);
+  });
+});
@@ -0,0 +1,117 @@
+'use strict';
+
+const { diffPatience, diffHistogram, diffLineHashes } = require('../lib/diff-algorithms');
+
+// a seeded random number generator, so a failing run can be replayed
+function createRandom(seed) {
+  return () => {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    return seed / 2147483648;
+  };
+}
+
+// lines of a few distinct values, so the texts have repeated and unique lines
+function createLines(random, lineCount) {
+  const lines = [];
+  for (let i = 0; i < lineCount; i++) {
+    lines.push(random() < 0.2 ? `unique ${Math.floor(random() * 1000)}` : ['a', 'b', 'c', ''][Math.floor(random() * 4)]);
+  }
+  return lines;
+}
+
+// rebuilds the old and new lines from the parts, the common parts taking
+// the lines of both sides
+function applyParts(parts, oldLines, newLines) {
+  const result = { oldLines: [], newLines: [] };
+  let oldIndex = 0;
+  let newIndex = 0;
+  parts.forEach((part) => {
+    if (part.added) {
+      result.newLines.push(...newLines.slice(newIndex, newIndex + part.count));
+      newIndex += part.count;
+    } else if (part.removed) {
+      result.oldLines.push(...oldLines.slice(oldIndex, oldIndex + part.count));
+      oldIndex += part.count;
+    } else {
+      const commonLines = oldLines.slice(oldIndex, oldIndex + part.count);
+      expect(newLines.slice(newIndex, newIndex + part.count)).toEqual(commonLines);
+      result.oldLines.push(...commonLines);
+      result.newLines.push(...commonLines);
+      oldIndex += part.count;
+      newIndex += part.count;
+    }
+  });
+  return result;
+}
+
+// the old and new line ranges of the common parts
+function getCommonLines(parts) {
+  const commonLines = [];
+  let oldIndex = 0;
+  let newIndex = 0;
+  parts.forEach((part) => {
+    if (!part.added && !part.removed) {
+      for (let i = 0; i < part.count; i++) {
+        commonLines.push([oldIndex + i, newIndex + i]);
+      }
+    }
+    oldIndex += part.added ? 0 : part.count;
+    newIndex += part.removed ? 0 : part.count;
+  });
+  return commonLines;
+}
+
+[['diffPatience', diffPatience], ['diffHistogram', diffHistogram], ['diffLineHashes', diffLineHashes]].forEach(([name, diff]) => {
+  describe(name, () => {
+    it('returns parts that rebuild both texts', () => {
+      const random = createRandom(7);
+      for (let run = 0; run < 200; run++) {
+        const oldLines = createLines(random, Math.floor(random() * 30));
+        const newLines = random() < 0.5 ? createLines(random, Math.floor(random() * 30)) : oldLines.filter(() => random() < 0.8).concat(createLines(random, 3));
+        const result = applyParts(diff(oldLines, newLines), oldLines, newLines);
+        expect(result.oldLines).toEqual(oldLines);
+        expect(result.newLines).toEqual(newLines);
+      }
+    });
+
+    it('returns a single common part for equal texts', () => {
+      expect(diff(['a', 'b', 'c'], ['a', 'b', 'c'])).toEqual([{ added: false, removed: false, count: 3 }]);
+    });
+
+    it('returns no parts for empty texts', () => {
+      expect(diff([], [])).toEqual([]);
+    });
+  });
+});
+
+describe('diffPatience', () => {
+  it('aligns the lines found once in both texts', () => {
+    // Myers keeps the two repeated lines, patience the unique one
+    const commonLines = getCommonLines(diffPatience(['q', 'q', 'U', 'r'], ['U', 'q', 'q', 's']));
+    expect(commonLines).toEqual([[2, 0]]);
+  });
+
+  it('ignores the unique lines that are out of order', () => {
+    const commonLines = getCommonLines(diffPatience(['one', 'two', 'three'], ['three', 'one', 'two']));
+    expect(commonLines).toEqual([[0, 1], [1, 2]]);
+  });
+});
+
+describe('diffHistogram', () => {
+  it('aligns the texts around their rarest line', () => {
+    const commonLines = getCommonLines(diffHistogram(['q', 'q', 'U', 'r'], ['U', 'q', 'q', 's']));
+    expect(commonLines).toEqual([[2, 0]]);
+  });
+});
+
+describe('diffLineHashes', () => {
+  it('leaves the repeated lines between the unique lines unmatched', () => {
+    const commonLines = getCommonLines(diffLineHashes(['q', 'q', 'U', 'r'], ['U', 'q', 'q', 's']));
+    expect(commonLines).toEqual([[2, 0]]);
+  });
+
+  it('matches the equal lines around the unique lines', () => {
+    const commonLines = getCommonLines(diffLineHashes(['x', 'U', 'x', 'a'], ['x', 'U', 'x', 'b']));
+    expect(commonLines).toEqual([[0, 0], [1, 1], [2, 2]]);
+  });
+});
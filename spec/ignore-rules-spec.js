@@ -0,0 +1,62 @@
+'use strict';
+
+const { compileIgnorePatterns, hasLineKeyRules, createLineKey } = require('../lib/ignore-rules');
+const { computeDiff } = require('../lib/compute-diff');
+
+describe('compileIgnorePatterns', () => {
+  it('leaves out the empty and invalid patterns', () => {
+    const compiled = compileIgnorePatterns(['\\d{4}', '', '([a-z']);
+    expect(compiled.regExps.map((regExp) => regExp.source)).toEqual(['\\d{4}']);
+    expect(compiled.invalidPatterns).toEqual(['([a-z']);
+  });
+
+  it('takes missing patterns as none', () => {
+    expect(compileIgnorePatterns(undefined)).toEqual({ regExps: [], invalidPatterns: [] });
+  });
+});
+
+describe('hasLineKeyRules', () => {
+  it('tells the rules that change the compared text', () => {
+    expect(hasLineKeyRules({ whitespace: true, blankLines: true })).toBe(false);
+    expect(hasLineKeyRules({ patterns: ['(', ''] })).toBe(false);
+    expect(hasLineKeyRules({ case: true })).toBe(true);
+    expect(hasLineKeyRules({ lineEndings: true })).toBe(true);
+    expect(hasLineKeyRules({ patterns: ['\\d+'] })).toBe(true);
+  });
+});
+
+describe('createLineKey', () => {
+  it('removes the matches of every pattern', () => {
+    const lineKey = createLineKey({ patterns: ['\\d{4}', 'v\\d+'] });
+    expect(lineKey('Copyright 2024 v12')).toBe(lineKey('Copyright 1999 v3'));
+  });
+
+  it('applies the rules together', () => {
+    const lineKey = createLineKey({ whitespace: true, lineEndings: true, case: true, patterns: ['#.*'] });
+    expect(lineKey('  Foo Bar # note\r')).toBe('foo bar');
+  });
+});
+
+describe('computeDiff with ignore rules', () => {
+  it('ignores the case of the letters', () => {
+    expect(computeDiff('a\nFoo\nb\n', 'a\nfOO\nb\n', { case: true }).chunks).toEqual([]);
+    expect(computeDiff('a\nFoo\nb\n', 'a\nfOO\nb\n', {}).chunks.length).toBe(1);
+  });
+
+  it('ignores the carriage returns ending the lines', () => {
+    expect(computeDiff('a\r\nb\r\n', 'a\nb\n', { lineEndings: true }).chunks).toEqual([]);
+    expect(computeDiff('a\r\nb\r\n', 'a\nb\n', {}).chunks.length).toBe(1);
+  });
+
+  it('moves the chunks of blank lines to the ignored chunks', () => {
+    const diff = computeDiff('a\nb\nc\n', 'a\n\n\nb\nC\n', { blankLines: true });
+    expect(diff.chunks.length).toBe(1);
+    expect(diff.chunks[0].newLineStart).toBe(4);
+    expect(diff.ignoredChunks.length).toBe(1);
+    expect(diff.ignoredChunks[0]).toEqual(jasmine.objectContaining({ oldLineStart: 1, oldLineEnd: 1, newLineStart: 1, newLineEnd: 3 }));
+  });
+
+  it('skips the invalid patterns', () => {
+    expect(computeDiff('v1\n', 'v2\n', { patterns: ['(', '\\d'] }).chunks).toEqual([]);
+  });
+});
@@ -0,0 +1,142 @@
+'use strict';
+
+const { computeDiff } = require('../lib/compute-diff');
+const { countDiffLines, addEditToRegion, getDiffWindow, spliceDiff } = require('../lib/incremental-diff');
+
+// a seeded random number generator, so a failing run can be replayed
+function createRandom(seed) {
+  return () => {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    return seed / 2147483648;
+  };
+}
+
+// a text of a few distinct short lines, so the diffs have chunks of all kinds
+function createText(random, lineCount) {
+  const lines = [];
+  for (let i = 0; i < lineCount; i++) {
+    lines.push(['a', 'b', 'c', 'd', ''][Math.floor(random() * 5)]);
+  }
+  return lines.join('\n') + (random() < 0.7 ? '\n' : '');
+}
+
+function createBuffer(text) {
+  const lines = text.split('\n');
+  return { getLineCount: () => lines.length, lineForRow: (row) => lines[row] };
+}
+
+// replaces whole lines of the text, returns the new text and the change as a buffer reports it
+function editText(random, text) {
+  const lines = text.split('\n');
+  const startRow = Math.floor(random() * lines.length);
+  const endRow = startRow + Math.floor(random() * Math.min(3, lines.length - startRow));
+  const isToEnd = endRow === lines.length - 1 && random() < 0.3;
+  const insertedText = createText(random, Math.floor(random() * 3));
+  const insertedRows = insertedText.split('\n').length - 1;
+
+  const startIndex = lines.slice(0, startRow).join('\n').length + (startRow > 0 ? 1 : 0);
+  const endIndex = isToEnd ? text.length : lines.slice(0, endRow).join('\n').length + (endRow > 0 ? 1 : 0);
+  const lastInsertedLine = insertedText.split('\n').pop();
+  return {
+    text: text.slice(0, startIndex) + insertedText + text.slice(endIndex),
+    change: {
+      oldRange: { start: { row: startRow, column: 0 }, end: { row: endRow, column: isToEnd ? lines[endRow].length : 0 } },
+      newRange: { start: { row: startRow, column: 0 }, end: { row: startRow + insertedRows, column: lastInsertedLine.length } }
+    }
+  };
+}
+
+// the text between two rows, or to the end of the text if endRow is null
+function getTextOfRows(text, startRow, endRow) {
+  const lines = text.split('\n');
+  if (endRow == null) {
+    return lines.slice(startRow).join('\n');
+  }
+  return lines.slice(startRow, endRow).map((line) => line + '\n').join('');
+}
+
+// the line offsets a full diff would have for the chunks, see compute-diff.js
+function getExpectedOffsets(chunks, lineCounts) {
+  const oldLineOffsets = {};
+  const newLineOffsets = {};
+  chunks.forEach((chunk) => {
+    const lineDelta = (chunk.newLineEnd - chunk.newLineStart) - (chunk.oldLineEnd - chunk.oldLineStart);
+    if (lineDelta > 0 && chunk.oldLineEnd < lineCounts[0]) {
+      oldLineOffsets[chunk.oldLineEnd] = lineDelta;
+    } else if (lineDelta < 0 && chunk.newLineEnd < lineCounts[1]) {
+      newLineOffsets[chunk.newLineEnd] = -lineDelta;
+    }
+  });
+  return { oldLineOffsets, newLineOffsets };
+}
+
+// the lines between the chunks must be the same in both texts
+function getUnchangedLineMismatch(chunks, text1, text2, lineCounts) {
+  const lines1 = text1.replace(/\n+$/, '').split('\n');
+  const lines2 = text2.replace(/\n+$/, '').split('\n');
+  let line1 = 0;
+  let line2 = 0;
+  for (const chunk of chunks.concat([{ oldLineStart: lineCounts[0], oldLineEnd: lineCounts[0], newLineStart: lineCounts[1], newLineEnd: lineCounts[1] }])) {
+    if (chunk.oldLineStart - line1 !== chunk.newLineStart - line2) {
+      return `the unchanged lines above ${JSON.stringify(chunk)} differ in length`;
+    }
+    for (; line1 < chunk.oldLineStart; line1++, line2++) {
+      if (lines1[line1] !== lines2[line2]) {
+        return `line ${line1} is not line ${line2}`;
+      }
+    }
+    line1 = chunk.oldLineEnd;
+    line2 = chunk.newLineEnd;
+  }
+  return null;
+}
+
+describe('spliceDiff', () => {
+  it('keeps the chunks and line offsets of random edits consistent with the texts', () => {
+    const random = createRandom(20251019);
+    const mismatches = [];
+    for (let run = 0; run < 2000; run++) {
+      const texts = [createText(random, 1 + Math.floor(random() * 12)), createText(random, 1 + Math.floor(random() * 12))];
+      const computedDiff = Object.assign(computeDiff(texts[0], texts[1], {}, false, 'myers'), {
+        lineCounts: [countDiffLines(createBuffer(texts[0])), countDiffLines(createBuffer(texts[1]))]
+      });
+
+      // edits in one or both editors, diffed in a single window like the session does
+      const regions = [null, null];
+      const editCount = 1 + Math.floor(random() * 3);
+      for (let i = 0; i < editCount; i++) {
+        const index = random() < 0.5 ? 0 : 1;
+        const edit = editText(random, texts[index]);
+        texts[index] = edit.text;
+        regions[index] = addEditToRegion(regions[index], edit.change);
+      }
+
+      const diffWindow = getDiffWindow(computedDiff, regions[0], regions[1]);
+      const lineCounts = [countDiffLines(createBuffer(texts[0])), countDiffLines(createBuffer(texts[1]))];
+      // the session diffs everything again for these windows
+      if (diffWindow == null || (diffWindow.isAtEnd && (diffWindow.oldLineStart >= lineCounts[0] || diffWindow.newLineStart >= lineCounts[1]))) {
+        continue;
+      }
+
+      let windowDiff = null;
+      if (diffWindow.isAtEnd) {
+        windowDiff = computeDiff(getTextOfRows(texts[0], diffWindow.oldLineStart, null), getTextOfRows(texts[1], diffWindow.newLineStart, null), {}, false, 'myers');
+      } else {
+        windowDiff = computeDiff(
+          getTextOfRows(texts[0], diffWindow.oldLineStart, diffWindow.oldLineEnd + diffWindow.oldLineDelta),
+          getTextOfRows(texts[1], diffWindow.newLineStart, diffWindow.newLineEnd + diffWindow.newLineDelta),
+          {}, true, 'myers');
+      }
+      const splicedDiff = spliceDiff(computedDiff, diffWindow, windowDiff, lineCounts);
+
+      const lineMismatch = getUnchangedLineMismatch(splicedDiff.chunks, texts[0], texts[1], lineCounts);
+      const expectedOffsets = getExpectedOffsets(splicedDiff.chunks, lineCounts);
+      if (lineMismatch != null) {
+        mismatches.push(`run ${run}: ${lineMismatch}`);
+      } else if (JSON.stringify(splicedDiff.oldLineOffsets) !== JSON.stringify(expectedOffsets.oldLineOffsets) || JSON.stringify(splicedDiff.newLineOffsets) !== JSON.stringify(expectedOffsets.newLineOffsets)) {
+        mismatches.push(`run ${run}: the line offsets ${JSON.stringify([splicedDiff.oldLineOffsets, splicedDiff.newLineOffsets])} are not ${JSON.stringify([expectedOffsets.oldLineOffsets, expectedOffsets.newLineOffsets])}`);
+      }
+    }
+    expect(mismatches).toEqual([]);
+  });
+});
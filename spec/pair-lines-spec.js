@@ -0,0 +1,41 @@
+'use strict';
+
+const { pairLines } = require('../lib/pair-lines');
+
+describe('pairLines', () => {
+  it('pairs the lines after a line inserted at the top of the chunk', () => {
+    const pairs = pairLines(['a = 1;', 'b = 2;'], ['// a new comment', 'a = 1;', 'b = 3;']);
+    expect(pairs).toEqual([{ oldIndex: 0, newIndex: 1 }, { oldIndex: 1, newIndex: 2 }]);
+  });
+
+  it('pairs the lines whose indentation changed', () => {
+    expect(pairLines(['foo();'], ['    foo();'])).toEqual([{ oldIndex: 0, newIndex: 0 }]);
+  });
+
+  it('leaves out the lines less similar than the threshold', () => {
+    expect(pairLines(['abcd'], ['abxy'])).toEqual([{ oldIndex: 0, newIndex: 0 }]);
+    expect(pairLines(['abcd'], ['axyz'])).toEqual([]);
+    expect(pairLines(['foo(bar);', 'completely different'], ['foo(baz);', 'nothing alike at all'])).toEqual([{ oldIndex: 0, newIndex: 0 }]);
+  });
+
+  it('returns no pairs when a side has no lines', () => {
+    expect(pairLines([], ['a'])).toEqual([]);
+    expect(pairLines(['a'], [])).toEqual([]);
+    expect(pairLines([], [])).toEqual([]);
+  });
+
+  it('pairs the lines by position above the maximum number of line pairs', () => {
+    const newLines = new Array(500).fill('a');
+    const pairs = pairLines(['z'].concat(newLines), newLines);
+    expect(pairs.length).toBe(500);
+    expect(pairs[0]).toEqual({ oldIndex: 0, newIndex: 0 });
+    expect(pairs[499]).toEqual({ oldIndex: 499, newIndex: 499 });
+  });
+
+  it('pairs the lines by similarity below the maximum number of line pairs', () => {
+    const newLines = new Array(400).fill('a');
+    const pairs = pairLines(['z'].concat(newLines), newLines);
+    expect(pairs.length).toBe(400);
+    expect(pairs[0]).toEqual({ oldIndex: 1, newIndex: 0 });
+  });
+});
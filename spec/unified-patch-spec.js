@@ -0,0 +1,28 @@
+'use strict';
+
+const { createUnifiedPatch, parseUnifiedPatch, applyHunks } = require('../lib/unified-patch');
+
+describe('applyHunks', () => {
+  const oldText = 'a\nb\nc\nd\ne\nf\ng\nh\ni\nj\n';
+  const newText = 'a\nb\nc\nD\ne\nf\ng\nh\ni\nJ\n';
+  const filePatch = parseUnifiedPatch(createUnifiedPatch(oldText, newText, 'a/file', 'b/file', 1))[0];
+
+  it('applies the hunks to the text they were made from', () => {
+    const result = applyHunks(oldText, filePatch);
+    expect(result.text).toBe(newText);
+    expect(result.hunks.map((hunk) => hunk.status)).toEqual(['clean', 'clean']);
+  });
+
+  it('fails a hunk near the end of the text whose context changed', () => {
+    const result = applyHunks(oldText.replace('i\n', 'Q\n'), filePatch);
+    expect(result.text).toBe('a\nb\nc\nD\ne\nf\ng\nh\nQ\nj\n');
+    expect(result.hunks.map((hunk) => hunk.status)).toEqual(['clean', 'failed']);
+    expect(result.hunks[1].lineStart).toBe(null);
+  });
+
+  it('applies a hunk near the end of the text whose context only changed in whitespace', () => {
+    const result = applyHunks(oldText.replace('i\n', '  i\n'), filePatch);
+    expect(result.text).toBe('a\nb\nc\nD\ne\nf\ng\nh\n  i\nJ\n');
+    expect(result.hunks.map((hunk) => hunk.status)).toEqual(['clean', 'fuzzy']);
+  });
+});